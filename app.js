@@ -1,7 +1,11 @@
 const express = require('express');
-const { exec } = require('child_process');
+const { execFile, spawn } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
+const http = require('http');
+const https = require('https');
 const path = require('path');
+const readline = require('readline');
 const app = express();
 const port = process.env.PORT || 3000;
 
@@ -21,6 +25,15 @@ const localCache = {
     updateStartTime: null
 };
 
+// Log file currently written to, replaced when the day changes or it grows past LOG_MAX_FILE_BYTES
+const logFile = {
+    stream: null,
+    date: null, // YYYY-MM-DD (UTC) of the file
+    index: 0, // Size rotations of the day, 0 for the first file
+    bytes: 0,
+    error: null // Set when the log directory is not writable, entries then only go to the console
+};
+
 // Temporary cache storage for remotes during updates
 const remoteCacheTemp = {
     data: new Map()
@@ -33,27 +46,423 @@ const localCacheTemp = {
 
 // NEW: Structure to track size history for last modified detection
 const localSizeHistory = {
-    data: new Map() // Map<directoryPath, Array<{timestamp, bytes}>>
+    data: new Map() // Map<directoryPath, Array<historyPoint>>, see recordHistoryPoint
+};
+
+// Errors from the most recent remote cache update, cleared when a path is measured successfully
+const remoteErrors = {
+    data: new Map() // Map<remotePath, {error, timestamp, failureCount}>, failureCount counts consecutive failures
+};
+
+// Remote names reported by rclone, used to validate remote paths from API requests
+const knownRemotes = {
+    data: new Set(),
+    lastUpdated: null
+};
+
+// Alerts that have fired and not resolved yet, and resolved alerts whose "resolved" notification has not reached every webhook
+const alertState = {
+    data: new Map() // Map<alertKey, {rule, type, target, message, details, firedAt, resolvedAt, pendingWebhooks}>
+};
+
+// Cache storage for file-level drift reports
+const diffCache = {
+    data: new Map(), // Map<diffKey, {remotePath, localPath, options, timestamp, calculationDurationMs, items}>
+    inFlight: new Map() // Map<diffKey, Promise<object>>
+};
+
+// Filesystem watchers on tracked local directories, used when watch mode is enabled
+const localWatchers = {
+    data: new Map() // Map<localPath, {mode, watchers: Map<dirPath, FSWatcher>, lastChangeAt, lastChangedPath, dirty: Set<relativePath>, pendingSince, timer, error}>
+};
+
+// Local directories untracked through the API, never tracked again automatically by sync pairs or comparisons
+const untrackedLocal = {
+    data: new Map() // Map<localPath, {untrackedAt, movedTo}>
+};
+
+// Per-directory snapshots of the last scan of each tracked local directory, used for incremental rescans
+const localSnapshots = {
+    data: new Map() // Map<localPath, {options, fullScanAt, lastScanAt, directories: {[relativePath]: {mtimeMs, bytes, count, skippedSymlinks, links, directories}}}>
+};
+
+// Structure to track size history of remotes and their root directories for growth trends
+const remoteSizeHistory = {
+    data: new Map() // Map<remotePath, {entries: Array<historyPoint>, directories: {[name]: Array<historyPoint>}}>
+};
+
+// Persistence backend for the state below and problems found while loading it, reported by /health
+const storage = {
+    backend: 'json', // "json" writes one file per state, "sqlite" keeps all state in one database
+    db: null,
+    error: null, // Why the SQLite backend could not be opened
+    written: new Map(), // Map<store, Map<key, serializedValue>> rows last written to SQLite, unchanged rows are skipped
+    quarantined: [], // Array<{file, reason, movedTo, restoredFromBackup, timestamp}>
+    lastSaveError: null // {file, error, timestamp}
 };
 
 const CACHE_DIR = process.env.CACHE_DIR || './cache';
 const REMOTE_CACHE_FILE = path.join(CACHE_DIR, 'remote-cache.json');
 const LOCAL_CACHE_FILE = path.join(CACHE_DIR, 'local-cache.json');
 const SIZE_HISTORY_FILE = path.join(CACHE_DIR, 'size-history.json');
+const REMOTE_HISTORY_FILE = path.join(CACHE_DIR, 'remote-history.json');
+const DIFF_CACHE_FILE = path.join(CACHE_DIR, 'diff-cache.json');
+const LOCAL_SNAPSHOT_FILE = path.join(CACHE_DIR, 'local-snapshots.json');
+const ALERT_STATE_FILE = path.join(CACHE_DIR, 'alert-state.json');
+const UNTRACKED_LOCAL_FILE = path.join(CACHE_DIR, 'untracked-local.json');
+
+// Version of the state file format, files written before versioning are version 1
+const STORAGE_SCHEMA_VERSION = 2;
+
+// Migrations from each schema version to the next, applied to older state when it is loaded
+const STORAGE_MIGRATIONS = {
+    // Version 1 files hold the state itself, version 2 wraps it with the schema version and save time
+    1: data => data
+};
+
+// Listings of large remotes do not fit in execFile's default 1 MB output buffer
+const RCLONE_LIST_MAX_BUFFER = 512 * 1024 * 1024;
+
+// rclone listremotes only reads the config file, so it is stopped much earlier than measurements
+const RCLONE_LISTREMOTES_TIMEOUT_MS = 60 * 1000;
+
+// /health must answer even when rcd accepts connections but stops responding
+const RCD_HEALTH_TIMEOUT_MS = 5 * 1000;
+
+// rclone errors worth retrying: network failures, rate limiting and server errors
+const TRANSIENT_RCLONE_ERROR_PATTERN = /connection (reset|refused)|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|ENOTFOUND|socket hang up|i\/o timeout|TLS handshake timeout|unexpected EOF|broken pipe|no such host|too many requests|rate ?limit|\b(429|502|503|504)\b|service unavailable|bad gateway|temporar(il)?y/i;
+
+// Unreadable paths recorded per local scan, the rest are only counted
+const LOCAL_SCAN_MAX_ERRORS = 100;
+
+// Modification times within this window are considered equal (local filesystems and remotes differ in precision)
+const MODTIME_TOLERANCE_MS = 1000;
+
+// Bucket sizes of rolled-up history points
+const HISTORY_RESOLUTIONS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+
+const CONFIG_FILE = process.env.CONFIG_FILE || './config.json';
+
+// Logging: levels from least to most severe, entries below LOG_LEVEL are dropped
+const LOG_DIR = process.env.LOG_DIR || './logs';
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_LEVEL = LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+const LOG_MAX_FILE_BYTES = (parseFloat(process.env.LOG_MAX_SIZE_MB) || 50) * 1024 * 1024;
+const LOG_RETENTION_DAYS = parseInt(process.env.LOG_RETENTION_DAYS, 10) || 14;
+const LOG_FILE_PATTERN = /^app-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.log$/;
+const LOG_QUERY_MAX_LIMIT = 1000;
+
+// rclone remote names may contain letters, numbers, "_", "-", ".", "+", "@" and spaces, but not start with "-" or a space or end with a space
+const REMOTE_PATH_PATTERN = /^([\w.+@](?:[\w.+@ -]*[\w.+@-])?):([^\0\r\n]*)$/;
+
+// Unknown remote names trigger at most one "rclone listremotes" per interval
+const KNOWN_REMOTES_REFRESH_MS = 60 * 1000;
+
+// Default cron schedules for cache updates
+const DEFAULT_REMOTE_SCHEDULE = '0 0 * * *';
+const DEFAULT_LOCAL_SCHEDULE = '0 * * * *';
+
+// Incremental local scans fall back to a full rescan once this schedule has passed since the last full scan
+const DEFAULT_FULL_RESCAN_SCHEDULE = '0 3 * * 0';
+
+// Longest delay setTimeout supports
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+// Scheduled cache update jobs, one per cron schedule
+const scheduler = {
+    jobs: [] // Array<{name, cache, cron, targets, selection, nextRun, lastRun, lastJobId, lastSkipped, deferredSince, timer}>
+};
+
+// How long a forceDirect request waits for rclone before answering 202 with a job id (0 waits until done)
+const FORCE_DIRECT_MAX_WAIT_MS = parseInt(process.env.FORCE_DIRECT_MAX_WAIT_MS || '0', 10);
+
+// Drift reports hold every differing file, so they expire and only the most recent ones are kept
+const DIFF_CACHE_MAX_AGE_MS = parseFloat(process.env.DIFF_CACHE_MAX_AGE_HOURS || '24') * 60 * 60 * 1000;
+const DIFF_CACHE_MAX_ENTRIES = parseInt(process.env.DIFF_CACHE_MAX_ENTRIES || '20', 10);
+
+// In-flight on-demand size requests for remote paths that are not in the cache
+const directSizeJobs = {
+    inFlight: new Map() // Map<remotePath, {job, promise}>
+};
+
+// Every remote and local scan, running or recently finished
+const jobs = {
+    data: new Map() // Map<jobId, {id, type, trigger, status, targets, currentItem, completed, total, startedAt, completedAt, errors, result, cancelRequested, processes}>
+};
+
+// Number of finished jobs kept for /api/jobs
+const MAX_FINISHED_JOBS = 100;
+
+// Clients with this many invalid API keys within the window are refused until the window ends
+const AUTH_MAX_FAILURES = 10;
+const AUTH_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+// API key scopes, each scope includes the ones before it
+const API_KEY_SCOPES = ['read', 'admin'];
+
+// Failed authentication attempts per client address
+const authFailures = {
+    data: new Map() // Map<ip, {count, firstFailureAt}>
+};
+
+// Configuration loaded from CONFIG_FILE at startup
+const config = {
+    rclone: {
+        backend: 'cli', // "cli" runs the rclone command, "rcd" calls a running rclone rcd
+        url: 'http://localhost:5572',
+        user: null,
+        pass: null
+    },
+    remotes: {
+        include: null, // Array<remoteName> to scan only these remotes, null scans every remote rclone lists
+        exclude: [], // Array<remoteName> never scanned, e.g. crypt wrappers that double-count their base remote
+        defaults: {
+            basePath: '', // Path within the remote to measure instead of its root
+            breakdown: true, // Measure each root directory for the directory comparison
+            concurrency: 3, // Root directories measured at the same time
+            fastList: false, // --fast-list
+            tpsLimit: null, // --tpslimit, transactions per second
+            timeout: '12h', // Kill an rclone call that runs longer than this, null never stops it
+            retries: 2, // Repeats of an rclone call that failed with a transient error such as a connection reset or HTTP 503
+            retryDelay: '10s', // Wait before the first retry, doubled for every further one
+            extraFlags: [], // Further rclone command line flags
+            treeDepth: null // Directory levels recorded for /api/tree from one recursive listing, null measures each root directory with rclone size
+        },
+        overrides: {} // {[remoteName]: settings} replacing single defaults for one remote
+    },
+    storage: {
+        backend: 'json', // "json" or "sqlite"
+        sqlitePath: null // Defaults to state.sqlite in CACHE_DIR
+    },
+    pairs: new Map(), // Map<pairName, {remotePath, localPath, includeDirectories, thresholds, filters}>
+    comparisons: new Map(), // Map<comparisonName, {source, backups: {[backupName]: endpoint}, includeDirectories}>, endpoints are {remotePath} or {localPath}
+    filters: [], // Filter rules applied to every remote and local path, in rclone --filter syntax
+    allowedLocalRoots: null, // Array<realPath>, null allows any local directory
+    localScan: {
+        concurrency: 8, // Directories read at the same time
+        symlinks: 'skip', // "skip" like rclone's default, "follow" like --copy-links, "size" counts the link itself like --links
+        dedupeHardlinks: true, // Count files with several hard links once
+        incremental: true, // Reuse the files of directories whose mtime did not change
+        fullRescan: parseCron(DEFAULT_FULL_RESCAN_SCHEDULE),
+        treeDepth: null, // Directory levels recorded for /api/tree, null records no tree
+        treeDepths: {} // {[directoryPath]: depth} overriding treeDepth
+    },
+    watch: {
+        enabled: false,
+        debounceMs: 10000, // Wait for this long without changes before refreshing a directory
+        maxDelayMs: 5 * 60 * 1000, // Refresh at the latest this long after the first change, even if changes continue
+        maxDirectories: 10000 // Per tracked directory, when every directory needs its own watcher
+    },
+    history: {
+        raw: '7d', // Keep every measurement for this long
+        hourly: '8w', // Then one point per hour (min, max and last size) up to this age
+        daily: '730d', // Then one point per day up to this age, null keeps daily points forever
+        targets: {} // {[remotePath or localPath]: {raw, hourly, daily}} overriding the defaults
+    },
+    apiKeys: [], // Array<{name, scope, hash}>, authentication is off while empty
+    notifications: {
+        webhooks: [], // Array<{name, url, format, headers}>
+        rules: [] // Array<{name, type, webhooks, ...options}>
+    },
+    schedule: {
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        remote: parseCron(DEFAULT_REMOTE_SCHEDULE),
+        local: parseCron(DEFAULT_LOCAL_SCHEDULE),
+        remotes: {}, // {[remoteName]: cron}
+        localDirectories: {}, // {[directoryPath]: cron}
+        quietWindows: [] // Array<{start, end, startMinute, endMinute, days}>
+    }
+};
+
+// Counters exposed on /metrics
+const metrics = {
+    rcloneFailures: new Map() // Map<command, count>
+};
+
+// Behind a reverse proxy, take the client address from X-Forwarded-For so failed logins are counted per client
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
+// Log every API call once the response is sent; health checks and scrapes only at debug level
+app.use((req, res, next) => {
+    const start = Date.now();
+    res.on('finish', () => {
+        const durationMs = Date.now() - start;
+        // req.path leaves out the query string, which may hold an API key
+        emitLogEntry({
+            time: new Date().toISOString(),
+            level: req.path === '/health' || req.path === '/metrics' ? 'debug' : res.statusCode >= 500 ? 'error' : 'info',
+            component: 'http',
+            message: `${req.method} ${req.path} ${res.statusCode} ${durationMs}ms`,
+            method: req.method,
+            path: req.path,
+            status: res.statusCode,
+            durationMs,
+            ip: req.ip,
+            apiKey: req.apiKey ? req.apiKey.name : null
+        });
+    });
+    next();
+});
 
 // Middleware to parse JSON bodies
 app.use(express.json());
 
+/**
+ * Count a failed rclone command for /metrics
+ * @param {string} command - rclone subcommand that failed
+ */
+function recordRcloneFailure(command) {
+    metrics.rcloneFailures.set(command, (metrics.rcloneFailures.get(command) || 0) + 1);
+}
+
+/**
+ * Register a new running job
+ * @param {string} type - Kind of scan, e.g. "remote-update" or "local-update"
+ * @param {object} [options] - Job options
+ * @param {string} [options.trigger] - What started the job: "startup", "schedule", "manual", "watch" or "api"
+ * @param {string[]|null} [options.targets] - Remotes or directories the job covers, null for all
+ * @returns {object} - The job
+ */
+function createJob(type, { trigger = 'api', targets = null } = {}) {
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        trigger,
+        status: 'running',
+        targets,
+        currentItem: null,
+        completed: 0,
+        total: null,
+        startedAt: new Date().toISOString(),
+        completedAt: null,
+        errors: [],
+        result: null,
+        cancelRequested: false,
+        processes: new Set()
+    };
+    jobs.data.set(job.id, job);
+
+    // Forget the oldest finished jobs
+    const finished = Array.from(jobs.data.values()).filter(j => j.status !== 'running');
+    for (const oldJob of finished.slice(0, Math.max(finished.length - MAX_FINISHED_JOBS, 0))) {
+        jobs.data.delete(oldJob.id);
+    }
+
+    return job;
+}
+
+/**
+ * Mark a job as finished
+ * @param {object} job - The job
+ * @param {string} [status] - Final status, defaults to "cancelled" if cancellation was requested, else "completed"
+ */
+function finishJob(job, status) {
+    if (!job || job.status !== 'running') {
+        return;
+    }
+    job.status = status || (job.cancelRequested ? 'cancelled' : 'completed');
+    job.currentItem = null;
+    job.completedAt = new Date().toISOString();
+}
+
+/**
+ * Record an error on a job without failing it
+ * @param {object} job - The job
+ * @param {string} item - Remote or directory the error belongs to
+ * @param {string} message - Error message
+ */
+function addJobError(job, item, message) {
+    if (job) {
+        job.errors.push({ item, error: message, timestamp: new Date().toISOString() });
+    }
+}
+
+/**
+ * Stop a spawned rclone process or abort a request to rclone rcd
+ * @param {ChildProcess|http.ClientRequest} child - The process or request
+ */
+function stopProcess(child) {
+    if (typeof child.kill === 'function') {
+        child.kill();
+    } else {
+        child.destroy(new Error('Request cancelled'));
+    }
+}
+
+/**
+ * Remember a spawned rclone process (or rcd request) so cancelling the job can stop it
+ * @param {object|null} job - The job the process belongs to
+ * @param {ChildProcess|http.ClientRequest} child - The spawned process or request
+ * @returns {ChildProcess|http.ClientRequest} - The same process or request
+ */
+function trackProcess(job, child) {
+    if (job) {
+        job.processes.add(child);
+        child.on(typeof child.kill === 'function' ? 'exit' : 'close', () => job.processes.delete(child));
+        if (job.cancelRequested) {
+            stopProcess(child);
+        }
+    }
+    return child;
+}
+
+/**
+ * Cancel a running job, stopping any rclone processes it spawned
+ * @param {object} job - The job
+ */
+function cancelJob(job) {
+    job.cancelRequested = true;
+    for (const child of job.processes) {
+        stopProcess(child);
+    }
+    log('info', 'cache', `Cancellation requested for ${job.type} job ${job.id}, killed ${job.processes.size} processes`);
+}
+
+/**
+ * Get the JSON representation of a job
+ * @param {object} job - The job
+ * @returns {object} - Job without internal fields
+ */
+function serializeJob(job) {
+    const { processes, ...rest } = job;
+    return {
+        ...rest,
+        runningProcesses: processes.size,
+        durationMs: (job.completedAt ? Date.parse(job.completedAt) : Date.now()) - Date.parse(job.startedAt)
+    };
+}
+
 /**
  * List all directories in the root of a remote
  * @param {string} remotePath - rclone remote path
+ * @param {object} [job] - Job that owns the rclone process
+ * @param {object} [options] - Filter rules, rclone flags and timeout from getRemoteRcloneOptions
+ * @returns {Promise<string[]>} - List of directory names
+ */
+function listRootDirectories(remotePath, job = null, options = {}) {
+    return retryRcloneCall(`rclone lsf ${remotePath}`, () => getRcloneBackend().listDirectories(remotePath, job, options), job, options);
+}
+
+/**
+ * List all directories in the root of a remote using the rclone command line
+ * @param {string} remotePath - rclone remote path
+ * @param {object} [job] - Job that owns the rclone process
+ * @param {object} [options] - Filter rules, rclone flags and timeout from getRemoteRcloneOptions
  * @returns {Promise<string[]>} - List of directory names
  */
-function listRootDirectories(remotePath) {
+function cliListRootDirectories(remotePath, job = null, options = {}) {
     return new Promise((resolve, reject) => {
-        exec(`rclone lsf "${remotePath}" --dirs-only --max-depth 1`, (error, stdout, stderr) => {
+        const args = ['lsf', '--dirs-only', '--max-depth', '1', ...rcloneOptionArgs(options), '--', remotePath];
+        trackProcess(job, execFile('rclone', args, { timeout: options.timeoutMs || 0 }, (error, stdout, stderr) => {
             if (error) {
-                reject(error);
+                recordRcloneFailure('lsf');
+                reject(new Error(describeRcloneError(error, 'lsf', options, job)));
                 return;
             }
 
@@ -63,7 +472,7 @@ function listRootDirectories(remotePath) {
                 .map(dir => dir.trim().replace(/\/$/, ''));
 
             resolve(dirs);
-        });
+        }));
     });
 }
 
@@ -72,22 +481,27 @@ function listRootDirectories(remotePath) {
  * @param {string} remotePath - Base remote path
  * @param {string[]} directories - Array of directory names
  * @param {number} concurrency - Number of concurrent size operations
+ * @param {object} [job] - Job that owns the rclone processes
+ * @param {object} [options] - Filter rules, rclone flags and timeout from getRemoteRcloneOptions
  * @returns {Promise<object>} - Map of directory to size info
  */
-async function getDirectorySizes(remotePath, directories, concurrency = 3) {
+async function getDirectorySizes(remotePath, directories, concurrency = 3, job = null, options = {}) {
     const results = new Map();
 
     // Process directories in batches to avoid overwhelming the system
     for (let i = 0; i < directories.length; i += concurrency) {
+        if (job && job.cancelRequested) {
+            break;
+        }
         const batch = directories.slice(i, i + concurrency);
         const batchPromises = batch.map(async (dir) => {
             try {
                 const dirPath = `${remotePath}/${dir}`;
-                console.log(`[REMOTE_CACHE] Getting size for directory: ${dirPath}`);
-                const sizeInfo = await getRcloneSize(dirPath);
+                log('info', 'remote-cache', `Getting size for directory: ${dirPath}`);
+                const sizeInfo = await getRcloneSize(dirPath, job, options);
                 results.set(dir, sizeInfo);
             } catch (error) {
-                console.error(`[REMOTE_CACHE] Error getting size for ${dir}:`, error);
+                log('error', 'remote-cache', `Error getting size for ${dir}:`, error);
                 results.set(dir, { error: error.message });
             }
         });
@@ -99,765 +513,5715 @@ async function getDirectorySizes(remotePath, directories, concurrency = 3) {
 }
 
 /**
- * Utility function to get directory size recursively
- * @param {string} directoryPath - Path of the directory to measure
- * @returns {Promise<number>} - Size of the directory in bytes
+ * Measure a remote path and record its directory tree from a single recursive listing,
+ * instead of running rclone size for the path and each of its root directories
+ * @param {string} remotePath - rclone remote path
+ * @param {number} depth - Directory levels to record
+ * @param {object} [job] - Job that owns the rclone process
+ * @param {object} [options] - Filter rules, rclone flags and timeout from getRemoteRcloneOptions
+ * @returns {Promise<object>} - {bytes, count, tree}, or {error} like getRcloneSize
  */
-function getDirectorySize(directoryPath) {
-    return new Promise((resolve, reject) => {
-        let totalSize = 0;
-
-        try {
-            const files = fs.readdirSync(directoryPath);
-
-            let processed = 0;
-            if (files.length === 0) {
-                resolve(0);
-                return;
-            }
+async function measureRemoteTree(remotePath, depth, job = null, options = {}) {
+    let tree;
+    let bytes;
+    let count;
 
-            files.forEach(file => {
-                const filePath = path.join(directoryPath, file);
-                const stats = fs.statSync(filePath);
-
-                if (stats.isDirectory()) {
-                    // Handle directories recursively
-                    getDirectorySize(filePath)
-                        .then(size => {
-                            totalSize += size;
-                            processed++;
-
-                            if (processed === files.length) {
-                                resolve(totalSize);
-                            }
-                        })
-                        .catch(reject);
-                } else {
-                    // Add file size
-                    totalSize += stats.size;
-                    processed++;
-
-                    if (processed === files.length) {
-                        resolve(totalSize);
-                    }
+    try {
+        // Every attempt starts counting from scratch
+        await retryRcloneCall(`rclone lsjson ${remotePath}`, () => {
+            tree = createSizeTree(depth);
+            bytes = 0;
+            count = 0;
+            return walkRcloneEntries(remotePath, entry => {
+                if (entry.IsDir) {
+                    addToSizeTree(tree, entry.Path, 0, 0);
+                    return;
                 }
-            });
-        } catch (error) {
-            reject(error);
-        }
-    });
+                // Objects of unknown size are listed with -1, rclone size counts them as 0 bytes
+                const size = entry.Size > 0 ? entry.Size : 0;
+                const slash = entry.Path.lastIndexOf('/');
+                bytes += size;
+                count++;
+                addToSizeTree(tree, slash === -1 ? '' : entry.Path.slice(0, slash), size, 1);
+            }, job, options);
+        }, job, options);
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    return { bytes, count, tree };
 }
 
 /**
- * Get all available rclone remotes
- * @returns {Promise<string[]>} - List of available remotes
+ * Convert an rclone filter glob to a regular expression
+ * @param {string} pattern - Glob, "/" at the start anchors it to the root, otherwise it matches at any depth
+ * @returns {string} - Regular expression source
  */
-function getAvailableRemotes() {
-    return new Promise((resolve, reject) => {
-        exec('rclone listremotes', (error, stdout, stderr) => {
-            if (error) {
-                reject(error);
-                return;
+function filterGlobToRegExp(pattern) {
+    let source = pattern.startsWith('/') ? '^' : '(^|/)';
+    let i = pattern.startsWith('/') ? 1 : 0;
+    let inAlternatives = false;
+
+    while (i < pattern.length) {
+        const char = pattern[i];
+        if (char === '\\' && i + 1 < pattern.length) {
+            source += pattern[i + 1].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            i += 2;
+            continue;
+        }
+        if (char === '*' && pattern[i + 1] === '*') {
+            source += '.*';
+            i += 2;
+            continue;
+        }
+        if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', i + 1);
+            if (end === -1) {
+                throw new Error(`Unclosed "[" in filter pattern "${pattern}"`);
             }
+            source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+            i = end;
+        } else if (char === '{' && !inAlternatives) {
+            source += '(';
+            inAlternatives = true;
+        } else if (char === '}' && inAlternatives) {
+            source += ')';
+            inAlternatives = false;
+        } else if (char === ',' && inAlternatives) {
+            source += '|';
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+        i++;
+    }
 
-            // Parse remote names (removing trailing colon)
-            const remotes = stdout.split('\n')
-                .filter(line => line.trim().length > 0)
-                .map(remote => remote.trim().replace(/:$/, ''));
-
-            resolve(remotes);
-        });
-    });
+    if (inAlternatives) {
+        throw new Error(`Unclosed "{" in filter pattern "${pattern}"`);
+    }
+    return `${source}$`;
 }
 
 /**
- * Run rclone size command and get the result
- * @param {string} remotePath - rclone remote path to measure
- * @returns {Promise<object>} - Size information including bytes, count, and error if any
+ * Compile rclone filter rules ("- pattern" or "+ pattern") for matching local paths
+ * @param {string[]} rules - Filter rules in rclone --filter syntax
+ * @returns {Array<{include: boolean, file: RegExp|null, directory: RegExp|null}>} - Compiled rules
  */
-function getRcloneSize(remotePath) {
-    return new Promise((resolve, reject) => {
-        exec(`rclone size "${remotePath}" --json`, (error, stdout, stderr) => {
-            if (error) {
-                resolve({
-                    error: error.message,
-                    stdout,
-                    stderr
-                });
-                return;
-            }
+function compileFilterRules(rules) {
+    return rules.map(rule => {
+        const match = /^([+-])\s+(.+)$/.exec(rule.trim());
+        if (!match) {
+            throw new Error(`Invalid filter rule "${rule}", use "- pattern" or "+ pattern"`);
+        }
 
-            try {
-                const result = JSON.parse(stdout);
-                resolve(result);
-            } catch (parseError) {
-                resolve({
-                    error: `Failed to parse rclone output: ${parseError.message}`,
-                    stdout,
-                    stderr
-                });
+        const pattern = match[2];
+        const directoryOnly = pattern.endsWith('/');
+        const compiled = { include: match[1] === '+', file: null, directory: null };
+        if (directoryOnly) {
+            compiled.directory = new RegExp(filterGlobToRegExp(pattern.slice(0, -1)));
+        } else {
+            compiled.file = new RegExp(filterGlobToRegExp(pattern));
+            // "dir/**" also matches the directory itself, so the scan does not need to enter it
+            if (pattern.endsWith('/**')) {
+                compiled.directory = new RegExp(filterGlobToRegExp(pattern.slice(0, -3)));
             }
-        });
+        }
+        return compiled;
     });
 }
 
 /**
- * Format bytes to human-readable format
- * @param {number} bytes - Bytes to format
- * @param {number} decimals - Number of decimal places
- * @returns {string} - Formatted string
+ * Check rules for validity, dropping invalid ones
+ * @param {string[]} rules - Filter rules from the config file
+ * @param {string} label - Where the rules come from, for log messages
+ * @returns {string[]} - Valid rules
  */
-function formatBytes(bytes, decimals = 2) {
-    if (bytes === 0) return '0 Bytes';
-
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB', 'PB', 'EB', 'ZB', 'YB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(decimals)) + ' ' + sizes[i];
+function validateFilterRules(rules, label) {
+    if (!Array.isArray(rules)) {
+        return [];
+    }
+    return rules.filter(rule => {
+        try {
+            compileFilterRules([String(rule)]);
+            return true;
+        } catch (error) {
+            log('error', 'config', `Skipping filter rule of ${label}: ${error.message}`);
+            return false;
+        }
+    }).map(String);
 }
 
 /**
- * Ensure cache directory exists
+ * Decide whether a file is measured, the first matching rule wins and files matching no rule are included
+ * @param {Array<object>} compiledRules - Result of compileFilterRules
+ * @param {string} relativePath - Path of the file below the measured directory, separated by "/"
+ * @returns {boolean} - True if the file is included
  */
-function ensureCacheDir() {
-    if (!fs.existsSync(CACHE_DIR)) {
-        console.log(`[CACHE] Creating cache directory at ${CACHE_DIR}`);
-        fs.mkdirSync(CACHE_DIR, { recursive: true });
+function isFileIncluded(compiledRules, relativePath) {
+    for (const rule of compiledRules) {
+        if (rule.file && rule.file.test(relativePath)) {
+            return rule.include;
+        }
     }
+    return true;
 }
 
 /**
- * Load remote cache from file
+ * Decide whether a directory is entered at all, only rules for directories ("dir/" or "dir/**") exclude it
+ * @param {Array<object>} compiledRules - Result of compileFilterRules
+ * @param {string} relativePath - Path of the directory below the measured directory, separated by "/"
+ * @returns {boolean} - True if the directory is scanned
  */
-function loadRemoteCache() {
-    try {
-        if (fs.existsSync(REMOTE_CACHE_FILE)) {
-            const cacheData = JSON.parse(fs.readFileSync(REMOTE_CACHE_FILE, 'utf8'));
-            remoteCache.data = new Map(Object.entries(cacheData.data || {}));
-            remoteCache.lastUpdated = cacheData.lastUpdated;
-            remoteCache.updateInProgress = cacheData.updateInProgress || false;
-            remoteCache.updateStartTime = cacheData.updateStartTime;
-            console.log(`[REMOTE_CACHE] Loaded cache from ${REMOTE_CACHE_FILE} with ${remoteCache.data.size} entries`);
-            console.log(`[REMOTE_CACHE] Last updated: ${remoteCache.lastUpdated}`);
-        } else {
-            console.log(`[REMOTE_CACHE] No cache file found at ${REMOTE_CACHE_FILE}, starting with empty cache`);
+function isDirectoryIncluded(compiledRules, relativePath) {
+    for (const rule of compiledRules) {
+        if (rule.directory && rule.directory.test(relativePath)) {
+            return rule.include;
         }
-    } catch (error) {
-        console.error(`[REMOTE_CACHE] Failed to load cache:`, error);
-        console.log(`[REMOTE_CACHE] Starting with empty cache`);
     }
+    return true;
 }
 
 /**
- * Save remote cache to file
+ * Get the filter rules for a remote path, a local path or a comparison of both
+ * @param {string|null} remotePath - rclone remote path
+ * @param {string|null} localPath - Local directory path
+ * @returns {string[]} - Rules of every sync pair using either path, followed by the global rules
  */
-function saveRemoteCache() {
-    try {
-        ensureCacheDir();
-        const cacheData = {
-            data: Object.fromEntries(remoteCache.data),
-            lastUpdated: remoteCache.lastUpdated,
-            updateInProgress: remoteCache.updateInProgress,
-            updateStartTime: remoteCache.updateStartTime
-        };
-        fs.writeFileSync(REMOTE_CACHE_FILE, JSON.stringify(cacheData, null, 2));
-        console.log(`[REMOTE_CACHE] Saved cache to ${REMOTE_CACHE_FILE}`);
-    } catch (error) {
-        console.error(`[REMOTE_CACHE] Failed to save cache:`, error);
+function getFilterRules(remotePath, localPath) {
+    const rules = [];
+    for (const pair of config.pairs.values()) {
+        if ((remotePath && pair.remotePath === remotePath) || (localPath && pair.localPath === localPath)) {
+            rules.push(...pair.filters);
+        }
     }
+    rules.push(...config.filters);
+    return Array.from(new Set(rules));
 }
 
 /**
- * Save local cache to file
+ * Build rclone command line arguments for filter rules
+ * @param {string[]} filters - Filter rules
+ * @returns {string[]} - "--filter" arguments
  */
-function saveLocalCache() {
-    try {
-        ensureCacheDir();
-        const cacheData = {
-            data: Object.fromEntries(localCache.data),
-            lastUpdated: localCache.lastUpdated,
-            updateInProgress: localCache.updateInProgress,
-            updateStartTime: localCache.updateStartTime
-        };
-        fs.writeFileSync(LOCAL_CACHE_FILE, JSON.stringify(cacheData, null, 2));
-        console.log(`[LOCAL_CACHE] Saved cache to ${LOCAL_CACHE_FILE}`);
-    } catch (error) {
-        console.error(`[LOCAL_CACHE] Failed to save cache:`, error);
-    }
+function rcloneFilterArgs(filters) {
+    return filters.flatMap(rule => ['--filter', rule]);
 }
 
 /**
- * Load local cache from file
+ * Build rclone command line arguments for filter rules and per-remote flags
+ * @param {object} options - Result of getRemoteRcloneOptions
+ * @returns {string[]} - Arguments to put before the path
  */
-function loadLocalCache() {
-    try {
-        if (fs.existsSync(LOCAL_CACHE_FILE)) {
-            const cacheData = JSON.parse(fs.readFileSync(LOCAL_CACHE_FILE, 'utf8'));
-            localCache.data = new Map(Object.entries(cacheData.data || {}));
-            localCache.lastUpdated = cacheData.lastUpdated;
-            localCache.updateInProgress = cacheData.updateInProgress || false;
-            localCache.updateStartTime = cacheData.updateStartTime;
-            console.log(`[LOCAL_CACHE] Loaded cache from ${LOCAL_CACHE_FILE} with ${localCache.data.size} entries`);
-            console.log(`[LOCAL_CACHE] Last updated: ${localCache.lastUpdated}`);
-        } else {
-            console.log(`[LOCAL_CACHE] No cache file found at ${LOCAL_CACHE_FILE}, starting with empty cache`);
-        }
-    } catch (error) {
-        console.error(`[LOCAL_CACHE] Failed to load cache:`, error);
-        console.log(`[LOCAL_CACHE] Starting with empty cache`);
+function rcloneOptionArgs(options) {
+    const args = rcloneFilterArgs(options.filters || []);
+    if (options.fastList) {
+        args.push('--fast-list');
+    }
+    if (options.tpsLimit) {
+        args.push('--tpslimit', String(options.tpsLimit));
     }
+    args.push(...(options.extraFlags || []));
+    return args;
 }
 
 /**
- * Save size history to file
+ * Check whether an rclone failure is likely to go away when the call is repeated
+ * @param {string} message - Error message, including rclone's stderr where available
+ * @returns {boolean} - True for network failures, rate limiting and server errors; false for timeouts and permanent errors
  */
-function saveSizeHistory() {
-    try {
-        ensureCacheDir();
-        const historyData = Object.fromEntries(localSizeHistory.data);
-        fs.writeFileSync(SIZE_HISTORY_FILE, JSON.stringify(historyData, null, 2));
-        console.log(`[LOCAL_CACHE] Saved size history to ${SIZE_HISTORY_FILE}`);
-    } catch (error) {
-        console.error(`[LOCAL_CACHE] Failed to save size history:`, error);
-    }
+function isTransientRcloneError(message) {
+    return TRANSIENT_RCLONE_ERROR_PATTERN.test(message) && !/ timed out after /.test(message);
 }
 
 /**
- * Load size history from file
+ * Run an rclone call, repeating it with exponential backoff while it fails with a transient error
+ * @param {string} description - Call for log messages, e.g. "rclone size gdrive:"
+ * @param {function} call - Returns a promise for the call's result, rejected when it fails
+ * @param {object} [job] - Job that owns the call, no retries are made once it is cancelled
+ * @param {object} [options] - {retries, retryDelayMs} from getRemoteRcloneOptions, the delay doubles with every retry
+ * @returns {Promise<*>} - Result of the first successful attempt
  */
-function loadSizeHistory() {
-    try {
-        if (fs.existsSync(SIZE_HISTORY_FILE)) {
-            const historyData = JSON.parse(fs.readFileSync(SIZE_HISTORY_FILE, 'utf8'));
-            localSizeHistory.data = new Map(Object.entries(historyData));
-            console.log(`[LOCAL_CACHE] Loaded size history from ${SIZE_HISTORY_FILE} with ${localSizeHistory.data.size} entries`);
-        } else {
-            console.log(`[LOCAL_CACHE] No size history file found at ${SIZE_HISTORY_FILE}, starting with empty history`);
+async function retryRcloneCall(description, call, job = null, options = {}) {
+    const retries = options.retries || 0;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await call();
+        } catch (error) {
+            if (attempt >= retries || (job && job.cancelRequested) || !isTransientRcloneError(error.message)) {
+                throw error;
+            }
+            const delayMs = (options.retryDelayMs || 0) * 2 ** attempt;
+            log('warn', 'rclone', `${description} failed, retrying in ${delayMs / 1000}s (retry ${attempt + 1} of ${retries}):`, error.message);
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+            if (job && job.cancelRequested) {
+                throw error;
+            }
         }
-    } catch (error) {
-        console.error(`[LOCAL_CACHE] Failed to load size history:`, error);
-        console.log(`[LOCAL_CACHE] Starting with empty size history`);
     }
 }
 
 /**
- * Update the cache with size information for all available remotes
- * @returns {Promise<void>}
+ * Explain an rclone failure, naming the timeout when the process was stopped because it ran too long
+ * @param {Error} error - Error from execFile or the rcd request
+ * @param {string} command - rclone command or rc method
+ * @param {object} options - Result of getRemoteRcloneOptions
+ * @param {object} [job] - Job that owns the process
+ * @returns {string} - Error message
  */
-async function updateRemoteCache() {
-    try {
-        // Initialize temporary cache
-        remoteCacheTemp.data = new Map(remoteCache.data);
-        const startTime = new Date();
-        console.log(`[REMOTE_CACHE] Starting cache update at ${startTime.toISOString()}`);
-        console.log(`[REMOTE_CACHE] Retrieving list of available remotes...`);
-
-        const remotes = await getAvailableRemotes();
-        console.log(`[REMOTE_CACHE] Found ${remotes.length} remotes: ${remotes.join(', ')}`);
-
-        // Process each remote
-        for (let i = 0; i < remotes.length; i++) {
-            const remote = remotes[i];
-            const remotePath = `${remote}:`;
-
-            const remoteStartTime = new Date();
-            console.log(`[REMOTE_CACHE] (${i+1}/${remotes.length}) Starting size calculation for ${remotePath} at ${remoteStartTime.toISOString()}`);
+function describeRcloneError(error, command, options, job) {
+    if (error.killed && options.timeoutMs && !(job && job.cancelRequested)) {
+        return `rclone ${command} timed out after ${options.timeoutMs / 1000}s`;
+    }
+    return error.message;
+}
 
-            try {
-                console.log(`[REMOTE_CACHE] Running rclone size command for ${remotePath} - this may take a while...`);
-                const sizeInfo = await getRcloneSize(remotePath);
+/**
+ * Create an empty size tree, which records the totals of every directory down to a depth below the measured directory
+ * @param {number} depth - Directory levels to record
+ * @returns {{depth: number, directories: object}} - Tree with {[relativePath]: {bytes, count}}, paths separated by "/"
+ */
+function createSizeTree(depth) {
+    return { depth, directories: {} };
+}
 
-                let rootDirectories = new Map();
-                if (!sizeInfo.error) {
-                    try {
-                        console.log(`[REMOTE_CACHE] Getting root directories for ${remotePath}`);
-                        const dirs = await listRootDirectories(remotePath);
-                        console.log(`[REMOTE_CACHE] Found ${dirs.length} root directories`);
+/**
+ * Add files to the totals of a directory and its parents in a size tree, only recording directories within its depth
+ * @param {object} tree - Size tree from createSizeTree
+ * @param {string} relativePath - Directory holding the files, "" for the measured directory itself
+ * @param {number} bytes - Bytes to add, 0 to only record the directory
+ * @param {number} count - Files to add
+ */
+function addToSizeTree(tree, relativePath, bytes, count) {
+    if (!relativePath) {
+        return;
+    }
 
-                        if (dirs.length > 0) {
-                            console.log(`[REMOTE_CACHE] Getting sizes for root directories...`);
-                            rootDirectories = await getDirectorySizes(remotePath, dirs);
-                        }
-                    } catch (dirError) {
-                        console.error(`[REMOTE_CACHE] Error getting root directories:`, dirError);
-                    }
-                }
+    const parts = relativePath.split('/');
+    let key = '';
+    for (let i = 0; i < Math.min(parts.length, tree.depth); i++) {
+        key = key ? `${key}/${parts[i]}` : parts[i];
+        const totals = tree.directories[key] || (tree.directories[key] = { bytes: 0, count: 0 });
+        totals.bytes += bytes;
+        totals.count += count;
+    }
+}
 
-                const remoteEndTime = new Date();
-                const durationMs = remoteEndTime - remoteStartTime;
-                const durationSec = (durationMs / 1000).toFixed(2);
+/**
+ * Get the top-level directories of a size tree
+ * @param {object} tree - Size tree from createSizeTree
+ * @returns {Map<string, {bytes, count}>} - Totals by directory name
+ */
+function getSizeTreeRootDirectories(tree) {
+    return new Map(Object.entries(tree.directories)
+        .filter(([relativePath]) => !relativePath.includes('/'))
+        .sort(([a], [b]) => a.localeCompare(b)));
+}
 
-                if (!sizeInfo.error) {
-                    remoteCacheTemp.data.set(remotePath, {
-                        bytes: sizeInfo.bytes || 0,
-                        count: sizeInfo.count || 0,
-                        timestamp: new Date().toISOString(),
-                        calculationDurationMs: durationMs,
-                        directories: Array.from(rootDirectories.entries()).map(([name, info]) => ({
-                            name,
-                            bytes: info.bytes || 0,
-                            formatted: formatBytes(info.bytes || 0),
-                            count: info.count || 0,
-                            error: info.error || null
-                        }))
-                    });
+/**
+ * Build a nested size tree for a treemap from the directory totals recorded in a size tree
+ * @param {object} tree - Size tree from createSizeTree
+ * @param {{name, bytes, count}} root - Totals of the measured directory
+ * @param {string} [relativePath] - Directory to start at, "" for the measured directory
+ * @param {number} [depth] - Levels below the start to include, every recorded level by default
+ * @returns {object|null} - Nested {name, path, bytes, formatted, count, files, children}, null if the directory is not recorded.
+ *   children is null where the tree stops, otherwise files holds the totals of the files directly inside the directory
+ */
+function buildSizeTree(tree, root, relativePath = '', depth = Infinity) {
+    const totals = relativePath ? tree.directories[relativePath] : root;
+    if (!totals) {
+        return null;
+    }
 
-                    console.log(`[REMOTE_CACHE] ✓ Updated cache for ${remotePath}: ${formatBytes(sizeInfo.bytes || 0)}, ${sizeInfo.count || 0} objects, took ${durationSec}s`);
-                } else {
-                    console.error(`[REMOTE_CACHE] ✗ Error getting size for ${remotePath} after ${durationSec}s:`, sizeInfo.error);
-                    if (sizeInfo.stderr) {
-                        console.error(`[REMOTE_CACHE] stderr: ${sizeInfo.stderr}`);
-                    }
-                }
-            } catch (remoteError) {
-                const remoteEndTime = new Date();
-                const durationSec = ((remoteEndTime - remoteStartTime) / 1000).toFixed(2);
-                console.error(`[REMOTE_CACHE] ✗ Failed to process remote ${remote} after ${durationSec}s:`, remoteError);
-            }
+    const childrenByParent = new Map();
+    for (const key of Object.keys(tree.directories)) {
+        const slash = key.lastIndexOf('/');
+        const parent = slash === -1 ? '' : key.slice(0, slash);
+        if (!childrenByParent.has(parent)) {
+            childrenByParent.set(parent, []);
         }
+        childrenByParent.get(parent).push(key);
+    }
 
-        const endTime = new Date();
-        const totalDurationSec = ((endTime - startTime) / 1000).toFixed(2);
-
-        remoteCache.lastUpdated = endTime.toISOString();
-        console.log(`[REMOTE_CACHE] Remote cache update completed at ${endTime.toISOString()}`);
-        console.log(`[REMOTE_CACHE] Total update duration: ${totalDurationSec}s for ${remotes.length} remotes`);
-        console.log(`[REMOTE_CACHE] Cache now contains ${remoteCache.data.size} entries`);
-
-        // Log a summary of the cached data
-        console.log(`[REMOTE_CACHE] Cache summary:`);
-        for (const [path, data] of remoteCache.data.entries()) {
-            const duration = data.calculationDurationMs ?
-                `${(data.calculationDurationMs / 1000).toFixed(2)}s` : 'unknown';
-            console.log(`[REMOTE_CACHE]   - ${path}: ${formatBytes(data.bytes)}, ${data.count} objects, calculation took ${duration}`);
+    const startLevel = relativePath ? relativePath.split('/').length : 0;
+    const maxLevel = Math.min(startLevel + depth, tree.depth);
+    const buildNode = (key, name, { bytes, count }, level) => {
+        const node = { name, path: key, bytes, formatted: formatBytes(bytes), count, files: null, children: null };
+        if (level < maxLevel) {
+            // Largest first, the order treemaps lay out their tiles in
+            node.children = (childrenByParent.get(key) || [])
+                .map(childKey => buildNode(childKey, childKey.slice(childKey.lastIndexOf('/') + 1), tree.directories[childKey], level + 1))
+                .sort((a, b) => b.bytes - a.bytes || a.name.localeCompare(b.name));
+            const fileBytes = bytes - node.children.reduce((total, child) => total + child.bytes, 0);
+            const fileCount = count - node.children.reduce((total, child) => total + child.count, 0);
+            node.files = { bytes: fileBytes, formatted: formatBytes(fileBytes), count: fileCount };
         }
-    } catch (error) {
-        console.error(`[REMOTE_CACHE] Failed to update remote cache:`, error);
-    } finally {
-        // Replace the main cache with the temporary cache all at once
-        remoteCache.data = new Map(remoteCacheTemp.data);
-        remoteCacheTemp.data.clear();
-        remoteCache.updateInProgress = false;
-        remoteCache.updateStartTime = null;
-        saveRemoteCache()
-    }
+        return node;
+    };
+
+    const name = relativePath ? relativePath.slice(relativePath.lastIndexOf('/') + 1) : root.name;
+    return buildNode(relativePath, name, totals, startLevel);
 }
 
 /**
- * NEW: Update the cache with size information for all tracked local directories
- * @returns {Promise<void>}
+ * Walk a local directory tree without blocking the event loop, counting files, directories and bytes
+ * @param {string} directoryPath - Path of the directory to measure, its filter rules are applied the way rclone applies them
+ * @param {object} [job] - Job to check for cancellation
+ * @param {object} [previousSnapshot] - Snapshot of the last scan; directories whose mtime is unchanged reuse their recorded files
+ * @returns {Promise<object>} - Totals, per-subdirectory totals, the paths that could not be read and a new snapshot
  */
-async function updateLocalCache() {
-    try {
-        if (localCache.data.size === 0) {
-            console.log(`[LOCAL_CACHE] No local directories to update in cache`);
+async function scanLocalDirectory(directoryPath, job = null, previousSnapshot = null) {
+    const { concurrency, symlinks, dedupeHardlinks } = config.localScan;
+    const treeDepth = getLocalTreeDepth(directoryPath);
+    const filters = getFilterRules(null, directoryPath);
+    const compiledFilters = compileFilterRules(filters);
+    const options = `${symlinks}:${dedupeHardlinks}:${JSON.stringify(filters)}`;
+    const previousDirectories = previousSnapshot && previousSnapshot.options === options ? previousSnapshot.directories : null;
+    const result = {
+        bytes: 0,
+        count: 0,
+        directoryCount: 0,
+        skippedSymlinks: 0,
+        skippedHardlinks: 0,
+        excludedFiles: 0,
+        excludedDirectories: 0,
+        errorCount: 0,
+        errors: [],
+        filters,
+        incremental: Boolean(previousDirectories),
+        directoriesRescanned: 0,
+        directoriesReused: 0,
+        cancelled: false
+    };
+    const subdirectories = new Map(); // Map<name, {bytes, count}>
+    const tree = treeDepth ? createSizeTree(treeDepth) : null;
+    const snapshotDirectories = {}; // {[relativePath]: {mtimeMs, bytes, count, skippedSymlinks, excludedFiles, excludedDirectories, links, directories}}
+    const seenInodes = new Set();
+    const visitedDirectories = new Set();
+    const queue = [];
+    const waiting = [];
+    let active = 0;
+
+    const recordError = (entryPath, error) => {
+        result.errorCount++;
+        if (result.errors.length < LOCAL_SCAN_MAX_ERRORS) {
+            result.errors.push({ path: entryPath, code: error.code || null, error: error.message });
+        }
+    };
+
+    const addToTotals = (bytes, count, top, relativePath) => {
+        result.bytes += bytes;
+        result.count += count;
+        if (top !== null) {
+            const subdirectory = subdirectories.get(top);
+            subdirectory.bytes += bytes;
+            subdirectory.count += count;
+        }
+        if (tree) {
+            addToSizeTree(tree, relativePath, bytes, count);
+        }
+    };
+
+    // Files with several hard links are only counted the first time one of their links is seen
+    const addHardlinkedFile = (inodeKey, size, top, relativePath) => {
+        if (seenInodes.has(inodeKey)) {
+            result.skippedHardlinks++;
             return;
         }
+        seenInodes.add(inodeKey);
+        addToTotals(size, 1, top, relativePath);
+    };
 
-        const startTime = new Date();
-        console.log(`[LOCAL_CACHE] Starting cache update at ${startTime.toISOString()}`);
-        console.log(`[LOCAL_CACHE] Found ${localCache.data.size} directories to update`);
+    // Stat an entry according to the symlink policy, null for symlinks that are skipped
+    const statEntry = async entryPath => {
+        const stats = await fs.promises.lstat(entryPath);
+        if (!stats.isSymbolicLink()) {
+            return stats;
+        }
+        if (symlinks === 'skip') {
+            return null;
+        }
+        return symlinks === 'follow' ? fs.promises.stat(entryPath) : stats;
+    };
+
+    // Remember a directory by device and inode so followed symlinks cannot loop
+    const enqueueDirectory = (dirPath, stats, top, relativePath) => {
+        const key = `${stats.dev}:${stats.ino}`;
+        if (visitedDirectories.has(key)) {
+            return false;
+        }
+        visitedDirectories.add(key);
+        queue.push({ dirPath, stats, top, relativePath });
+        return true;
+    };
 
-        const localDirs = Array.from(localCache.data.keys());
+    const addDirectory = (entryPath, name, stats, top, relativePath) => {
+        if (top === null && !subdirectories.has(name)) {
+            subdirectories.set(name, { bytes: 0, count: 0 });
+        }
+        const childPath = relativePath ? `${relativePath}/${name}` : name;
+        if (enqueueDirectory(entryPath, stats, top === null ? name : top, childPath)) {
+            result.directoryCount++;
+            if (tree) {
+                addToSizeTree(tree, childPath, 0, 0);
+            }
+        }
+    };
 
-        // Process each directory
-        for (let i = 0; i < localDirs.length; i++) {
-            const localDir = localDirs[i];
+    // An unchanged directory mtime means no entries were added, removed or renamed, so only its subdirectories need a look
+    const reuseDirectory = async ({ dirPath, top, relativePath }, previous) => {
+        result.directoriesReused++;
+        result.skippedSymlinks += previous.skippedSymlinks;
+        result.excludedFiles += previous.excludedFiles || 0;
+        result.excludedDirectories += previous.excludedDirectories || 0;
+        addToTotals(previous.bytes, previous.count, top, relativePath);
+        for (const [inodeKey, size] of previous.links) {
+            addHardlinkedFile(inodeKey, size, top, relativePath);
+        }
+        snapshotDirectories[relativePath] = previous;
 
-            const dirStartTime = new Date();
-            console.log(`[LOCAL_CACHE] (${i+1}/${localDirs.length}) Starting size calculation for ${localDir} at ${dirStartTime.toISOString()}`);
+        for (const name of previous.directories) {
+            if (job && job.cancelRequested) {
+                result.cancelled = true;
+                return;
+            }
 
+            const entryPath = path.join(dirPath, name);
             try {
-                if (!fs.existsSync(localDir)) {
-                    console.error(`[LOCAL_CACHE] ✗ Directory no longer exists: ${localDir}`);
-                    // Keep the entry but mark it as inaccessible
-                    localCache.data.set(localDir, {
-                        ...localCache.data.get(localDir),
-                        error: 'Directory no longer exists',
-                        timestamp: new Date().toISOString()
-                    });
-                    continue;
+                const stats = await statEntry(entryPath);
+                if (stats && stats.isDirectory()) {
+                    addDirectory(entryPath, name, stats, top, relativePath);
                 }
+            } catch (error) {
+                recordError(entryPath, error);
+            }
+        }
+    };
 
-                console.log(`[LOCAL_CACHE] Calculating size for ${localDir} - this may take a while...`);
-                const sizeBytes = await getDirectorySize(localDir);
+    const scanDirectory = async item => {
+        const { dirPath, stats, top, relativePath } = item;
+        const previous = previousDirectories && previousDirectories[relativePath];
+        if (previous && previous.mtimeMs === stats.mtimeMs) {
+            await reuseDirectory(item, previous);
+            return;
+        }
 
-                const dirEndTime = new Date();
-                const durationMs = dirEndTime - dirStartTime;
-                const durationSec = (durationMs / 1000).toFixed(2);
+        result.directoriesRescanned++;
+        const own = { mtimeMs: stats.mtimeMs, bytes: 0, count: 0, skippedSymlinks: 0, excludedFiles: 0, excludedDirectories: 0, links: [], directories: [] };
+        let complete = true;
 
-                const currentTime = new Date();
-                localCacheTemp.data.set(localDir, {
-                    bytes: sizeBytes,
-                    count: null,
-                    timestamp: currentTime.toISOString(),
-                    calculationDurationMs: durationMs
-                });
+        let dir;
+        try {
+            dir = await fs.promises.opendir(dirPath);
+        } catch (error) {
+            recordError(dirPath, error);
+            return;
+        }
 
-                if (!localSizeHistory.data.has(localDir)) {
-                    localSizeHistory.data.set(localDir, []);
+        try {
+            for await (const entry of dir) {
+                if (job && job.cancelRequested) {
+                    result.cancelled = true;
+                    complete = false;
+                    break;
                 }
 
-                const history = localSizeHistory.data.get(localDir);
-                const lastEntry = history[history.length - 1];
-
-                if (!lastEntry || lastEntry.bytes !== sizeBytes) {
-                    history.push({
-                        timestamp: currentTime.toISOString(),
-                        bytes: sizeBytes
-                    });
-
-                    // Keep only last 30 days of history to prevent memory issues
-                    const thirtyDaysAgo = new Date(currentTime - 30 * 24 * 60 * 60 * 1000);
-                    const filteredHistory = history.filter(entry =>
-                        new Date(entry.timestamp) > thirtyDaysAgo
-                    );
-                    localSizeHistory.data.set(localDir, filteredHistory);
+                const entryPath = path.join(dirPath, entry.name);
+                const entryRelativePath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+                try {
+                    const entryStats = await statEntry(entryPath);
+                    if (!entryStats) {
+                        result.skippedSymlinks++;
+                        own.skippedSymlinks++;
+                    } else if (entryStats.isDirectory()) {
+                        if (!isDirectoryIncluded(compiledFilters, entryRelativePath)) {
+                            result.excludedDirectories++;
+                            own.excludedDirectories++;
+                            continue;
+                        }
+                        own.directories.push(entry.name);
+                        addDirectory(entryPath, entry.name, entryStats, top, relativePath);
+                    } else if (!isFileIncluded(compiledFilters, entryRelativePath)) {
+                        result.excludedFiles++;
+                        own.excludedFiles++;
+                    } else if (entryStats.isFile() || entryStats.isSymbolicLink()) {
+                        if (dedupeHardlinks && entryStats.nlink > 1) {
+                            const inodeKey = `${entryStats.dev}:${entryStats.ino}`;
+                            own.links.push([inodeKey, entryStats.size]);
+                            addHardlinkedFile(inodeKey, entryStats.size, top, relativePath);
+                        } else {
+                            own.bytes += entryStats.size;
+                            own.count++;
+                            addToTotals(entryStats.size, 1, top, relativePath);
+                        }
+                    }
+                } catch (error) {
+                    recordError(entryPath, error);
+                    complete = false;
                 }
-
-                console.log(`[LOCAL_CACHE] ✓ Updated cache for ${localDir}: ${formatBytes(sizeBytes)}, took ${durationSec}s`);
-            } catch (dirError) {
-                const dirEndTime = new Date();
-                const durationSec = ((dirEndTime - dirStartTime) / 1000).toFixed(2);
-                console.error(`[LOCAL_CACHE] ✗ Failed to process directory ${localDir} after ${durationSec}s:`, dirError);
-
-                // Store the error in the cache
-                localCache.data.set(localDir, {
-                    ...localCache.data.get(localDir),
-                    error: dirError.message,
-                    timestamp: new Date().toISOString()
-                });
             }
+        } catch (error) {
+            recordError(dirPath, error);
+            complete = false;
         }
 
-        const endTime = new Date();
-        const totalDurationSec = ((endTime - startTime) / 1000).toFixed(2);
+        // Directories with unreadable entries are scanned again next time
+        if (complete) {
+            snapshotDirectories[relativePath] = own;
+        }
+    };
 
-        localCache.lastUpdated = endTime.toISOString();
-        console.log(`[LOCAL_CACHE] Local cache update completed at ${endTime.toISOString()}`);
-        console.log(`[LOCAL_CACHE] Total update duration: ${totalDurationSec}s for ${localCache.data.size} directories`);
+    const worker = async () => {
+        while (true) {
+            if (job && job.cancelRequested) {
+                result.cancelled = true;
+                return;
+            }
 
-        // Log a summary of the cached data
-        console.log(`[LOCAL_CACHE] Cache summary:`);
-        for (const [dir, data] of localCache.data.entries()) {
-            const duration = data.calculationDurationMs ?
-                `${(data.calculationDurationMs / 1000).toFixed(2)}s` : 'unknown';
-            console.log(`[LOCAL_CACHE]   - ${dir}: ${formatBytes(data.bytes)}, calculation took ${duration}`);
+            const next = queue.shift();
+            if (!next) {
+                if (active === 0) {
+                    return;
+                }
+                // Wait until another worker finishes a directory and may have queued more
+                await new Promise(resolve => waiting.push(resolve));
+                continue;
+            }
+
+            active++;
+            try {
+                await scanDirectory(next);
+            } finally {
+                active--;
+                waiting.splice(0).forEach(resolve => resolve());
+            }
         }
-    } catch (error) {
-        console.error(`[LOCAL_CACHE] Failed to update local cache:`, error);
-    } finally {
-        // Replace the main cache with the temporary cache all at once
-        localCache.data = new Map(localCacheTemp.data);
-        localCacheTemp.data.clear();
-        localCache.updateInProgress = false;
-        localCache.updateStartTime = null;
-        saveLocalCache()
-        saveSizeHistory()
-    }
+    };
+
+    enqueueDirectory(directoryPath, await fs.promises.stat(directoryPath), null, '');
+    await Promise.all(Array.from({ length: concurrency }, worker));
+
+    result.directories = Array.from(subdirectories.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, totals]) => ({
+            name,
+            bytes: totals.bytes,
+            formatted: formatBytes(totals.bytes),
+            count: totals.count
+        }));
+    result.tree = tree;
+    result.snapshot = result.cancelled ? null : { options, directories: snapshotDirectories };
+
+    return result;
 }
 
 /**
- * NEW: Add a local directory to the cache
- * @param {string} directoryPath - Path to add to the cache
- * @returns {Promise<object>} - Size information for the directory
+ * Build a local cache entry from a directory scan
+ * @param {object} scan - Result of scanLocalDirectory
+ * @param {Date} endTime - When the scan finished
+ * @param {number} durationMs - How long the scan took
+ * @returns {object} - Local cache entry
  */
-async function addToLocalCache(directoryPath) {
-    try {
-        console.log(`[LOCAL_CACHE] Adding new directory to cache: ${directoryPath}`);
-
-        if (!fs.existsSync(directoryPath)) {
-            throw new Error(`Directory does not exist: ${directoryPath}`);
-        }
-
-        const startTime = new Date();
-        const sizeBytes = await getDirectorySize(directoryPath);
-        const endTime = new Date();
-        const durationMs = endTime - startTime;
-
-        const dirInfo = {
-            bytes: sizeBytes,
-            count: null, // We don't track file count for local directories
-            timestamp: endTime.toISOString(),
-            calculationDurationMs: durationMs
-        };
-
-        localCache.data.set(directoryPath, dirInfo);
-
-        if (!localSizeHistory.data.has(directoryPath)) {
-            localSizeHistory.data.set(directoryPath, []);
+function createLocalCacheEntry(scan, endTime, durationMs) {
+    return {
+        bytes: scan.bytes,
+        count: scan.count,
+        directoryCount: scan.directoryCount,
+        timestamp: endTime.toISOString(),
+        calculationDurationMs: durationMs,
+        directories: scan.directories,
+        skippedSymlinks: scan.skippedSymlinks,
+        skippedHardlinks: scan.skippedHardlinks,
+        excludedFiles: scan.excludedFiles,
+        excludedDirectories: scan.excludedDirectories,
+        filters: scan.filters,
+        tree: scan.tree,
+        stale: false,
+        lastError: null,
+        lastSuccessAt: endTime.toISOString(),
+        failureCount: 0,
+        scanErrorCount: scan.errorCount,
+        scanErrors: scan.errors,
+        scanStats: {
+            mode: scan.incremental ? 'incremental' : 'full',
+            directoriesRescanned: scan.directoriesRescanned,
+            directoriesReused: scan.directoriesReused
         }
-        localSizeHistory.data.get(directoryPath).push({
-            timestamp: endTime.toISOString(),
-            bytes: sizeBytes
-        });
-
-        console.log(`[LOCAL_CACHE] Added ${directoryPath} to cache: ${formatBytes(sizeBytes)}, calculation took ${(durationMs/1000).toFixed(2)}s`);
+    };
+}
 
-        saveLocalCache()
-        saveSizeHistory()
-        return dirInfo;
-    } catch (error) {
-        console.error(`[LOCAL_CACHE] Failed to add directory to cache:`, error);
-        throw error;
+/**
+ * Describe whether a cache entry is current or was kept after failed measurements
+ * @param {object|null} data - Remote or local cache entry
+ * @returns {object} - {stale, lastError, lastSuccessAt, failureCount}
+ */
+function getCacheEntryStatus(data) {
+    if (!data) {
+        return { stale: false, lastError: null, lastSuccessAt: null, failureCount: 0 };
     }
+    // Local entries written before these fields existed only carry "error"
+    return {
+        stale: Boolean(data.stale || data.error),
+        lastError: data.lastError || (data.error ? { message: data.error, at: data.timestamp } : null),
+        lastSuccessAt: data.lastSuccessAt || (data.error ? null : data.timestamp) || null,
+        failureCount: data.failureCount || (data.error ? 1 : 0)
+    };
 }
 
+// Names used in directory comparisons of a remote with a local directory, and of any two endpoints
+const REMOTE_LOCAL_TERMS = { source: 'remote', target: 'local', missingInTarget: 'missing-locally', missingInSource: 'missing-remotely' };
+const ENDPOINT_TERMS = { source: 'source', target: 'target', missingInTarget: 'missing-in-target', missingInSource: 'missing-in-source' };
+
 /**
- * Schedule cache updates every 24 hours
- * @param {boolean} updateNow - Whether to update the cache immediately on start
+ * Compare the root directories of two sides with the directories of the same name on the other side
+ * @param {Array<{name, bytes, count, error}>} sourceDirectories - Root directories of the side that should be complete, e.g. the remote
+ * @param {Array<{name, bytes, count, error}>} targetDirectories - Root directories of the copy, e.g. the local subfolders
+ * @param {string[]} [includeDirectories] - Only compare directories with these names
+ * @param {object} [terms] - Names of the sides and statuses, REMOTE_LOCAL_TERMS or ENDPOINT_TERMS
+ * @returns {Array<object>} - Per-directory comparison
  */
-function scheduleCacheUpdates(updateNow = true) {
-    if (updateNow) {
-        console.log(`[CACHE] Initial cache update scheduled to run immediately on startup`);
-        // Use setTimeout with 0 delay to allow the server to start completely before running the cache update
-        setTimeout(() => {
-            remoteCache.updateInProgress = true;
-            remoteCache.updateStartTime = new Date().toISOString();
-            updateRemoteCache().catch(err => {
-                console.error(`[REMOTE_CACHE] Initial cache update failed:`, err);
-            });
+function compareDirectories(sourceDirectories, targetDirectories, includeDirectories, terms = REMOTE_LOCAL_TERMS) {
+    const sourceByName = new Map(sourceDirectories.map(dir => [dir.name, dir]));
+    const targetByName = new Map(targetDirectories.map(dir => [dir.name, dir]));
+    // "missing-locally" is reported as missingLocally
+    const flag = status => status.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+    const describe = (dir, bytes) => ({
+        bytes,
+        formatted: bytes === null ? null : formatBytes(bytes),
+        count: dir.count ?? null,
+        error: dir.error || null
+    });
 
-            // Also update local cache initially
-            localCache.updateInProgress = true;
-            localCache.updateStartTime = new Date().toISOString();
-            updateLocalCache().catch(err => {
-                console.error(`[LOCAL_CACHE] Initial cache update failed:`, err);
-            });
-        }, 0);
-    } else {
-        console.log(`[CACHE] Initial cache update skipped, will run at scheduled interval`);
+    let names = Array.from(new Set([...sourceByName.keys(), ...targetByName.keys()])).sort();
+    if (includeDirectories && Array.isArray(includeDirectories)) {
+        names = names.filter(name => includeDirectories.includes(name));
     }
 
-    // Schedule remote updates every 24 hours
-    const remoteUpdateInterval = 24 * 60 * 60 * 1000;
-    console.log(`[CACHE] Scheduling remote cache updates every 24 hours (${remoteUpdateInterval}ms)`);
+    return names.map(name => {
+        const sourceDir = sourceByName.get(name);
+        const targetDir = targetByName.get(name);
+        const sourceBytes = sourceDir && !sourceDir.error ? sourceDir.bytes : null;
+        const targetBytes = targetDir && !targetDir.error ? targetDir.bytes : null;
+
+        let status;
+        if (sourceDir && sourceDir.error) {
+            status = `${terms.source}-error`;
+        } else if (targetDir && targetDir.error) {
+            status = `${terms.target}-error`;
+        } else if (!targetDir) {
+            status = terms.missingInTarget;
+        } else if (!sourceDir) {
+            status = terms.missingInSource;
+        } else {
+            status = sourceBytes === targetBytes ? 'synced' : 'out-of-sync';
+        }
 
-    setInterval(() => {
-        const nextUpdateTime = new Date();
-        console.log(`[REMOTE_CACHE] Running scheduled cache update at ${nextUpdateTime.toISOString()}`);
-        remoteCache.updateInProgress = true;
-        remoteCache.updateStartTime = nextUpdateTime.toISOString();
-        updateRemoteCache().catch(err => {
-            console.error(`[REMOTE_CACHE] Scheduled cache update failed:`, err);
-        });
-    }, remoteUpdateInterval);
-
-    // Schedule local updates every 1 hour
-    const localUpdateInterval = 60 * 60 * 1000;
-    console.log(`[CACHE] Scheduling local cache updates every 1 hour (${localUpdateInterval}ms)`);
-
-    setInterval(() => {
-        const nextUpdateTime = new Date();
-        console.log(`[LOCAL_CACHE] Running scheduled cache update at ${nextUpdateTime.toISOString()}`);
-        localCache.updateInProgress = true;
-        localCache.updateStartTime = nextUpdateTime.toISOString();
-        updateLocalCache().catch(err => {
-            console.error(`[LOCAL_CACHE] Scheduled cache update failed:`, err);
-        });
-    }, localUpdateInterval);
+        const difference = (sourceBytes || 0) - (targetBytes || 0);
+        const percentageSynced = sourceBytes > 0
+            ? parseFloat(((targetBytes || 0) / sourceBytes * 100).toFixed(2))
+            : (sourceBytes === 0 && targetBytes === 0 ? 100 : 0);
+
+        return {
+            name,
+            status,
+            [flag(terms.missingInTarget)]: !targetDir,
+            [flag(terms.missingInSource)]: !sourceDir,
+            [terms.source]: sourceDir ? describe(sourceDir, sourceBytes) : null,
+            [terms.target]: targetDir ? describe(targetDir, targetBytes) : null,
+            difference: {
+                bytes: difference,
+                formatted: formatBytes(Math.abs(difference)),
+                direction: difference > 0 ? `${terms.source}-larger` : difference < 0 ? `${terms.target}-larger` : 'equal'
+            },
+            percentageSynced
+        };
+    });
 }
 
 /**
- * Get the last modified time when the local directory size changed
- * @param {string} directoryPath - Path to the directory
- * @returns {string|null} - ISO timestamp of last size change, rounded to nearest hour
+ * Get all available rclone remotes
+ * @param {object} [job] - Job that owns the rclone process
+ * @returns {Promise<string[]>} - List of available remotes
  */
-function getLastModified(directoryPath) {
-    const history = localSizeHistory.data.get(directoryPath);
-    if (!history || history.length === 0) {
-        return null;
+async function getAvailableRemotes(job = null) {
+    const { retries, retryDelay } = config.remotes.defaults;
+    const options = { timeoutMs: RCLONE_LISTREMOTES_TIMEOUT_MS, retries, retryDelayMs: parseDuration(retryDelay) };
+    const remotes = await retryRcloneCall('rclone listremotes', () => getRcloneBackend().listRemotes(job, options), job, options);
+    knownRemotes.data = new Set(remotes);
+    knownRemotes.lastUpdated = new Date().toISOString();
+    return remotes;
+}
+
+/**
+ * Check that a remote path from a request is "remote:path" for a remote rclone knows about
+ * @param {string} remotePath - rclone remote path
+ * @returns {Promise<string|null>} - Reason the path is rejected, or null if it is valid
+ */
+async function validateRemotePath(remotePath) {
+    const match = typeof remotePath === 'string' ? REMOTE_PATH_PATTERN.exec(remotePath) : null;
+    if (!match) {
+        return `Invalid remote path: ${remotePath}. Use "remote:path" with a configured rclone remote`;
     }
 
-    // Find the most recent time when size changed
-    for (let i = history.length - 1; i > 0; i--) {
-        if (history[i].bytes !== history[i-1].bytes) {
-            // Round to the nearest hour
-            const changeTime = new Date(history[i].timestamp);
-            changeTime.setMinutes(0, 0, 0);
-            return changeTime.toISOString();
+    const remoteName = match[1];
+    const refreshDue = !knownRemotes.lastUpdated ||
+        Date.now() - Date.parse(knownRemotes.lastUpdated) > KNOWN_REMOTES_REFRESH_MS;
+    if (!knownRemotes.data.has(remoteName) && refreshDue) {
+        try {
+            await getAvailableRemotes();
+        } catch (error) {
+            log('error', 'api', `Failed to refresh the list of rclone remotes:`, error);
         }
     }
 
-    // If no changes found in history, return the first entry
-    if (history.length > 0) {
-        const firstTime = new Date(history[0].timestamp);
-        firstTime.setMinutes(0, 0, 0);
-        return firstTime.toISOString();
+    if (!knownRemotes.data.has(remoteName)) {
+        return `Unknown rclone remote: ${remoteName}`;
     }
-
     return null;
 }
 
 /**
- * Format date to DD/MM/YY HH[AM/PM] format in host timezone
- * @param {string} isoDate - ISO date string
- * @returns {string} - Formatted date string
+ * Get all available rclone remotes using the rclone command line
+ * @param {object} [job] - Job that owns the rclone process
+ * @param {object} [options] - {timeoutMs}
+ * @returns {Promise<string[]>} - List of available remotes
  */
-function formatDateToLocal(isoDate) {
-    if (!isoDate) return null;
-
-    const date = new Date(isoDate);
+function cliGetAvailableRemotes(job = null, options = {}) {
+    return new Promise((resolve, reject) => {
+        trackProcess(job, execFile('rclone', ['listremotes'], { timeout: options.timeoutMs || 0 }, (error, stdout, stderr) => {
+            if (error) {
+                recordRcloneFailure('listremotes');
+                reject(new Error(describeRcloneError(error, 'listremotes', options, job)));
+                return;
+            }
+
+            // Parse remote names (removing trailing colon)
+            const remotes = stdout.split('\n')
+                .filter(line => line.trim().length > 0)
+                .map(remote => remote.trim().replace(/:$/, ''));
+
+            resolve(remotes);
+        }));
+    });
+}
+
+/**
+ * Run rclone size command and get the result
+ * @param {string} remotePath - rclone remote path to measure
+ * @param {object} [job] - Job that owns the rclone process
+ * @param {object} [options] - Filter rules, rclone flags and timeout from getRemoteRcloneOptions
+ * @returns {Promise<object>} - Size information including bytes, count, and error if any
+ */
+async function getRcloneSize(remotePath, job = null, options = {}) {
+    try {
+        return await retryRcloneCall(`rclone size ${remotePath}`, async () => {
+            const sizeInfo = await getRcloneBackend().size(remotePath, job, options);
+            if (sizeInfo.error) {
+                throw Object.assign(new Error(sizeInfo.error), { sizeInfo });
+            }
+            return sizeInfo;
+        }, job, options);
+    } catch (error) {
+        return error.sizeInfo || { error: error.message };
+    }
+}
+
+/**
+ * Run rclone size on the command line and get the result
+ * @param {string} remotePath - rclone remote path to measure
+ * @param {object} [job] - Job that owns the rclone process
+ * @param {object} [options] - Filter rules, rclone flags and timeout from getRemoteRcloneOptions
+ * @returns {Promise<object>} - Size information including bytes, count, and error if any
+ */
+function cliGetRcloneSize(remotePath, job = null, options = {}) {
+    return new Promise((resolve, reject) => {
+        const args = ['size', '--json', ...rcloneOptionArgs(options), '--', remotePath];
+        trackProcess(job, execFile('rclone', args, { timeout: options.timeoutMs || 0 }, (error, stdout, stderr) => {
+            if (error) {
+                recordRcloneFailure('size');
+                resolve({
+                    error: describeRcloneError(error, 'size', options, job),
+                    stdout,
+                    stderr
+                });
+                return;
+            }
+
+            try {
+                const result = JSON.parse(stdout);
+                resolve(result);
+            } catch (parseError) {
+                recordRcloneFailure('size');
+                resolve({
+                    error: `Failed to parse rclone output: ${parseError.message}`,
+                    stdout,
+                    stderr
+                });
+            }
+        }));
+    });
+}
+
+/**
+ * List all files below an rclone path (remote or local) recursively
+ * @param {string} rclonePath - rclone remote path or local directory
+ * @param {boolean} includeHashes - Whether to ask rclone for file hashes
+ * @param {object} [job] - Job that owns the rclone process
+ * @param {object} [options] - Filter rules, rclone flags and timeout from getRemoteRcloneOptions
+ * @returns {Promise<Array<{Path, Size, ModTime, Hashes}>>} - File listing in rclone lsjson format
+ */
+function listRcloneFiles(rclonePath, includeHashes = false, job = null, options = {}) {
+    return retryRcloneCall(`rclone lsjson ${rclonePath}`, () => getRcloneBackend().listFiles(rclonePath, includeHashes, job, options), job, options);
+}
+
+/**
+ * List all files below an rclone path recursively using rclone lsjson
+ * @param {string} rclonePath - rclone remote path or local directory
+ * @param {boolean} includeHashes - Whether to ask rclone for file hashes
+ * @param {object} [job] - Job that owns the rclone process
+ * @param {object} [options] - Filter rules, rclone flags and timeout from getRemoteRcloneOptions
+ * @returns {Promise<Array<{Path, Size, ModTime, Hashes}>>} - File listing from rclone lsjson
+ */
+function cliListRcloneFiles(rclonePath, includeHashes = false, job = null, options = {}) {
+    return new Promise((resolve, reject) => {
+        // "--" stops a path starting with "-" from being read as a flag
+        const args = ['lsjson', '-R', '--files-only'];
+        if (includeHashes) {
+            args.push('--hash');
+        }
+        args.push(...rcloneOptionArgs(options), '--', rclonePath);
+        trackProcess(job, execFile('rclone', args, { maxBuffer: RCLONE_LIST_MAX_BUFFER, timeout: options.timeoutMs || 0 }, (error, stdout, stderr) => {
+            if (error) {
+                recordRcloneFailure('lsjson');
+                reject(new Error(describeRcloneError(error, 'lsjson', options, job)));
+                return;
+            }
+
+            try {
+                resolve(JSON.parse(stdout));
+            } catch (parseError) {
+                recordRcloneFailure('lsjson');
+                reject(new Error(`Failed to parse rclone output: ${parseError.message}`));
+            }
+        }));
+    });
+}
+
+/**
+ * Visit every file and directory below an rclone path (remote or local) recursively
+ * @param {string} rclonePath - rclone remote path or local directory
+ * @param {function} onEntry - Called with each {Path, Size, IsDir} entry
+ * @param {object} [job] - Job that owns the rclone process
+ * @param {object} [options] - Filter rules, rclone flags and timeout from getRemoteRcloneOptions
+ * @returns {Promise<void>}
+ */
+function walkRcloneEntries(rclonePath, onEntry, job = null, options = {}) {
+    return getRcloneBackend().walkEntries(rclonePath, onEntry, job, options);
+}
+
+/**
+ * Visit every entry below an rclone path using rclone lsjson, reading its output line by line
+ * so listings of large remotes are never held in memory as a whole
+ * @param {string} rclonePath - rclone remote path or local directory
+ * @param {function} onEntry - Called with each {Path, Size, IsDir} entry
+ * @param {object} [job] - Job that owns the rclone process
+ * @param {object} [options] - Filter rules, rclone flags and timeout from getRemoteRcloneOptions
+ * @returns {Promise<void>}
+ */
+function cliWalkRcloneEntries(rclonePath, onEntry, job = null, options = {}) {
+    return new Promise((resolve, reject) => {
+        const args = ['lsjson', '-R', '--no-modtime', '--no-mimetype', ...rcloneOptionArgs(options), '--', rclonePath];
+        const child = trackProcess(job, spawn('rclone', args, { timeout: options.timeoutMs || 0 }));
+        let stderr = '';
+        let parseError = null;
+
+        child.stderr.setEncoding('utf8');
+        child.stderr.on('data', chunk => {
+            stderr = (stderr + chunk).slice(-4096);
+        });
+
+        // lsjson prints "[", then one entry per line followed by a comma, then "]"
+        readline.createInterface({ input: child.stdout }).on('line', line => {
+            const item = line.trim().replace(/,$/, '');
+            if (parseError || !item.startsWith('{')) {
+                return;
+            }
+            try {
+                onEntry(JSON.parse(item));
+            } catch (error) {
+                parseError = error;
+            }
+        });
+
+        child.on('error', error => {
+            recordRcloneFailure('lsjson');
+            reject(error);
+        });
+        child.on('close', (code, signal) => {
+            if (code !== 0) {
+                recordRcloneFailure('lsjson');
+                const error = new Error(`rclone lsjson ${signal ? `was stopped by ${signal}` : `exited with code ${code}`}: ${stderr.trim()}`);
+                error.killed = Boolean(signal);
+                reject(new Error(describeRcloneError(error, 'lsjson', options, job)));
+            } else if (parseError) {
+                recordRcloneFailure('lsjson');
+                reject(new Error(`Failed to parse rclone output: ${parseError.message}`));
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Call a method on the rclone remote control API of a running rclone rcd
+ * @param {string} method - rc method, e.g. "operations/size"
+ * @param {object} params - Method parameters
+ * @param {object} [job] - Job that owns the request
+ * @param {object} [options] - Filter rules, rclone flags and timeout from getRemoteRcloneOptions
+ * @returns {Promise<object>} - Parsed JSON response
+ */
+function rcdRequest(method, params = {}, job = null, options = {}) {
+    return new Promise((resolve, reject) => {
+        const { url, user, pass } = config.rclone;
+        const target = new URL(method, url.endsWith('/') ? url : `${url}/`);
+        const client = target.protocol === 'https:' ? https : http;
+        const filters = options.filters || [];
+        const rcloneConfig = {};
+        if (options.fastList) {
+            rcloneConfig.UseListR = true;
+        }
+        if (options.tpsLimit) {
+            rcloneConfig.TPSLimit = options.tpsLimit;
+        }
+        // Extra flags only apply to the command line, rcd takes its flags when it is started
+        const body = JSON.stringify({
+            ...params,
+            ...(filters.length > 0 ? { _filter: { FilterRule: filters } } : {}),
+            ...(Object.keys(rcloneConfig).length > 0 ? { _config: rcloneConfig } : {})
+        });
+        const headers = {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body)
+        };
+        if (user) {
+            headers.Authorization = `Basic ${Buffer.from(`${user}:${pass || ''}`).toString('base64')}`;
+        }
+
+        const req = client.request(target, { method: 'POST', headers }, res => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                data += chunk;
+            });
+            res.on('end', () => {
+                let result;
+                try {
+                    result = JSON.parse(data);
+                } catch (parseError) {
+                    reject(new Error(`rclone rcd ${method} returned HTTP ${res.statusCode} with invalid JSON: ${parseError.message}`));
+                    return;
+                }
+
+                if (res.statusCode >= 400) {
+                    reject(new Error(`rclone rcd ${method} failed with HTTP ${res.statusCode}: ${result.error || data}`));
+                    return;
+                }
+                resolve(result);
+            });
+        });
+
+        req.on('error', error => reject(new Error(describeRcloneError(error, method, options, job))));
+        if (options.timeoutMs) {
+            req.setTimeout(options.timeoutMs, () => {
+                const error = new Error(`rclone rcd ${method} timed out`);
+                error.killed = true;
+                req.destroy(error);
+            });
+        }
+        trackProcess(job, req);
+        req.end(body);
+    });
+}
+
+/**
+ * Get all available rclone remotes from rclone rcd
+ * @param {object} [job] - Job that owns the request
+ * @param {object} [options] - {timeoutMs}
+ * @returns {Promise<string[]>} - List of available remotes
+ */
+async function rcdGetAvailableRemotes(job = null, options = {}) {
+    try {
+        const result = await rcdRequest('config/listremotes', {}, job, options);
+        return result.remotes || [];
+    } catch (error) {
+        recordRcloneFailure('config/listremotes');
+        throw error;
+    }
+}
+
+/**
+ * Get the size of a remote path from rclone rcd
+ * @param {string} remotePath - rclone remote path to measure
+ * @param {object} [job] - Job that owns the request
+ * @param {object} [options] - Filter rules, rclone flags and timeout from getRemoteRcloneOptions
+ * @returns {Promise<object>} - Size information including bytes, count, and error if any
+ */
+async function rcdGetRcloneSize(remotePath, job = null, options = {}) {
+    try {
+        const { count, bytes, sizeless } = await rcdRequest('operations/size', { fs: remotePath }, job, options);
+        return { count, bytes, sizeless };
+    } catch (error) {
+        recordRcloneFailure('operations/size');
+        return { error: error.message };
+    }
+}
+
+/**
+ * List all directories in the root of a remote using rclone rcd
+ * @param {string} remotePath - rclone remote path
+ * @param {object} [job] - Job that owns the request
+ * @param {object} [options] - Filter rules, rclone flags and timeout from getRemoteRcloneOptions
+ * @returns {Promise<string[]>} - List of directory names
+ */
+async function rcdListRootDirectories(remotePath, job = null, options = {}) {
+    try {
+        const result = await rcdRequest('operations/list', { fs: remotePath, remote: '', opt: { dirsOnly: true } }, job, options);
+        return (result.list || []).map(item => item.Path);
+    } catch (error) {
+        recordRcloneFailure('operations/list');
+        throw error;
+    }
+}
+
+/**
+ * List all files below an rclone path recursively using rclone rcd
+ * @param {string} rclonePath - rclone remote path or local directory on the rcd host
+ * @param {boolean} includeHashes - Whether to ask rclone for file hashes
+ * @param {object} [job] - Job that owns the request
+ * @param {object} [options] - Filter rules, rclone flags and timeout from getRemoteRcloneOptions
+ * @returns {Promise<Array<{Path, Size, ModTime, Hashes}>>} - File listing from operations/list
+ */
+async function rcdListRcloneFiles(rclonePath, includeHashes = false, job = null, options = {}) {
+    try {
+        const result = await rcdRequest('operations/list', {
+            fs: rclonePath,
+            remote: '',
+            opt: { recurse: true, filesOnly: true, showHash: includeHashes }
+        }, job, options);
+        return result.list || [];
+    } catch (error) {
+        recordRcloneFailure('operations/list');
+        throw error;
+    }
+}
+
+/**
+ * Visit every entry below an rclone path using rclone rcd
+ * @param {string} rclonePath - rclone remote path or local directory on the rcd host
+ * @param {function} onEntry - Called with each {Path, Size, IsDir} entry
+ * @param {object} [job] - Job that owns the request
+ * @param {object} [options] - Filter rules, rclone flags and timeout from getRemoteRcloneOptions
+ * @returns {Promise<void>}
+ */
+async function rcdWalkRcloneEntries(rclonePath, onEntry, job = null, options = {}) {
+    let result;
+    try {
+        result = await rcdRequest('operations/list', {
+            fs: rclonePath,
+            remote: '',
+            opt: { recurse: true, noModTime: true, noMimeType: true }
+        }, job, options);
+    } catch (error) {
+        recordRcloneFailure('operations/list');
+        throw error;
+    }
+    (result.list || []).forEach(onEntry);
+}
+
+// Ways of talking to rclone, selected with "rclone.backend" in the config file
+const rcloneBackends = {
+    cli: {
+        listRemotes: cliGetAvailableRemotes,
+        size: cliGetRcloneSize,
+        listDirectories: cliListRootDirectories,
+        listFiles: cliListRcloneFiles,
+        walkEntries: cliWalkRcloneEntries,
+        stats: null
+    },
+    rcd: {
+        listRemotes: rcdGetAvailableRemotes,
+        size: rcdGetRcloneSize,
+        listDirectories: rcdListRootDirectories,
+        listFiles: rcdListRcloneFiles,
+        walkEntries: rcdWalkRcloneEntries,
+        stats: (job, options) => rcdRequest('core/stats', {}, job, options)
+    }
+};
+
+/**
+ * Get the configured rclone backend
+ * @returns {object} - Backend with listRemotes, size, listDirectories, listFiles, walkEntries and stats
+ */
+function getRcloneBackend() {
+    return rcloneBackends[config.rclone.backend];
+}
+
+/**
+ * Store a remote cache entry, also writing it to the temporary cache if an update is running
+ * so the entry is not lost when the temporary cache replaces the main cache
+ * @param {string} remotePath - rclone remote path
+ * @param {object} entry - Cache entry
+ */
+function setRemoteCacheEntry(remotePath, entry) {
+    remoteCache.data.set(remotePath, entry);
+    if (remoteCache.updateInProgress) {
+        remoteCacheTemp.data.set(remotePath, entry);
+    }
+}
+
+/**
+ * Record a failed measurement of a remote path, keeping its previous cache entry marked as stale
+ * @param {string} remotePath - rclone remote path, or "rclone listremotes"
+ * @param {string} message - Error message
+ * @param {string} timestamp - When the measurement failed
+ * @returns {number} - Consecutive failures of the path, including this one
+ */
+function recordRemoteFailure(remotePath, message, timestamp) {
+    const previous = (remoteCache.updateInProgress && remoteCacheTemp.data.get(remotePath)) || remoteCache.data.get(remotePath);
+    // remoteErrors is not persisted, so after a restart the count continues from the cache entry
+    const failureCount = ((remoteErrors.data.get(remotePath) || previous || {}).failureCount || 0) + 1;
+    remoteErrors.data.set(remotePath, { error: message, timestamp, failureCount });
+
+    if (previous) {
+        setRemoteCacheEntry(remotePath, {
+            ...previous,
+            stale: true,
+            lastError: { message, at: timestamp },
+            lastSuccessAt: previous.lastSuccessAt || previous.timestamp || null,
+            failureCount
+        });
+    }
+    return failureCount;
+}
+
+/**
+ * Start (or join) an on-demand size calculation for a remote path and store the result in the remote cache
+ * @param {string} remotePath - rclone remote path to measure
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreQuietWindow] - Start even inside a quiet window
+ * @returns {{job: object, promise: Promise<object>}} - The job record and a promise resolving to the cache entry
+ */
+function startDirectSizeJob(remotePath, { ignoreQuietWindow = false } = {}) {
+    // Deduplicate concurrent requests for the same path
+    if (directSizeJobs.inFlight.has(remotePath)) {
+        log('info', 'remote-cache', `Joining in-flight direct size request for ${remotePath}`);
+        return directSizeJobs.inFlight.get(remotePath);
+    }
+    assertOutsideQuietWindow(`a size calculation for ${remotePath}`, ignoreQuietWindow);
+
+    const job = createJob('remote-direct', { trigger: 'api', targets: [remotePath] });
+    job.total = 1;
+    job.currentItem = remotePath;
+
+    log('info', 'remote-cache', `Starting direct size request ${job.id} for ${remotePath}`);
+    const startTime = new Date();
+    const rcloneOptions = getRemoteRcloneOptions(remotePath);
+    const promise = getRcloneSize(remotePath, job, rcloneOptions)
+        .then(sizeInfo => {
+            const endTime = new Date();
+
+            if (job.cancelRequested) {
+                finishJob(job, 'cancelled');
+                throw new Error('Size calculation was cancelled');
+            }
+            if (sizeInfo.error) {
+                recordRemoteFailure(remotePath, sizeInfo.error, endTime.toISOString());
+                saveRemoteCache();
+                addJobError(job, remotePath, sizeInfo.error);
+                finishJob(job, 'failed');
+                log('error', 'remote-cache', `✗ Direct size request for ${remotePath} failed:`, sizeInfo.error);
+                throw new Error(sizeInfo.error);
+            }
+
+            const entry = {
+                bytes: sizeInfo.bytes || 0,
+                count: sizeInfo.count || 0,
+                timestamp: endTime.toISOString(),
+                calculationDurationMs: endTime - startTime,
+                directories: [],
+                filters: rcloneOptions.filters,
+                direct: true,
+                stale: false,
+                lastError: null,
+                lastSuccessAt: endTime.toISOString(),
+                failureCount: 0
+            };
+            remoteErrors.data.delete(remotePath);
+            setRemoteCacheEntry(remotePath, entry);
+            recordRemoteHistory(remotePath, entry);
+            saveRemoteCache();
+            saveRemoteHistory();
+
+            job.completed = 1;
+            job.result = { bytes: entry.bytes, count: entry.count };
+            finishJob(job, 'completed');
+            log('info', 'remote-cache', `✓ Direct size request for ${remotePath}: ${formatBytes(entry.bytes)}, ${entry.count} objects, took ${(entry.calculationDurationMs / 1000).toFixed(2)}s`);
+            return entry;
+        })
+        .finally(() => {
+            directSizeJobs.inFlight.delete(remotePath);
+        });
+
+    // Avoid unhandled rejections when nobody is waiting on the job anymore
+    promise.catch(() => {});
+
+    const inFlight = { job, promise };
+    directSizeJobs.inFlight.set(remotePath, inFlight);
+    return inFlight;
+}
+
+/**
+ * Wait for a direct size job, giving up after a maximum wait
+ * @param {Promise<object>} promise - Job promise
+ * @param {number} maxWaitMs - Maximum time to wait in milliseconds, 0 to wait until done
+ * @returns {Promise<object|null>} - Cache entry, or null if the wait timed out
+ */
+function waitForDirectSizeJob(promise, maxWaitMs) {
+    if (!maxWaitMs || maxWaitMs <= 0) {
+        return promise;
+    }
+
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve(null), maxWaitMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Format bytes to human-readable format
+ * @param {number} bytes - Bytes to format
+ * @param {number} decimals - Number of decimal places
+ * @returns {string} - Formatted string
+ */
+function formatBytes(bytes, decimals = 2) {
+    if (bytes === 0) return '0 Bytes';
+
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB', 'PB', 'EB', 'ZB', 'YB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(decimals)) + ' ' + sizes[i];
+}
+
+/**
+ * Ensure cache directory exists
+ */
+function ensureCacheDir() {
+    if (!fs.existsSync(CACHE_DIR)) {
+        log('info', 'cache', `Creating cache directory at ${CACHE_DIR}`);
+        fs.mkdirSync(CACHE_DIR, { recursive: true });
+    }
+}
+
+/**
+ * Open a SQLite database with the built-in node:sqlite module, or better-sqlite3 when it is installed
+ * @param {string} file - Database file
+ * @returns {object} - Database handle with exec and prepare
+ */
+function openSqliteDatabase(file) {
+    try {
+        const { DatabaseSync } = require('node:sqlite');
+        return new DatabaseSync(file);
+    } catch (builtinError) {
+        try {
+            const Database = require('better-sqlite3');
+            return new Database(file);
+        } catch (moduleError) {
+            throw new Error('SQLite needs Node.js 22.5 or newer, or the better-sqlite3 package');
+        }
+    }
+}
+
+/**
+ * Open the configured storage backend, falling back to JSON files if SQLite is unavailable
+ */
+function openStorage() {
+    if (config.storage.backend !== 'sqlite') {
+        storage.backend = 'json';
+        return;
+    }
+
+    const file = config.storage.sqlitePath || path.join(CACHE_DIR, 'state.sqlite');
+    try {
+        ensureCacheDir();
+        const db = openSqliteDatabase(file);
+        db.exec('PRAGMA journal_mode = WAL');
+        db.exec(`CREATE TABLE IF NOT EXISTS stores (
+            store TEXT PRIMARY KEY,
+            schema_version INTEGER NOT NULL,
+            saved_at TEXT NOT NULL
+        )`);
+        db.exec(`CREATE TABLE IF NOT EXISTS state (
+            store TEXT NOT NULL,
+            key TEXT NOT NULL,
+            value TEXT NOT NULL,
+            PRIMARY KEY (store, key)
+        )`);
+        storage.db = db;
+        storage.backend = 'sqlite';
+        storage.error = null;
+        log('info', 'cache', `Using SQLite storage at ${file}`);
+    } catch (error) {
+        storage.backend = 'json';
+        storage.error = error.message;
+        log('error', 'cache', `Failed to open SQLite storage at ${file}, using JSON files:`, error.message);
+    }
+}
+
+/**
+ * Replace a file without ever leaving a partly written version behind, keeping the previous version as a backup
+ * @param {string} file - File to write
+ * @param {string} content - New content
+ */
+function writeFileAtomic(file, content) {
+    const tempFile = `${file}.tmp-${process.pid}`;
+    const fd = fs.openSync(tempFile, 'w');
+    try {
+        try {
+            fs.writeSync(fd, content);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    } catch (error) {
+        // A full disk must not leave partly written temporary files behind
+        fs.rmSync(tempFile, { force: true });
+        throw error;
+    }
+
+    // The live file stays in place until the rename replaces it, so there is always a complete version at its path
+    if (fs.existsSync(file)) {
+        fs.copyFileSync(file, `${file}.bak`);
+    }
+    fs.renameSync(tempFile, file);
+
+    // Persist the rename itself, not supported on every platform
+    try {
+        const dirFd = fs.openSync(path.dirname(file), 'r');
+        try {
+            fs.fsyncSync(dirFd);
+        } finally {
+            fs.closeSync(dirFd);
+        }
+    } catch (error) {
+        // Ignored, the file content is already on disk
+    }
+}
+
+/**
+ * Bring state saved with an older schema version up to date
+ * @param {number} version - Schema version the state was saved with
+ * @param {*} data - Saved state
+ * @returns {*} - State in the current format
+ */
+function migrateState(version, data) {
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Invalid schema version ${version}`);
+    }
+    if (version > STORAGE_SCHEMA_VERSION) {
+        throw new Error(`Schema version ${version} is newer than this version of the service supports (${STORAGE_SCHEMA_VERSION})`);
+    }
+
+    let migrated = data;
+    for (let from = version; from < STORAGE_SCHEMA_VERSION; from++) {
+        migrated = STORAGE_MIGRATIONS[from](migrated);
+    }
+    return migrated;
+}
+
+/**
+ * Read and migrate a state file, throwing if it is not valid
+ * @param {string} file - State file
+ * @returns {*} - State in the current format
+ */
+function readStateFile(file) {
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!content || typeof content !== 'object') {
+        throw new Error('File does not contain a JSON object');
+    }
+    if (content.schemaVersion === undefined) {
+        return migrateState(1, content);
+    }
+    return migrateState(content.schemaVersion, content.data);
+}
+
+/**
+ * Move a state file that cannot be loaded out of the way, so it is kept for inspection instead of being overwritten
+ * @param {string} file - State file
+ * @param {string} reason - Why it could not be loaded
+ * @returns {object} - Quarantine record shown in /health
+ */
+function quarantineStateFile(file, reason) {
+    const timestamp = new Date().toISOString();
+    const movedTo = `${file}.corrupt-${timestamp.replace(/[:.]/g, '-')}`;
+    const record = { file, reason, movedTo: null, restoredFromBackup: false, timestamp };
+    try {
+        fs.renameSync(file, movedTo);
+        record.movedTo = movedTo;
+        log('error', 'cache', `Quarantined ${file} as ${movedTo}: ${reason}`);
+    } catch (error) {
+        log('error', 'cache', `Failed to quarantine ${file} (${reason}):`, error);
+    }
+    storage.quarantined.push(record);
+    return record;
+}
+
+/**
+ * Load state saved in SQLite
+ * @param {string} store - Name of the state
+ * @returns {object|null} - Saved state, or null if it was never saved to SQLite
+ */
+function loadSqliteState(store) {
+    const saved = storage.db.prepare('SELECT schema_version FROM stores WHERE store = ?').get(store);
+    if (!saved) {
+        return null;
+    }
+
+    const written = new Map();
+    const data = {};
+    for (const row of storage.db.prepare('SELECT key, value FROM state WHERE store = ?').all(store)) {
+        written.set(row.key, row.value);
+        data[row.key] = JSON.parse(row.value);
+    }
+    storage.written.set(store, written);
+    return migrateState(saved.schema_version, data);
+}
+
+/**
+ * Save state to SQLite in one transaction, one row per top-level key so that only changed keys are written
+ * @param {string} store - Name of the state
+ * @param {object} data - State to save
+ */
+function saveSqliteState(store, data) {
+    const db = storage.db;
+    const previous = storage.written.get(store) || new Map();
+    const written = new Map();
+    const upsert = db.prepare('INSERT INTO state (store, key, value) VALUES (?, ?, ?) ON CONFLICT (store, key) DO UPDATE SET value = excluded.value');
+    const remove = db.prepare('DELETE FROM state WHERE store = ? AND key = ?');
+
+    db.exec('BEGIN');
+    try {
+        for (const [key, value] of Object.entries(data)) {
+            const serialized = JSON.stringify(value);
+            if (serialized === undefined) {
+                continue;
+            }
+            if (previous.get(key) !== serialized) {
+                upsert.run(store, key, serialized);
+            }
+            written.set(key, serialized);
+        }
+        for (const key of previous.keys()) {
+            if (!written.has(key)) {
+                remove.run(store, key);
+            }
+        }
+        db.prepare('INSERT INTO stores (store, schema_version, saved_at) VALUES (?, ?, ?) ON CONFLICT (store) DO UPDATE SET schema_version = excluded.schema_version, saved_at = excluded.saved_at')
+            .run(store, STORAGE_SCHEMA_VERSION, new Date().toISOString());
+        db.exec('COMMIT');
+    } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+    }
+    storage.written.set(store, written);
+}
+
+/**
+ * Load persisted state, falling back to the backup when the file is corrupt
+ * @param {string} file - JSON state file, its name without extension names the state in SQLite
+ * @returns {*} - Saved state in the current format, or null if there is none
+ */
+function loadState(file) {
+    if (storage.backend === 'sqlite') {
+        const store = path.basename(file, '.json');
+        try {
+            const data = loadSqliteState(store);
+            if (data !== null) {
+                return data;
+            }
+        } catch (error) {
+            log('error', 'cache', `Failed to load ${store} from SQLite:`, error);
+            storage.quarantined.push({ file: store, reason: error.message, movedTo: null, restoredFromBackup: false, timestamp: new Date().toISOString() });
+            return null;
+        }
+        // Nothing saved to SQLite yet, so import the JSON file if there is one
+    }
+
+    let quarantined = null;
+    for (const candidate of [file, `${file}.bak`]) {
+        if (!fs.existsSync(candidate)) {
+            continue;
+        }
+        try {
+            const data = readStateFile(candidate);
+            if (candidate !== file) {
+                log('info', 'cache', `Restored ${file} from backup ${candidate}`);
+                if (quarantined) {
+                    quarantined.restoredFromBackup = true;
+                }
+            }
+            return data;
+        } catch (error) {
+            const record = quarantineStateFile(candidate, error.message);
+            quarantined = quarantined || record;
+        }
+    }
+    return null;
+}
+
+/**
+ * Describe where a state is persisted, for log messages
+ * @param {string} file - JSON state file
+ * @returns {string} - The file, or the store in the SQLite database
+ */
+function stateLocation(file) {
+    return storage.backend === 'sqlite' ? `SQLite store ${path.basename(file, '.json')}` : file;
+}
+
+/**
+ * Persist state with the configured backend, atomically
+ * @param {string} file - JSON state file, its name without extension names the state in SQLite
+ * @param {*} data - State to save
+ * @param {object} [options] - Save options
+ * @param {boolean} [options.pretty] - Indent the JSON file
+ */
+function saveState(file, data, { pretty = false } = {}) {
+    try {
+        ensureCacheDir();
+        if (storage.backend === 'sqlite') {
+            saveSqliteState(path.basename(file, '.json'), data);
+        } else {
+            const content = { schemaVersion: STORAGE_SCHEMA_VERSION, savedAt: new Date().toISOString(), data };
+            writeFileAtomic(file, pretty ? JSON.stringify(content, null, 2) : JSON.stringify(content));
+        }
+        if (storage.lastSaveError && storage.lastSaveError.file === file) {
+            storage.lastSaveError = null;
+        }
+    } catch (error) {
+        storage.lastSaveError = { file, error: error.message, timestamp: new Date().toISOString() };
+        throw error;
+    }
+}
+
+/**
+ * Load remote cache from file
+ */
+function loadRemoteCache() {
+    try {
+        const cacheData = loadState(REMOTE_CACHE_FILE);
+        if (cacheData) {
+            remoteCache.data = new Map(Object.entries(cacheData.data || {}));
+            remoteCache.lastUpdated = cacheData.lastUpdated;
+            // An update that was running when the file was written ended with the process
+            remoteCache.updateInProgress = false;
+            remoteCache.updateStartTime = null;
+            log('info', 'remote-cache', `Loaded cache from ${stateLocation(REMOTE_CACHE_FILE)} with ${remoteCache.data.size} entries`);
+            log('info', 'remote-cache', `Last updated: ${remoteCache.lastUpdated}`);
+        } else {
+            log('info', 'remote-cache', `No cache file found at ${stateLocation(REMOTE_CACHE_FILE)}, starting with empty cache`);
+        }
+    } catch (error) {
+        log('error', 'remote-cache', `Failed to load cache:`, error);
+        log('info', 'remote-cache', `Starting with empty cache`);
+    }
+}
+
+/**
+ * Save remote cache to file
+ */
+function saveRemoteCache() {
+    try {
+        const cacheData = {
+            data: Object.fromEntries(remoteCache.data),
+            lastUpdated: remoteCache.lastUpdated
+        };
+        saveState(REMOTE_CACHE_FILE, cacheData, { pretty: true });
+        log('info', 'remote-cache', `Saved cache to ${stateLocation(REMOTE_CACHE_FILE)}`);
+    } catch (error) {
+        log('error', 'remote-cache', `Failed to save cache:`, error);
+    }
+}
+
+/**
+ * Save local cache to file
+ */
+function saveLocalCache() {
+    try {
+        const cacheData = {
+            data: Object.fromEntries(localCache.data),
+            lastUpdated: localCache.lastUpdated
+        };
+        saveState(LOCAL_CACHE_FILE, cacheData, { pretty: true });
+        log('info', 'local-cache', `Saved cache to ${stateLocation(LOCAL_CACHE_FILE)}`);
+    } catch (error) {
+        log('error', 'local-cache', `Failed to save cache:`, error);
+    }
+}
+
+/**
+ * Load local cache from file
+ */
+function loadLocalCache() {
+    try {
+        const cacheData = loadState(LOCAL_CACHE_FILE);
+        if (cacheData) {
+            localCache.data = new Map(Object.entries(cacheData.data || {}));
+            localCache.lastUpdated = cacheData.lastUpdated;
+            // An update that was running when the file was written ended with the process
+            localCache.updateInProgress = false;
+            localCache.updateStartTime = null;
+            log('info', 'local-cache', `Loaded cache from ${stateLocation(LOCAL_CACHE_FILE)} with ${localCache.data.size} entries`);
+            log('info', 'local-cache', `Last updated: ${localCache.lastUpdated}`);
+        } else {
+            log('info', 'local-cache', `No cache file found at ${stateLocation(LOCAL_CACHE_FILE)}, starting with empty cache`);
+        }
+    } catch (error) {
+        log('error', 'local-cache', `Failed to load cache:`, error);
+        log('info', 'local-cache', `Starting with empty cache`);
+    }
+}
+
+/**
+ * Save size history to file
+ */
+function saveSizeHistory() {
+    try {
+        const historyData = Object.fromEntries(localSizeHistory.data);
+        saveState(SIZE_HISTORY_FILE, historyData, { pretty: true });
+        log('info', 'local-cache', `Saved size history to ${stateLocation(SIZE_HISTORY_FILE)}`);
+    } catch (error) {
+        log('error', 'local-cache', `Failed to save size history:`, error);
+    }
+}
+
+/**
+ * Load size history from file
+ */
+function loadSizeHistory() {
+    try {
+        const historyData = loadState(SIZE_HISTORY_FILE);
+        if (historyData) {
+            localSizeHistory.data = new Map(Object.entries(historyData));
+            log('info', 'local-cache', `Loaded size history from ${stateLocation(SIZE_HISTORY_FILE)} with ${localSizeHistory.data.size} entries`);
+        } else {
+            log('info', 'local-cache', `No size history file found at ${stateLocation(SIZE_HISTORY_FILE)}, starting with empty history`);
+        }
+    } catch (error) {
+        log('error', 'local-cache', `Failed to load size history:`, error);
+        log('info', 'local-cache', `Starting with empty size history`);
+    }
+}
+
+/**
+ * Save remote size history to file
+ */
+function saveRemoteHistory() {
+    try {
+        const historyData = Object.fromEntries(remoteSizeHistory.data);
+        saveState(REMOTE_HISTORY_FILE, historyData, { pretty: true });
+        log('info', 'remote-cache', `Saved size history to ${stateLocation(REMOTE_HISTORY_FILE)}`);
+    } catch (error) {
+        log('error', 'remote-cache', `Failed to save size history:`, error);
+    }
+}
+
+/**
+ * Load remote size history from file
+ */
+function loadRemoteHistory() {
+    try {
+        const historyData = loadState(REMOTE_HISTORY_FILE);
+        if (historyData) {
+            remoteSizeHistory.data = new Map(Object.entries(historyData));
+            log('info', 'remote-cache', `Loaded size history from ${stateLocation(REMOTE_HISTORY_FILE)} with ${remoteSizeHistory.data.size} entries`);
+        } else {
+            log('info', 'remote-cache', `No size history file found at ${stateLocation(REMOTE_HISTORY_FILE)}, starting with empty history`);
+        }
+    } catch (error) {
+        log('error', 'remote-cache', `Failed to load size history:`, error);
+        log('info', 'remote-cache', `Starting with empty size history`);
+    }
+}
+
+/**
+ * Get the history retention policy of a remote or local path
+ * @param {string} target - Remote path or local directory path
+ * @returns {{rawMs: number, hourlyMs: number, dailyMs: number|null}} - How long each resolution is kept
+ */
+function getRetentionPolicy(target) {
+    const policy = { ...config.history, ...(config.history.targets[target] || {}) };
+    return {
+        rawMs: parseDuration(policy.raw),
+        hourlyMs: parseDuration(policy.hourly),
+        dailyMs: policy.daily === null ? null : parseDuration(policy.daily)
+    };
+}
+
+/**
+ * Merge history points into one point per bucket, keeping the last size and the smallest and largest seen
+ * @param {Array<object>} points - History points sorted by timestamp, raw or of a finer resolution
+ * @param {string} resolution - "hour" or "day"
+ * @returns {Array<object>} - One point per bucket, timestamped with the start of the bucket (UTC)
+ */
+function rollUpHistory(points, resolution) {
+    const size = HISTORY_RESOLUTIONS[resolution];
+    const buckets = new Map();
+
+    for (const point of points) {
+        const start = Math.floor(Date.parse(point.timestamp) / size) * size;
+        const minBytes = point.minBytes ?? point.bytes;
+        const maxBytes = point.maxBytes ?? point.bytes;
+        const bucket = buckets.get(start);
+
+        if (!bucket) {
+            buckets.set(start, {
+                timestamp: new Date(start).toISOString(),
+                resolution,
+                bytes: point.bytes,
+                ...(point.count !== undefined ? { count: point.count } : {}),
+                minBytes,
+                maxBytes,
+                samples: point.samples || 1
+            });
+            continue;
+        }
+
+        bucket.bytes = point.bytes;
+        if (point.count !== undefined) {
+            bucket.count = point.count;
+        }
+        bucket.minBytes = Math.min(bucket.minBytes, minBytes);
+        bucket.maxBytes = Math.max(bucket.maxBytes, maxBytes);
+        bucket.samples += point.samples || 1;
+    }
+
+    return Array.from(buckets.values());
+}
+
+/**
+ * Apply a retention policy to a history series: recent points stay raw, older ones are rolled up per hour, then per day
+ * @param {Array<object>} series - History points sorted by timestamp
+ * @param {object} policy - Result of getRetentionPolicy
+ * @param {Date} now - Reference time for the ages
+ * @returns {Array<object>} - The series after retention
+ */
+function applyRetention(series, policy, now) {
+    const rawStart = now.getTime() - policy.rawMs;
+    const hourlyStart = now.getTime() - policy.hourlyMs;
+    const dailyStart = policy.dailyMs === null ? -Infinity : now.getTime() - policy.dailyMs;
+    const raw = [];
+    const hourly = [];
+    const daily = [];
+
+    for (const point of series) {
+        const time = Date.parse(point.timestamp);
+        if (time >= rawStart && !point.resolution) {
+            raw.push(point);
+        } else if (time >= hourlyStart && point.resolution !== 'day') {
+            hourly.push(point);
+        } else if (time >= dailyStart) {
+            daily.push(point);
+        }
+    }
+
+    return [...rollUpHistory(daily, 'day'), ...rollUpHistory(hourly, 'hour'), ...raw]
+        .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+}
+
+/**
+ * Append a measurement to a history series and apply the retention policy of its target
+ * @param {Array<object>} series - History points sorted by timestamp
+ * @param {{timestamp: string, bytes: number, count: number}} point - New measurement
+ * @param {string} target - Remote path or local directory path the series belongs to
+ * @returns {Array<object>} - The updated series
+ */
+function recordHistoryPoint(series, point, target) {
+    return applyRetention([...series, point], getRetentionPolicy(target), new Date(point.timestamp));
+}
+
+/**
+ * Record a local size measurement in the local history
+ * @param {string} localPath - Local directory path
+ * @param {{timestamp: string, bytes: number, count: number}} point - New measurement
+ */
+function recordLocalHistory(localPath, point) {
+    localSizeHistory.data.set(localPath, recordHistoryPoint(localSizeHistory.data.get(localPath) || [], point, localPath));
+}
+
+/**
+ * Record a remote size measurement, and one for each of its root directories, in the remote history
+ * @param {string} remotePath - rclone remote path
+ * @param {object} entry - Remote cache entry that was just calculated
+ */
+function recordRemoteHistory(remotePath, entry) {
+    if (!remoteSizeHistory.data.has(remotePath)) {
+        remoteSizeHistory.data.set(remotePath, { entries: [], directories: {} });
+    }
+
+    const history = remoteSizeHistory.data.get(remotePath);
+    history.entries = recordHistoryPoint(history.entries, {
+        timestamp: entry.timestamp,
+        bytes: entry.bytes,
+        count: entry.count
+    }, remotePath);
+
+    for (const dir of entry.directories || []) {
+        if (dir.error) {
+            continue;
+        }
+        history.directories[dir.name] = recordHistoryPoint(history.directories[dir.name] || [], {
+            timestamp: entry.timestamp,
+            bytes: dir.bytes,
+            count: dir.count
+        }, remotePath);
+    }
+}
+
+/**
+ * Apply the retention policies to all loaded history, so series saved with other settings are rolled up right away
+ */
+function applyHistoryRetention() {
+    const now = new Date();
+    for (const [localPath, series] of localSizeHistory.data.entries()) {
+        localSizeHistory.data.set(localPath, applyRetention(series, getRetentionPolicy(localPath), now));
+    }
+    for (const [remotePath, history] of remoteSizeHistory.data.entries()) {
+        const policy = getRetentionPolicy(remotePath);
+        history.entries = applyRetention(history.entries, policy, now);
+        for (const [name, series] of Object.entries(history.directories)) {
+            history.directories[name] = applyRetention(series, policy, now);
+        }
+    }
+}
+
+/**
+ * Parse a duration such as "10s", "30m", "24h", "7d" or "4w" into milliseconds
+ * @param {string} duration - Duration string
+ * @returns {number|null} - Duration in milliseconds, or null if invalid
+ */
+function parseDuration(duration) {
+    const match = /^(\d+(?:\.\d+)?)\s*(s|m|h|d|w)$/.exec(String(duration).trim());
+    if (!match) {
+        return null;
+    }
+
+    const units = {
+        s: 1000,
+        m: 60 * 1000,
+        h: 60 * 60 * 1000,
+        d: 24 * 60 * 60 * 1000,
+        w: 7 * 24 * 60 * 60 * 1000
+    };
+    return parseFloat(match[1]) * units[match[2]];
+}
+
+/**
+ * Calculate the growth rate of a size history over a time window
+ * @param {Array<{timestamp, bytes}>} history - Size history sorted by timestamp
+ * @param {number} windowMs - Window length in milliseconds
+ * @param {Date} now - End of the window
+ * @returns {object|null} - Growth information, or null if there is no data
+ */
+function calculateGrowth(history, windowMs, now) {
+    if (!history || history.length === 0) {
+        return null;
+    }
+
+    const windowStart = now.getTime() - windowMs;
+
+    // The size at the start of the window is the last measurement taken before it
+    let baseline = null;
+    for (const point of history) {
+        if (Date.parse(point.timestamp) <= windowStart) {
+            baseline = point;
+        } else {
+            break;
+        }
+    }
+
+    // The rate runs between the times the sizes were measured, so days without successful scans do not dilute it
+    const end = history[history.length - 1];
+    const endTime = Date.parse(end.timestamp);
+    const start = baseline || history[0];
+
+    const days = (endTime - Date.parse(start.timestamp)) / (24 * 60 * 60 * 1000);
+    const changeBytes = end.bytes - start.bytes;
+    const bytesPerDay = days > 0 ? Math.round(changeBytes / days) : null;
+
+    return {
+        from: start.timestamp,
+        to: end.timestamp,
+        fromBytes: start.bytes,
+        toBytes: end.bytes,
+        changeBytes,
+        changeFormatted: `${changeBytes < 0 ? '-' : ''}${formatBytes(Math.abs(changeBytes))}`,
+        bytesPerDay,
+        bytesPerDayFormatted: bytesPerDay === null ? null :
+            `${bytesPerDay < 0 ? '-' : ''}${formatBytes(Math.abs(bytesPerDay))}/day`
+    };
+}
+
+/**
+ * Save file-level drift reports to file
+ */
+function saveDiffCache() {
+    try {
+        const cacheData = Object.fromEntries(diffCache.data);
+        saveState(DIFF_CACHE_FILE, cacheData);
+        log('info', 'remote-cache', `Saved diff cache to ${stateLocation(DIFF_CACHE_FILE)}`);
+    } catch (error) {
+        log('error', 'remote-cache', `Failed to save diff cache:`, error);
+    }
+}
+
+/**
+ * Drop drift reports that have expired, then the oldest ones beyond the entry limit
+ * @returns {boolean} - True if any report was dropped
+ */
+function pruneDiffCache() {
+    const sizeBefore = diffCache.data.size;
+    const now = Date.now();
+    for (const [key, report] of diffCache.data.entries()) {
+        if (!(now - Date.parse(report.timestamp) < DIFF_CACHE_MAX_AGE_MS)) {
+            diffCache.data.delete(key);
+        }
+    }
+
+    const byAge = Array.from(diffCache.data.entries())
+        .sort(([, a], [, b]) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+    for (const [key] of byAge.slice(0, Math.max(byAge.length - DIFF_CACHE_MAX_ENTRIES, 0))) {
+        diffCache.data.delete(key);
+    }
+    return diffCache.data.size < sizeBefore;
+}
+
+/**
+ * Drop the drift reports of a local directory or any directory inside it
+ * @param {string} localPath - Local directory that was untracked or moved
+ */
+function evictDiffReports(localPath) {
+    let evicted = 0;
+    for (const [key, report] of diffCache.data.entries()) {
+        if (report.localPath === localPath || report.localPath.startsWith(localPath.replace(/\/+$/, '') + path.sep)) {
+            diffCache.data.delete(key);
+            evicted++;
+        }
+    }
+    if (evicted > 0) {
+        log('info', 'remote-cache', `Dropped ${evicted} cached diffs of ${localPath}`);
+        saveDiffCache();
+    }
+}
+
+/**
+ * Load file-level drift reports from file
+ */
+function loadDiffCache() {
+    try {
+        const cacheData = loadState(DIFF_CACHE_FILE);
+        if (cacheData) {
+            diffCache.data = new Map(Object.entries(cacheData));
+            pruneDiffCache();
+            log('info', 'remote-cache', `Loaded diff cache from ${stateLocation(DIFF_CACHE_FILE)} with ${diffCache.data.size} entries`);
+        } else {
+            log('info', 'remote-cache', `No diff cache file found at ${stateLocation(DIFF_CACHE_FILE)}, starting with empty diff cache`);
+        }
+    } catch (error) {
+        log('error', 'remote-cache', `Failed to load diff cache:`, error);
+        log('info', 'remote-cache', `Starting with empty diff cache`);
+    }
+}
+
+/**
+ * Save local directory snapshots to file
+ */
+function saveLocalSnapshots() {
+    try {
+        const snapshotData = Object.fromEntries(localSnapshots.data);
+        saveState(LOCAL_SNAPSHOT_FILE, snapshotData);
+        log('info', 'local-cache', `Saved directory snapshots to ${stateLocation(LOCAL_SNAPSHOT_FILE)}`);
+    } catch (error) {
+        log('error', 'local-cache', `Failed to save directory snapshots:`, error);
+    }
+}
+
+/**
+ * Load local directory snapshots from file
+ */
+function loadLocalSnapshots() {
+    try {
+        const snapshotData = loadState(LOCAL_SNAPSHOT_FILE);
+        if (snapshotData) {
+            localSnapshots.data = new Map(Object.entries(snapshotData));
+            log('info', 'local-cache', `Loaded directory snapshots from ${stateLocation(LOCAL_SNAPSHOT_FILE)} for ${localSnapshots.data.size} directories`);
+        } else {
+            log('info', 'local-cache', `No directory snapshot file found at ${stateLocation(LOCAL_SNAPSHOT_FILE)}, the next local scans are full scans`);
+        }
+    } catch (error) {
+        log('error', 'local-cache', `Failed to load directory snapshots:`, error);
+        log('info', 'local-cache', `The next local scans are full scans`);
+    }
+}
+
+/**
+ * Get the snapshot to scan a tracked local directory incrementally from, or null when a full rescan is due
+ * @param {string} localDir - Local directory path
+ * @param {Date} now - Time of the scan
+ * @returns {object|null} - The previous snapshot
+ */
+function getIncrementalSnapshot(localDir, now) {
+    const snapshot = localSnapshots.data.get(localDir);
+    if (!config.localScan.incremental || !snapshot || !snapshot.fullScanAt) {
+        return null;
+    }
+
+    const fullRescanDue = getNextCronRun(config.localScan.fullRescan, config.schedule.timezone, new Date(snapshot.fullScanAt));
+    if (fullRescanDue && fullRescanDue <= now) {
+        return null;
+    }
+
+    // Directories a watcher saw change may have files modified in place, which does not change their mtime
+    const watcher = localWatchers.data.get(localDir);
+    if (!watcher || watcher.dirty.size === 0) {
+        return snapshot;
+    }
+    const directories = { ...snapshot.directories };
+    for (const relativePath of watcher.dirty) {
+        delete directories[relativePath];
+    }
+    watcher.dirty.clear();
+    return { ...snapshot, directories };
+}
+
+/**
+ * Remember the snapshot of a finished local scan for the next incremental rescan
+ * @param {string} localDir - Local directory path
+ * @param {object} scan - Result of scanLocalDirectory
+ * @param {Date} now - Time the scan finished
+ */
+function storeLocalSnapshot(localDir, scan, now) {
+    if (!scan.snapshot) {
+        return;
+    }
+
+    const previous = localSnapshots.data.get(localDir);
+    localSnapshots.data.set(localDir, {
+        ...scan.snapshot,
+        fullScanAt: scan.incremental && previous ? previous.fullScanAt : now.toISOString(),
+        lastScanAt: now.toISOString()
+    });
+}
+
+/**
+ * Load local directory scanning options from the "localScan" section of the config file
+ * @param {object} localScanConfig - The "localScan" section of the config file
+ */
+function loadLocalScanConfig(localScanConfig) {
+    const symlinkPolicies = ['skip', 'follow', 'size'];
+    const concurrency = parseInt(localScanConfig.concurrency, 10);
+
+    if (localScanConfig.symlinks && !symlinkPolicies.includes(localScanConfig.symlinks)) {
+        log('error', 'config', `Invalid localScan.symlinks "${localScanConfig.symlinks}", must be one of ${symlinkPolicies.join(', ')}. Using ${config.localScan.symlinks}`);
+    }
+
+    let fullRescan = config.localScan.fullRescan;
+    if (localScanConfig.fullRescan) {
+        try {
+            fullRescan = parseCron(localScanConfig.fullRescan);
+        } catch (error) {
+            log('error', 'config', `Ignoring localScan.fullRescan: ${error.message}`);
+        }
+    }
+
+    const isTreeDepth = value => value === null || (Number.isInteger(value) && value > 0);
+    let treeDepth = config.localScan.treeDepth;
+    if (localScanConfig.treeDepth !== undefined) {
+        if (isTreeDepth(localScanConfig.treeDepth)) {
+            treeDepth = localScanConfig.treeDepth;
+        } else {
+            log('error', 'config', `Invalid localScan.treeDepth: ${JSON.stringify(localScanConfig.treeDepth)}, using ${treeDepth}`);
+        }
+    }
+    const treeDepths = {};
+    for (const [directoryPath, depth] of Object.entries(localScanConfig.treeDepths || {})) {
+        if (isTreeDepth(depth)) {
+            treeDepths[directoryPath] = depth;
+        } else {
+            log('error', 'config', `Invalid localScan.treeDepths["${directoryPath}"]: ${JSON.stringify(depth)}, using ${treeDepth}`);
+        }
+    }
+
+    config.localScan = {
+        concurrency: concurrency > 0 ? concurrency : config.localScan.concurrency,
+        symlinks: symlinkPolicies.includes(localScanConfig.symlinks) ? localScanConfig.symlinks : config.localScan.symlinks,
+        dedupeHardlinks: localScanConfig.dedupeHardlinks ?? config.localScan.dedupeHardlinks,
+        incremental: localScanConfig.incremental ?? config.localScan.incremental,
+        fullRescan,
+        treeDepth,
+        treeDepths
+    };
+    log('info', 'config', `Local scans read ${config.localScan.concurrency} directories at a time, symlinks: ${config.localScan.symlinks}, hardlink deduplication: ${config.localScan.dedupeHardlinks ? 'on' : 'off'}`);
+    log('info', 'config', `Incremental local scans: ${config.localScan.incremental ? `on, full rescan on "${config.localScan.fullRescan.expression}"` : 'off'}`);
+}
+
+/**
+ * Get how many directory levels of a local directory are recorded for /api/tree
+ * @param {string} directoryPath - Tracked local directory
+ * @returns {number|null} - Depth, or null if no tree is recorded
+ */
+function getLocalTreeDepth(directoryPath) {
+    const { treeDepth, treeDepths } = config.localScan;
+    return Object.prototype.hasOwnProperty.call(treeDepths, directoryPath) ? treeDepths[directoryPath] : treeDepth;
+}
+
+/**
+ * Load watch mode options from the "watch" section of the config file
+ * @param {object} watchConfig - The "watch" section of the config file
+ */
+function loadWatchConfig(watchConfig) {
+    const number = (value, fallback) => (Number.isFinite(value) && value >= 0 ? value : fallback);
+    config.watch = {
+        enabled: Boolean(watchConfig.enabled),
+        debounceMs: number(watchConfig.debounceMs, config.watch.debounceMs),
+        maxDelayMs: number(watchConfig.maxDelayMs, config.watch.maxDelayMs),
+        maxDirectories: number(watchConfig.maxDirectories, config.watch.maxDirectories)
+    };
+    if (config.watch.enabled) {
+        log('info', 'config', `Watch mode enabled, refreshing changed directories after ${config.watch.debounceMs}ms without changes`);
+    }
+}
+
+/**
+ * Load history retention from the "history" section of the config file, keeping defaults for invalid durations
+ * @param {object} historyConfig - The "history" section of the config file
+ */
+function loadHistoryConfig(historyConfig) {
+    const defaults = config.history;
+    const duration = (value, fallback, label, allowForever) => {
+        if (value === undefined) {
+            return fallback;
+        }
+        if ((value === null && allowForever) || parseDuration(value) !== null) {
+            return value;
+        }
+        log('error', 'config', `Invalid history retention ${label}: ${value}, using ${fallback}`);
+        return fallback;
+    };
+    const policy = (values, fallback, label) => ({
+        raw: duration(values.raw, fallback.raw, `${label}.raw`, false),
+        hourly: duration(values.hourly, fallback.hourly, `${label}.hourly`, false),
+        daily: duration(values.daily, fallback.daily, `${label}.daily`, true)
+    });
+
+    const history = policy(historyConfig, defaults, 'history');
+    const targets = {};
+    for (const [target, values] of Object.entries(historyConfig.targets || {})) {
+        targets[target] = policy(values || {}, history, `history.targets["${target}"]`);
+    }
+    config.history = { ...history, targets };
+    log('info', 'config', `History retention: raw ${history.raw}, hourly ${history.hourly}, daily ${history.daily ?? 'forever'}, ${Object.keys(targets).length} target overrides`);
+}
+
+/**
+ * Select where state is persisted from the "storage" section of the config file
+ * @param {object} storageConfig - The "storage" section of the config file
+ */
+function loadStorageConfig(storageConfig) {
+    const backends = ['json', 'sqlite'];
+    const backend = storageConfig.backend || 'json';
+    if (!backends.includes(backend)) {
+        log('error', 'config', `Unknown storage backend "${backend}", must be one of ${backends.join(', ')}. Using json`);
+    }
+    config.storage = {
+        backend: backends.includes(backend) ? backend : 'json',
+        sqlitePath: storageConfig.sqlitePath || null
+    };
+}
+
+/**
+ * Select how rclone is called from the "rclone" section of the config file
+ * @param {object} rcloneConfig - The "rclone" section of the config file
+ */
+function loadRcloneConfig(rcloneConfig) {
+    const backend = rcloneConfig.backend || 'cli';
+    if (!rcloneBackends[backend]) {
+        log('error', 'config', `Unknown rclone backend "${backend}", must be one of ${Object.keys(rcloneBackends).join(', ')}. Using cli`);
+        return;
+    }
+
+    config.rclone = {
+        backend,
+        url: rcloneConfig.url || config.rclone.url,
+        user: rcloneConfig.user || null,
+        pass: rcloneConfig.pass || null
+    };
+
+    if (backend === 'rcd') {
+        log('info', 'config', `Using rclone rcd at ${config.rclone.url}${config.rclone.user ? ` as ${config.rclone.user}` : ''}`);
+    } else {
+        log('info', 'config', `Using the rclone command line`);
+    }
+}
+
+/**
+ * Validate remote settings from the config file, keeping the fallback for anything invalid
+ * @param {object} values - Settings from the config file
+ * @param {object} fallback - Settings used for missing or invalid values
+ * @param {string} label - Where the settings come from, for log messages
+ * @returns {object} - Valid settings
+ */
+function parseRemoteSettings(values, fallback, label) {
+    const settings = { ...fallback };
+    const invalid = (key, value) => log('error', 'config', `Invalid ${label}.${key}: ${JSON.stringify(value)}, using ${JSON.stringify(fallback[key])}`);
+
+    if (values.basePath !== undefined) {
+        if (typeof values.basePath === 'string') {
+            settings.basePath = values.basePath.replace(/^\/+|\/+$/g, '');
+        } else {
+            invalid('basePath', values.basePath);
+        }
+    }
+    for (const key of ['breakdown', 'fastList']) {
+        if (values[key] !== undefined) {
+            if (typeof values[key] === 'boolean') {
+                settings[key] = values[key];
+            } else {
+                invalid(key, values[key]);
+            }
+        }
+    }
+    if (values.concurrency !== undefined) {
+        if (Number.isInteger(values.concurrency) && values.concurrency > 0) {
+            settings.concurrency = values.concurrency;
+        } else {
+            invalid('concurrency', values.concurrency);
+        }
+    }
+    if (values.tpsLimit !== undefined) {
+        if (values.tpsLimit === null || (Number.isFinite(values.tpsLimit) && values.tpsLimit > 0)) {
+            settings.tpsLimit = values.tpsLimit;
+        } else {
+            invalid('tpsLimit', values.tpsLimit);
+        }
+    }
+    if (values.timeout !== undefined) {
+        if (values.timeout === null || parseDuration(values.timeout) !== null) {
+            settings.timeout = values.timeout;
+        } else {
+            invalid('timeout', values.timeout);
+        }
+    }
+    if (values.retries !== undefined) {
+        if (Number.isInteger(values.retries) && values.retries >= 0) {
+            settings.retries = values.retries;
+        } else {
+            invalid('retries', values.retries);
+        }
+    }
+    if (values.retryDelay !== undefined) {
+        if (parseDuration(values.retryDelay) !== null) {
+            settings.retryDelay = values.retryDelay;
+        } else {
+            invalid('retryDelay', values.retryDelay);
+        }
+    }
+    if (values.treeDepth !== undefined) {
+        if (values.treeDepth === null || (Number.isInteger(values.treeDepth) && values.treeDepth > 0)) {
+            settings.treeDepth = values.treeDepth;
+        } else {
+            invalid('treeDepth', values.treeDepth);
+        }
+    }
+    if (values.extraFlags !== undefined) {
+        if (Array.isArray(values.extraFlags) && values.extraFlags.every(flag => typeof flag === 'string')) {
+            settings.extraFlags = values.extraFlags;
+        } else {
+            invalid('extraFlags', values.extraFlags);
+        }
+    }
+    return settings;
+}
+
+/**
+ * Load which remotes are scanned and how from the "remotes" section of the config file
+ * @param {object} remotesConfig - The "remotes" section of the config file
+ */
+function loadRemotesConfig(remotesConfig) {
+    const names = (value, label) => {
+        if (value === undefined || value === null) {
+            return null;
+        }
+        if (!Array.isArray(value) || !value.every(name => typeof name === 'string')) {
+            log('error', 'config', `Invalid ${label}, must be a list of remote names`);
+            return null;
+        }
+        // Accept "name:" as well as "name"
+        return value.map(name => name.replace(/:$/, ''));
+    };
+
+    const defaults = parseRemoteSettings(remotesConfig.defaults || {}, config.remotes.defaults, 'remotes.defaults');
+    const overrides = {};
+    for (const [name, values] of Object.entries(remotesConfig.overrides || {})) {
+        overrides[name.replace(/:$/, '')] = parseRemoteSettings(values || {}, defaults, `remotes.overrides["${name}"]`);
+    }
+
+    config.remotes = {
+        include: names(remotesConfig.include, 'remotes.include'),
+        exclude: names(remotesConfig.exclude, 'remotes.exclude') || [],
+        defaults,
+        overrides
+    };
+    if (config.remotes.include) {
+        log('info', 'config', `Scanning only remotes: ${config.remotes.include.join(', ') || '(none)'}`);
+    }
+    if (config.remotes.exclude.length > 0) {
+        log('info', 'config', `Never scanning remotes: ${config.remotes.exclude.join(', ')}`);
+    }
+    log('info', 'config', `Remote defaults: concurrency ${defaults.concurrency}, breakdown ${defaults.breakdown ? 'on' : 'off'}, ${Object.keys(overrides).length} remote overrides`);
+}
+
+/**
+ * Get the effective settings of a remote
+ * @param {string} remoteName - Remote name without the colon
+ * @returns {object} - Default settings merged with the remote's overrides, plus whether the remote is scanned
+ */
+function getRemoteSettings(remoteName) {
+    const { include, exclude, defaults, overrides } = config.remotes;
+    return {
+        ...defaults,
+        ...overrides[remoteName],
+        enabled: (!include || include.includes(remoteName)) && !exclude.includes(remoteName)
+    };
+}
+
+/**
+ * Get the rclone options for a remote path: its filter rules and the flags configured for its remote
+ * @param {string} remotePath - rclone remote path
+ * @param {string|null} [localPath] - Local directory the remote path is compared with, for its filter rules
+ * @returns {object} - {filters, fastList, tpsLimit, timeoutMs, extraFlags, retries, retryDelayMs}
+ */
+function getRemoteRcloneOptions(remotePath, localPath = null) {
+    const settings = getRemoteSettings(remotePath.split(':')[0]);
+    return {
+        filters: getFilterRules(remotePath, localPath),
+        fastList: settings.fastList,
+        tpsLimit: settings.tpsLimit,
+        timeoutMs: settings.timeout ? parseDuration(settings.timeout) : null,
+        extraFlags: settings.extraFlags,
+        retries: settings.retries,
+        retryDelayMs: parseDuration(settings.retryDelay)
+    };
+}
+
+/**
+ * Resolve the allowed local root directories from the config file
+ * @param {string[]} [roots] - The "allowedLocalRoots" setting
+ */
+function loadAllowedLocalRoots(roots) {
+    if (roots === undefined || roots === null) {
+        config.allowedLocalRoots = null;
+        return;
+    }
+    // A mistyped setting must not lift the restriction it was meant to add
+    if (!Array.isArray(roots) || !roots.every(root => typeof root === 'string')) {
+        log('warn', 'config', `Invalid allowedLocalRoots: ${JSON.stringify(roots)}, must be a list of directories. No local paths are allowed until it is fixed`);
+        config.allowedLocalRoots = [];
+        return;
+    }
+
+    // Resolve symlinks so a root cannot be escaped through a link inside it
+    config.allowedLocalRoots = roots.map(root => {
+        const resolved = path.resolve(root);
+        try {
+            return fs.realpathSync(resolved);
+        } catch (error) {
+            log('error', 'config', `Allowed local root does not exist yet: ${resolved}`);
+            return resolved;
+        }
+    });
+    log('info', 'config', `Local directories are limited to: ${config.allowedLocalRoots.join(', ') || '(none)'}`);
+}
+
+/**
+ * Check whether a local directory lies inside one of the allowed local roots
+ * @param {string} localPath - Local directory path
+ * @returns {boolean} - True if the directory may be measured and tracked
+ */
+function isLocalPathAllowed(localPath) {
+    if (!config.allowedLocalRoots) {
+        return true;
+    }
+    if (typeof localPath !== 'string' || localPath.length === 0) {
+        return false;
+    }
+
+    let resolved = path.resolve(localPath);
+    try {
+        resolved = fs.realpathSync(resolved);
+    } catch (error) {
+        // Paths that do not exist are checked as written, the caller reports them as missing
+    }
+
+    return config.allowedLocalRoots.some(root =>
+        resolved === root || resolved.startsWith(root.endsWith(path.sep) ? root : root + path.sep)
+    );
+}
+
+/**
+ * Hash an API key so keys can be compared in constant time
+ * @param {string} key - API key
+ * @returns {Buffer} - SHA-256 digest
+ */
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+/**
+ * Load API keys from the API_KEYS environment variable ("scope:key,scope:key") and the config file
+ * @param {Array<{name, key, scope}>} [fileKeys] - The "apiKeys" section of the config file
+ */
+function loadApiKeys(fileKeys = []) {
+    const keys = [];
+    const addKey = (name, key, scope) => {
+        if (!key || !API_KEY_SCOPES.includes(scope)) {
+            log('error', 'config', `Skipping API key "${name}": a key and a scope of ${API_KEY_SCOPES.join(' or ')} are required`);
+            return;
+        }
+        keys.push({ name, scope, hash: hashApiKey(key) });
+    };
+
+    (process.env.API_KEYS || '').split(',').filter(entry => entry.trim()).forEach((entry, index) => {
+        const separator = entry.indexOf(':');
+        addKey(`env-${index + 1}`, entry.slice(separator + 1).trim(), entry.slice(0, separator).trim());
+    });
+    (Array.isArray(fileKeys) ? fileKeys : []).forEach((apiKey, index) => {
+        addKey(apiKey.name || `key-${index + 1}`, apiKey.key, apiKey.scope);
+    });
+
+    config.apiKeys = keys;
+    if (keys.length > 0) {
+        log('info', 'config', `API authentication enabled with ${keys.length} keys: ${keys.map(k => `${k.name} (${k.scope})`).join(', ')}`);
+    } else {
+        log('info', 'config', `No API keys configured, API authentication is disabled`);
+    }
+}
+
+/**
+ * Load configuration (named sync pairs) from file
+ */
+function loadConfig() {
+    try {
+        if (!fs.existsSync(CONFIG_FILE)) {
+            log('info', 'config', `No config file found at ${CONFIG_FILE}, no sync pairs defined`);
+            loadApiKeys();
+            return;
+        }
+
+        const configData = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+        loadApiKeys(configData.apiKeys);
+        const pairs = new Map();
+
+        for (const [name, pair] of Object.entries(configData.pairs || {})) {
+            if (!pair || !pair.remotePath || !pair.localPath) {
+                log('error', 'config', `Skipping pair "${name}": both remotePath and localPath are required`);
+                continue;
+            }
+
+            pairs.set(name, {
+                remotePath: pair.remotePath,
+                localPath: pair.localPath,
+                includeDirectories: Array.isArray(pair.includeDirectories) ? pair.includeDirectories : null,
+                thresholds: {
+                    maxDifferenceBytes: pair.thresholds?.maxDifferenceBytes ?? null,
+                    minPercentSynced: pair.thresholds?.minPercentSynced ?? null
+                },
+                filters: validateFilterRules(pair.filters, `pair "${name}"`)
+            });
+        }
+
+        config.pairs = pairs;
+        log('info', 'config', `Loaded ${pairs.size} sync pairs from ${CONFIG_FILE}: ${Array.from(pairs.keys()).join(', ')}`);
+
+        const comparisons = new Map();
+        for (const [name, comparison] of Object.entries(configData.comparisons || {})) {
+            const backups = Object.entries((comparison && comparison.backups) || {});
+            const invalidBackup = backups.find(([, backup]) => !parseCompareEndpoint(backup));
+            if (!parseCompareEndpoint(comparison && comparison.source) || backups.length === 0 || invalidBackup) {
+                log('error', 'config', `Skipping comparison "${name}": a source and at least one backup are required, each with either remotePath or localPath`);
+                continue;
+            }
+
+            comparisons.set(name, {
+                source: comparison.source,
+                backups: Object.fromEntries(backups),
+                includeDirectories: Array.isArray(comparison.includeDirectories) ? comparison.includeDirectories : null
+            });
+        }
+        config.comparisons = comparisons;
+        if (comparisons.size > 0) {
+            log('info', 'config', `Loaded ${comparisons.size} comparisons: ${Array.from(comparisons.keys()).join(', ')}`);
+        }
+
+        config.filters = validateFilterRules(configData.filters, 'the global filters');
+        if (config.filters.length > 0) {
+            log('info', 'config', `Global filters: ${config.filters.join(', ')}`);
+        }
+
+        loadAllowedLocalRoots(configData.allowedLocalRoots);
+        for (const [localPath, owner] of getConfiguredLocalPaths()) {
+            if (!isLocalPathAllowed(localPath)) {
+                log('error', 'config', `Local path of ${owner} is outside the allowed local roots: ${localPath}`);
+            }
+        }
+
+        const notifications = configData.notifications || {};
+        const webhookFormats = ['json', 'discord', 'slack', 'ntfy'];
+        const ruleTypes = ['difference', 'stale', 'rclone-error', 'shrink'];
+
+        config.notifications.webhooks = (notifications.webhooks || []).filter(webhook => {
+            if (!webhook || !webhook.url) {
+                log('error', 'config', `Skipping webhook without url`);
+                return false;
+            }
+            if (webhook.format && !webhookFormats.includes(webhook.format)) {
+                log('error', 'config', `Skipping webhook "${webhook.name || webhook.url}": format must be one of ${webhookFormats.join(', ')}`);
+                return false;
+            }
+            return true;
+        }).map((webhook, index) => ({
+            name: webhook.name || `webhook-${index + 1}`,
+            url: webhook.url,
+            format: webhook.format || 'json',
+            headers: webhook.headers || {}
+        }));
+
+        config.notifications.rules = (notifications.rules || []).filter(rule => {
+            if (!rule || !ruleTypes.includes(rule.type)) {
+                log('error', 'config', `Skipping notification rule: type must be one of ${ruleTypes.join(', ')}`);
+                return false;
+            }
+            return true;
+        }).map((rule, index) => ({
+            ...rule,
+            name: rule.name || `${rule.type}-${index + 1}`,
+            webhooks: Array.isArray(rule.webhooks) ? rule.webhooks : null
+        }));
+
+        log('info', 'config', `Loaded ${config.notifications.webhooks.length} webhooks and ${config.notifications.rules.length} notification rules`);
+
+        loadScheduleConfig(configData.schedule || {});
+        loadRcloneConfig(configData.rclone || {});
+        loadRemotesConfig(configData.remotes || {});
+        loadLocalScanConfig(configData.localScan || {});
+        loadWatchConfig(configData.watch || {});
+        loadStorageConfig(configData.storage || {});
+        loadHistoryConfig(configData.history || {});
+    } catch (error) {
+        // Without the file's API keys and allowed local roots the API would be open to anyone
+        log('error', 'config', `Failed to load config from ${CONFIG_FILE}, refusing to start:`, error);
+        closeLogFile();
+        process.exit(1);
+    }
+}
+
+/**
+ * Load the cron schedule section of the config file, keeping defaults for anything invalid
+ * @param {object} scheduleData - "schedule" section of the config file
+ */
+function loadScheduleConfig(scheduleData) {
+    const schedule = config.schedule;
+    const parse = (expression, label) => {
+        try {
+            return parseCron(expression);
+        } catch (error) {
+            log('error', 'config', `Ignoring schedule for ${label}: ${error.message}`);
+            return null;
+        }
+    };
+    const parseTime = time => {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(time));
+        return match && parseInt(match[1], 10) < 24 && parseInt(match[2], 10) < 60
+            ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10)
+            : null;
+    };
+
+    if (scheduleData.timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: scheduleData.timezone });
+            schedule.timezone = scheduleData.timezone;
+        } catch (error) {
+            log('error', 'config', `Ignoring invalid timezone "${scheduleData.timezone}", using ${schedule.timezone}`);
+        }
+    }
+
+    schedule.remote = (scheduleData.remote && parse(scheduleData.remote, 'remotes')) || schedule.remote;
+    schedule.local = (scheduleData.local && parse(scheduleData.local, 'local directories')) || schedule.local;
+
+    schedule.remotes = {};
+    for (const [remote, expression] of Object.entries(scheduleData.remotes || {})) {
+        const cron = parse(expression, `remote ${remote}`);
+        if (cron) {
+            schedule.remotes[remote.replace(/:$/, '')] = cron;
+        }
+    }
+
+    schedule.localDirectories = {};
+    for (const [dir, expression] of Object.entries(scheduleData.localDirectories || {})) {
+        const cron = parse(expression, `local directory ${dir}`);
+        if (cron) {
+            schedule.localDirectories[dir] = cron;
+        }
+    }
+
+    schedule.quietWindows = (scheduleData.quietWindows || []).filter(window => {
+        if (!window || parseTime(window.start) === null || parseTime(window.end) === null) {
+            log('error', 'config', `Ignoring quiet window: start and end must be HH:MM`);
+            return false;
+        }
+        return true;
+    }).map(window => ({
+        start: window.start,
+        end: window.end,
+        startMinute: parseTime(window.start),
+        endMinute: parseTime(window.end),
+        days: Array.isArray(window.days) ? window.days : null
+    }));
+
+    log('info', 'config', `Schedule timezone ${schedule.timezone}, remote "${schedule.remote.expression}", local "${schedule.local.expression}", ${Object.keys(schedule.remotes).length + Object.keys(schedule.localDirectories).length} per-target schedules, ${schedule.quietWindows.length} quiet windows`);
+}
+
+/**
+ * Get the local directories referenced by the config file
+ * @returns {Map<string, string>} - Map of local path to the first sync pair or comparison using it, e.g. 'pair "photos"'
+ */
+function getConfiguredLocalPaths() {
+    const localPaths = new Map();
+    const add = (localPath, owner) => {
+        if (localPath && !localPaths.has(localPath)) {
+            localPaths.set(localPath, owner);
+        }
+    };
+
+    for (const [name, pair] of config.pairs.entries()) {
+        add(pair.localPath, `pair "${name}"`);
+    }
+    for (const [name, comparison] of config.comparisons.entries()) {
+        for (const endpoint of [comparison.source, ...Object.values(comparison.backups)]) {
+            add(endpoint.localPath, `comparison "${name}"`);
+        }
+    }
+    return localPaths;
+}
+
+/**
+ * Get every local directory that should be kept in the local cache
+ * @returns {string[]} - Directories already cached plus those referenced by sync pairs and comparisons, unless they were untracked
+ */
+function getTrackedLocalDirectories() {
+    const dirs = new Set(localCache.data.keys());
+    for (const localPath of getConfiguredLocalPaths().keys()) {
+        if (!untrackedLocal.data.has(localPath)) {
+            dirs.add(localPath);
+        }
+    }
+    return Array.from(dirs);
+}
+
+/**
+ * Save the untracked local directories to file
+ */
+function saveUntrackedLocal() {
+    try {
+        saveState(UNTRACKED_LOCAL_FILE, Object.fromEntries(untrackedLocal.data), { pretty: true });
+    } catch (error) {
+        log('error', 'local-cache', `Failed to save untracked directories:`, error);
+    }
+}
+
+/**
+ * Load the untracked local directories from file
+ */
+function loadUntrackedLocal() {
+    try {
+        const untrackedData = loadState(UNTRACKED_LOCAL_FILE);
+        if (untrackedData) {
+            untrackedLocal.data = new Map(Object.entries(untrackedData));
+            log('info', 'local-cache', `Loaded ${untrackedLocal.data.size} untracked directories from ${stateLocation(UNTRACKED_LOCAL_FILE)}`);
+        }
+    } catch (error) {
+        log('error', 'local-cache', `Failed to load untracked directories:`, error);
+    }
+}
+
+/**
+ * Stop tracking a local directory: drop its cache entry, snapshot and watcher, and remember not to track it again
+ * @param {string} localPath - Tracked local directory
+ * @param {object} [options] - Untrack options
+ * @param {boolean} [options.purgeHistory] - Also delete its size history
+ * @param {string} [options.movedTo] - Directory it was moved to, recorded for reference
+ */
+function untrackLocalDirectory(localPath, { purgeHistory = false, movedTo = null } = {}) {
+    localCache.data.delete(localPath);
+    localCacheTemp.data.delete(localPath);
+    localSnapshots.data.delete(localPath);
+    unwatchLocalDirectory(localPath);
+    evictDiffReports(localPath);
+    if (purgeHistory) {
+        localSizeHistory.data.delete(localPath);
+    }
+    const previous = untrackedLocal.data.get(localPath);
+    untrackedLocal.data.set(localPath, {
+        untrackedAt: previous ? previous.untrackedAt : new Date().toISOString(),
+        movedTo: movedTo || (previous ? previous.movedTo : null)
+    });
+
+    saveLocalCache();
+    saveSizeHistory();
+    saveLocalSnapshots();
+    saveUntrackedLocal();
+    log('info', 'local-cache', `Untracked ${localPath}${movedTo ? ` (moved to ${movedTo})` : ''}${purgeHistory ? ', size history purged' : ''}`);
+}
+
+/**
+ * Move the cache entry, size history and snapshot of a tracked local directory to a new path
+ * @param {string} fromPath - Tracked local directory
+ * @param {string} toPath - New location of the directory
+ */
+function moveLocalDirectory(fromPath, toPath) {
+    if (localCache.data.has(fromPath)) {
+        localCache.data.set(toPath, localCache.data.get(fromPath));
+    }
+    if (localSizeHistory.data.has(fromPath)) {
+        // History left behind by an earlier untrack of the new path is kept, in time order
+        const merged = [...(localSizeHistory.data.get(toPath) || []), ...localSizeHistory.data.get(fromPath)]
+            .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+        localSizeHistory.data.set(toPath, merged);
+    }
+    if (localSnapshots.data.has(fromPath)) {
+        localSnapshots.data.set(toPath, localSnapshots.data.get(fromPath));
+    }
+    untrackedLocal.data.delete(toPath);
+
+    untrackLocalDirectory(fromPath, { purgeHistory: true, movedTo: toPath });
+    syncLocalWatchers().catch(err => {
+        log('error', 'watch', `Failed to set up watchers:`, err);
+    });
+}
+
+/**
+ * Add local directories of sync pairs and comparisons that are not cached yet, so the first request is never a cold scan
+ * @returns {Promise<void>}
+ */
+async function registerPairDirectories() {
+    for (const [localPath, owner] of getConfiguredLocalPaths()) {
+        if (localCache.data.has(localPath) || untrackedLocal.data.has(localPath)) {
+            continue;
+        }
+
+        log('info', 'local-cache', `Pre-registering directory for ${owner}: ${localPath}`);
+        try {
+            await addToLocalCache(localPath);
+        } catch (error) {
+            log('error', 'local-cache', `Failed to pre-register directory for ${owner}:`, error);
+        }
+    }
+}
+
+/**
+ * Save active alerts to file so they are not fired again after a restart
+ */
+function saveAlertState() {
+    try {
+        saveState(ALERT_STATE_FILE, Object.fromEntries(alertState.data), { pretty: true });
+    } catch (error) {
+        log('error', 'alerts', `Failed to save alert state:`, error);
+    }
+}
+
+/**
+ * Load active alerts from file
+ */
+function loadAlertState() {
+    try {
+        const alertData = loadState(ALERT_STATE_FILE);
+        if (alertData) {
+            alertState.data = new Map(Object.entries(alertData));
+            log('info', 'alerts', `Loaded ${alertState.data.size} active alerts from ${stateLocation(ALERT_STATE_FILE)}`);
+        }
+    } catch (error) {
+        log('error', 'alerts', `Failed to load alert state:`, error);
+    }
+}
+
+/**
+ * Work out which alert conditions currently hold according to the notification rules
+ * @returns {Map<string, object>} - Map of alert key to alert details
+ */
+function collectAlertConditions() {
+    const conditions = new Map();
+    const now = Date.now();
+
+    const add = (rule, target, message, details) => {
+        conditions.set(`${rule.name}|${target}`, {
+            rule: rule.name,
+            type: rule.type,
+            target,
+            message,
+            details
+        });
+    };
+
+    for (const rule of config.notifications.rules) {
+        switch (rule.type) {
+            case 'difference': {
+                for (const [name, pair] of config.pairs.entries()) {
+                    if (rule.pair && rule.pair !== name) {
+                        continue;
+                    }
+                    const remoteData = remoteCache.data.get(pair.remotePath);
+                    const localData = localCache.data.get(pair.localPath);
+                    if (!remoteData || !localData) {
+                        continue;
+                    }
+
+                    const difference = remoteData.bytes - localData.bytes;
+                    const percentageSynced = remoteData.bytes > 0
+                        ? parseFloat(((localData.bytes / remoteData.bytes) * 100).toFixed(2))
+                        : 0;
+                    const overDifference = rule.maxDifferenceBytes !== undefined && Math.abs(difference) > rule.maxDifferenceBytes;
+                    const underPercent = rule.minPercentSynced !== undefined && percentageSynced < rule.minPercentSynced;
+
+                    if (overDifference || underPercent) {
+                        add(rule, name, `Pair "${name}" is ${percentageSynced}% synced (difference ${formatBytes(Math.abs(difference))})`, {
+                            remotePath: pair.remotePath,
+                            localPath: pair.localPath,
+                            differenceBytes: difference,
+                            percentageSynced
+                        });
+                    }
+                }
+                break;
+            }
+            case 'stale': {
+                const maxAgeMs = (rule.maxAgeHours || 48) * 60 * 60 * 1000;
+                const sides = [];
+                if (rule.cache !== 'local') sides.push(['remote', remoteCache.data]);
+                if (rule.cache !== 'remote') sides.push(['local', localCache.data]);
+
+                for (const [side, entries] of sides) {
+                    for (const [entryPath, data] of entries.entries()) {
+                        if (rule.path && rule.path !== entryPath) {
+                            continue;
+                        }
+                        // Local entries that failed to update carry the time of their last successful scan separately
+                        const lastSuccess = side === 'local' && data.error ? data.lastSuccessAt || null : data.timestamp;
+                        const ageMs = lastSuccess ? now - Date.parse(lastSuccess) : Infinity;
+                        if (ageMs > maxAgeMs) {
+                            add(rule, `${side}:${entryPath}`, `The ${side} cache for ${entryPath} has not been updated for ${lastSuccess ? `${(ageMs / 3600000).toFixed(1)} hours` : 'ever'}`, {
+                                side,
+                                path: entryPath,
+                                lastSuccess
+                            });
+                        }
+                    }
+                }
+                break;
+            }
+            case 'rclone-error': {
+                for (const [remotePath, failure] of remoteErrors.data.entries()) {
+                    if (rule.path && rule.path !== remotePath) {
+                        continue;
+                    }
+                    add(rule, remotePath, `rclone failed for ${remotePath}: ${failure.error}`, failure);
+                }
+                break;
+            }
+            case 'shrink': {
+                for (const [remotePath, history] of remoteSizeHistory.data.entries()) {
+                    if ((rule.path && rule.path !== remotePath) || history.entries.length < 2) {
+                        continue;
+                    }
+                    const previous = history.entries[history.entries.length - 2];
+                    const latest = history.entries[history.entries.length - 1];
+                    const shrinkBytes = previous.bytes - latest.bytes;
+                    const shrinkPercent = previous.bytes > 0 ? (shrinkBytes / previous.bytes) * 100 : 0;
+
+                    if (shrinkBytes > (rule.minShrinkBytes || 0) && shrinkPercent >= (rule.minShrinkPercent || 0)) {
+                        add(rule, remotePath, `Remote ${remotePath} shrank by ${formatBytes(shrinkBytes)} (${shrinkPercent.toFixed(2)}%)`, {
+                            previousBytes: previous.bytes,
+                            latestBytes: latest.bytes,
+                            shrinkBytes,
+                            shrinkPercent: parseFloat(shrinkPercent.toFixed(2))
+                        });
+                    }
+                }
+                break;
+            }
+        }
+    }
+
+    return conditions;
+}
+
+/**
+ * Send a POST request
+ * @param {string} url - Target URL
+ * @param {string} body - Request body
+ * @param {object} headers - Request headers
+ * @returns {Promise<number>} - Response status code
+ */
+function postRequest(url, body, headers) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+        const req = client.request(target, {
+            method: 'POST',
+            headers: {
+                ...headers,
+                'Content-Length': Buffer.byteLength(body)
+            },
+            timeout: 10000
+        }, res => {
+            res.resume();
+            res.on('end', () => {
+                if (res.statusCode >= 400) {
+                    reject(new Error(`Webhook responded with HTTP ${res.statusCode}`));
+                } else {
+                    resolve(res.statusCode);
+                }
+            });
+        });
+
+        req.on('timeout', () => req.destroy(new Error('Webhook request timed out')));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Send an alert to a webhook in the webhook's format
+ * @param {object} webhook - Webhook configuration
+ * @param {string} event - "firing" or "resolved"
+ * @param {object} alert - Alert details
+ * @returns {Promise<void>}
+ */
+async function sendWebhook(webhook, event, alert) {
+    const resolved = event === 'resolved';
+    const title = `${resolved ? 'Resolved' : 'Alert'}: ${alert.rule}`;
+    const message = resolved ? `Resolved: ${alert.message}` : alert.message;
+    const timestamp = new Date().toISOString();
+
+    let body;
+    let headers = { 'Content-Type': 'application/json' };
+    switch (webhook.format) {
+        case 'discord':
+            body = {
+                embeds: [{
+                    title,
+                    description: message,
+                    color: resolved ? 0x2ecc71 : 0xe74c3c,
+                    timestamp
+                }]
+            };
+            break;
+        case 'slack':
+            body = { text: `${resolved ? ':white_check_mark:' : ':warning:'} *${title}*\n${message}` };
+            break;
+        case 'ntfy':
+            body = message;
+            headers = {
+                'Content-Type': 'text/plain',
+                'Title': title,
+                'Tags': resolved ? 'white_check_mark' : 'warning',
+                'Priority': resolved ? '3' : '4'
+            };
+            break;
+        default:
+            body = { event, ...alert, timestamp };
+    }
+
+    await postRequest(webhook.url, typeof body === 'string' ? body : JSON.stringify(body), { ...headers, ...webhook.headers });
+}
+
+/**
+ * Notify the webhooks of a rule about an alert firing or resolving
+ * @param {string} event - "firing" or "resolved"
+ * @param {object} alert - Alert details
+ * @param {string[]|null} [only] - Only notify these webhooks, e.g. to retry failed deliveries
+ * @param {string[]} [skip] - Webhooks not to notify
+ * @returns {Promise<string[]>} - Names of the webhooks the notification could not be delivered to
+ */
+async function notifyAlert(event, alert, only = null, skip = []) {
+    const rule = config.notifications.rules.find(r => r.name === alert.rule);
+    const webhooks = config.notifications.webhooks.filter(webhook =>
+        (!rule || !rule.webhooks || rule.webhooks.includes(webhook.name)) &&
+        (!only || only.includes(webhook.name)) &&
+        !skip.includes(webhook.name)
+    );
+    // Bookkeeping fields are not part of the notification
+    const { resolvedAt, pendingWebhooks, ...details } = alert;
+
+    log('info', 'alerts', `${only ? `Retrying ${event} alert` : event === 'resolved' ? 'Resolved' : 'Firing'}: ${alert.message}`);
+    const failed = [];
+    for (const webhook of webhooks) {
+        try {
+            await sendWebhook(webhook, event, details);
+        } catch (error) {
+            log('error', 'alerts', `Failed to send ${event} alert to webhook "${webhook.name}", retrying after the next evaluation:`, error.message);
+            failed.push(webhook.name);
+        }
+    }
+    return failed;
+}
+
+/**
+ * Evaluate notification rules, firing new alerts and resolving cleared ones
+ * @returns {Promise<void>}
+ */
+async function evaluateAlerts() {
+    if (config.notifications.rules.length === 0) {
+        return;
+    }
+
+    const conditions = collectAlertConditions();
+
+    for (const [key, alert] of conditions.entries()) {
+        const active = alertState.data.get(key);
+        // Alerts that are already active are only sent again to webhooks that did not receive them
+        if (!active || active.resolvedAt) {
+            // Recorded before sending, so an evaluation running meanwhile does not send it a second time
+            const state = { ...alert, firedAt: new Date().toISOString(), resolvedAt: null, pendingWebhooks: [] };
+            alertState.data.set(key, state);
+            state.pendingWebhooks = await notifyAlert('firing', state);
+        } else if (active.pendingWebhooks && active.pendingWebhooks.length > 0) {
+            active.pendingWebhooks = await notifyAlert('firing', active, active.pendingWebhooks);
+        }
+    }
+
+    for (const [key, state] of Array.from(alertState.data.entries())) {
+        if (conditions.has(key)) {
+            continue;
+        }
+        if (!state.resolvedAt) {
+            // Webhooks that never received the alert are not told it resolved
+            const neverFired = state.pendingWebhooks || [];
+            state.resolvedAt = new Date().toISOString();
+            state.pendingWebhooks = await notifyAlert('resolved', state, null, neverFired);
+        } else {
+            state.pendingWebhooks = await notifyAlert('resolved', state, state.pendingWebhooks);
+        }
+        if (state.pendingWebhooks.length === 0) {
+            alertState.data.delete(key);
+        }
+    }
+
+    saveAlertState();
+}
+
+/**
+ * Update the cache with size information for all available remotes
+ * @param {object} [selection] - Limit the update to some remotes
+ * @param {string[]} [selection.only] - Only update these remotes (names without the colon)
+ * @param {string[]} [selection.exclude] - Skip these remotes
+ * @param {object} [job] - Job tracking the update's progress
+ * @returns {Promise<void>}
+ */
+async function updateRemoteCache(selection = {}, job = null) {
+    let failed = false;
+    try {
+        // Initialize temporary cache
+        remoteCacheTemp.data = new Map(remoteCache.data);
+        const startTime = new Date();
+        log('info', 'remote-cache', `Starting cache update at ${startTime.toISOString()}`);
+        log('info', 'remote-cache', `Retrieving list of available remotes...`);
+
+        const availableRemotes = await getAvailableRemotes(job);
+        remoteErrors.data.delete('rclone listremotes');
+        const remotes = availableRemotes.filter(remote =>
+            getRemoteSettings(remote).enabled &&
+            (!selection.only || selection.only.includes(remote)) &&
+            (!selection.exclude || !selection.exclude.includes(remote))
+        );
+        log('info', 'remote-cache', `Found ${availableRemotes.length} remotes, updating ${remotes.length}: ${remotes.join(', ')}`);
+        if (job) {
+            job.total = remotes.length;
+        }
+
+        // Process each remote
+        for (let i = 0; i < remotes.length; i++) {
+            const remote = remotes[i];
+            const settings = getRemoteSettings(remote);
+            const remotePath = `${remote}:${settings.basePath}`;
+
+            if (job && job.cancelRequested) {
+                log('info', 'remote-cache', `Update cancelled before ${remotePath}`);
+                break;
+            }
+            if (job) {
+                job.currentItem = remotePath;
+            }
+
+            const remoteStartTime = new Date();
+            log('info', 'remote-cache', `(${i+1}/${remotes.length}) Starting size calculation for ${remotePath} at ${remoteStartTime.toISOString()}`);
+
+            try {
+                const rcloneOptions = getRemoteRcloneOptions(remotePath);
+                let sizeInfo;
+                let rootDirectories = new Map();
+                if (settings.treeDepth) {
+                    log('info', 'remote-cache', `Listing ${remotePath} recursively for its size and ${settings.treeDepth} directory levels - this may take a while...`);
+                    sizeInfo = await measureRemoteTree(remotePath, settings.treeDepth, job, rcloneOptions);
+                    if (!sizeInfo.error && settings.breakdown) {
+                        rootDirectories = getSizeTreeRootDirectories(sizeInfo.tree);
+                    }
+                } else {
+                    log('info', 'remote-cache', `Running rclone size command for ${remotePath} - this may take a while...`);
+                    sizeInfo = await getRcloneSize(remotePath, job, rcloneOptions);
+                }
+
+                if (!sizeInfo.error && settings.breakdown && !settings.treeDepth) {
+                    try {
+                        log('info', 'remote-cache', `Getting root directories for ${remotePath}`);
+                        const dirs = await listRootDirectories(remotePath, job, rcloneOptions);
+                        log('info', 'remote-cache', `Found ${dirs.length} root directories`);
+
+                        if (dirs.length > 0) {
+                            log('info', 'remote-cache', `Getting sizes for root directories...`);
+                            rootDirectories = await getDirectorySizes(remotePath, dirs, settings.concurrency, job, rcloneOptions);
+                        }
+                    } catch (dirError) {
+                        log('error', 'remote-cache', `Error getting root directories:`, dirError);
+                    }
+                }
+
+                // Results of killed rclone processes are incomplete, so keep the previous entry
+                if (job && job.cancelRequested) {
+                    log('info', 'remote-cache', `Update cancelled during ${remotePath}, keeping previous cache entry`);
+                    break;
+                }
+
+                const remoteEndTime = new Date();
+                const durationMs = remoteEndTime - remoteStartTime;
+                const durationSec = (durationMs / 1000).toFixed(2);
+
+                if (!sizeInfo.error) {
+                    const timestamp = new Date().toISOString();
+                    const entry = {
+                        bytes: sizeInfo.bytes || 0,
+                        count: sizeInfo.count || 0,
+                        timestamp,
+                        calculationDurationMs: durationMs,
+                        directories: Array.from(rootDirectories.entries()).map(([name, info]) => ({
+                            name,
+                            bytes: info.bytes || 0,
+                            formatted: formatBytes(info.bytes || 0),
+                            count: info.count || 0,
+                            error: info.error || null
+                        })),
+                        breakdown: settings.breakdown,
+                        filters: rcloneOptions.filters,
+                        tree: sizeInfo.tree || null,
+                        stale: false,
+                        lastError: null,
+                        lastSuccessAt: timestamp,
+                        failureCount: 0
+                    };
+                    remoteCacheTemp.data.set(remotePath, entry);
+                    recordRemoteHistory(remotePath, entry);
+                    remoteErrors.data.delete(remotePath);
+
+                    log('info', 'remote-cache', `✓ Updated cache for ${remotePath}: ${formatBytes(sizeInfo.bytes || 0)}, ${sizeInfo.count || 0} objects, took ${durationSec}s`);
+                } else {
+                    const failureCount = recordRemoteFailure(remotePath, sizeInfo.error, remoteEndTime.toISOString());
+                    log('error', 'remote-cache', `✗ Error getting size for ${remotePath} after ${durationSec}s (${failureCount} consecutive failures):`, sizeInfo.error);
+                    addJobError(job, remotePath, sizeInfo.error);
+                    if (sizeInfo.stderr) {
+                        log('error', 'remote-cache', `stderr: ${sizeInfo.stderr}`);
+                    }
+                }
+            } catch (remoteError) {
+                const remoteEndTime = new Date();
+                const durationSec = ((remoteEndTime - remoteStartTime) / 1000).toFixed(2);
+                log('error', 'remote-cache', `✗ Failed to process remote ${remote} after ${durationSec}s:`, remoteError);
+                recordRemoteFailure(remotePath, remoteError.message, remoteEndTime.toISOString());
+                addJobError(job, remotePath, remoteError.message);
+            }
+
+            if (job) {
+                job.completed++;
+            }
+        }
+
+        // Refresh sub-paths that were added on demand with forceDirect, as long as their remote is part of this update
+        const directPaths = Array.from(remoteCacheTemp.data.entries())
+            .filter(([remotePath, data]) => data.direct && remotes.includes(remotePath.split(':')[0]))
+            .map(([remotePath]) => remotePath);
+        if (job) {
+            job.total += directPaths.length;
+        }
+
+        for (const remotePath of directPaths) {
+            if (job && job.cancelRequested) {
+                break;
+            }
+            if (job) {
+                job.currentItem = remotePath;
+            }
+
+            log('info', 'remote-cache', `Refreshing on-demand path ${remotePath}`);
+            const directStartTime = new Date();
+            const rcloneOptions = getRemoteRcloneOptions(remotePath);
+            const sizeInfo = await getRcloneSize(remotePath, job, rcloneOptions);
+            const directEndTime = new Date();
+            if (job) {
+                job.completed++;
+            }
+
+            if (job && job.cancelRequested) {
+                break;
+            }
+            if (sizeInfo.error) {
+                log('error', 'remote-cache', `✗ Error refreshing ${remotePath}:`, sizeInfo.error);
+                recordRemoteFailure(remotePath, sizeInfo.error, directEndTime.toISOString());
+                addJobError(job, remotePath, sizeInfo.error);
+                continue;
+            }
+            remoteErrors.data.delete(remotePath);
+
+            const entry = {
+                ...remoteCacheTemp.data.get(remotePath),
+                bytes: sizeInfo.bytes || 0,
+                count: sizeInfo.count || 0,
+                timestamp: directEndTime.toISOString(),
+                calculationDurationMs: directEndTime - directStartTime,
+                filters: rcloneOptions.filters,
+                stale: false,
+                lastError: null,
+                lastSuccessAt: directEndTime.toISOString(),
+                failureCount: 0
+            };
+            remoteCacheTemp.data.set(remotePath, entry);
+            recordRemoteHistory(remotePath, entry);
+            log('info', 'remote-cache', `✓ Updated cache for ${remotePath}: ${formatBytes(sizeInfo.bytes || 0)}, ${sizeInfo.count || 0} objects`);
+        }
+
+        const endTime = new Date();
+        const totalDurationSec = ((endTime - startTime) / 1000).toFixed(2);
+
+        remoteCache.lastUpdated = endTime.toISOString();
+        log('info', 'remote-cache', `Remote cache update completed at ${endTime.toISOString()}`);
+        log('info', 'remote-cache', `Total update duration: ${totalDurationSec}s for ${remotes.length} remotes`);
+        log('info', 'remote-cache', `Cache now contains ${remoteCache.data.size} entries`);
+
+        // Log a summary of the cached data
+        log('info', 'remote-cache', `Cache summary:`);
+        for (const [path, data] of remoteCache.data.entries()) {
+            const duration = data.calculationDurationMs ?
+                `${(data.calculationDurationMs / 1000).toFixed(2)}s` : 'unknown';
+            log('info', 'remote-cache', `  - ${path}: ${formatBytes(data.bytes)}, ${data.count} objects, calculation took ${duration}`);
+        }
+    } catch (error) {
+        log('error', 'remote-cache', `Failed to update remote cache:`, error);
+        recordRemoteFailure('rclone listremotes', error.message, new Date().toISOString());
+        addJobError(job, 'rclone listremotes', error.message);
+        failed = true;
+    } finally {
+        // Replace the main cache with the temporary cache all at once
+        remoteCache.data = new Map(remoteCacheTemp.data);
+        remoteCacheTemp.data.clear();
+        remoteCache.updateInProgress = false;
+        remoteCache.updateStartTime = null;
+        finishJob(job, failed && !(job && job.cancelRequested) ? 'failed' : undefined);
+        saveRemoteCache()
+        saveRemoteHistory()
+        evaluateAlerts().catch(err => {
+            log('error', 'alerts', `Failed to evaluate alerts:`, err);
+        });
+        runDeferredScheduledJob('remote');
+    }
+}
+
+/**
+ * Start a remote cache update in the background as a job
+ * @param {string} trigger - What started the update: "startup", "schedule" or "manual"
+ * @param {object} [selection] - Remotes to include or exclude, see updateRemoteCache
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreQuietWindow] - Start even inside a quiet window
+ * @returns {object} - The job
+ */
+function startRemoteUpdate(trigger, selection = {}, { ignoreQuietWindow = false } = {}) {
+    assertOutsideQuietWindow('a remote cache update', ignoreQuietWindow);
+    const job = createJob('remote-update', { trigger, targets: selection.only || null });
+    remoteCache.updateInProgress = true;
+    remoteCache.updateStartTime = job.startedAt;
+
+    updateRemoteCache(selection, job).catch(err => {
+        log('error', 'remote-cache', `Cache update job ${job.id} failed:`, err);
+    });
+    return job;
+}
+
+/**
+ * Start a local cache update in the background as a job
+ * @param {string} trigger - What started the update: "startup", "schedule", "manual" or "watch"
+ * @param {object} [selection] - Directories to include or exclude, see updateLocalCache
+ * @returns {object} - The job
+ */
+function startLocalUpdate(trigger, selection = {}) {
+    const job = createJob('local-update', { trigger, targets: selection.only || null });
+    localCache.updateInProgress = true;
+    localCache.updateStartTime = job.startedAt;
+
+    updateLocalCache(selection, job).catch(err => {
+        log('error', 'local-cache', `Cache update job ${job.id} failed:`, err);
+    });
+    return job;
+}
+
+/**
+ * Keep a local cache entry that could not be measured in the next cache, marked with the error
+ * @param {string} localDir - Local directory path
+ * @param {string} message - Error message
+ */
+function markLocalCacheError(localDir, message) {
+    const previous = localCache.data.get(localDir) || {};
+    const timestamp = new Date().toISOString();
+    localCacheTemp.data.set(localDir, {
+        ...previous,
+        error: message,
+        stale: true,
+        lastError: { message, at: timestamp },
+        lastSuccessAt: previous.error ? previous.lastSuccessAt || null : previous.timestamp || null,
+        failureCount: (previous.failureCount || (previous.error ? 1 : 0)) + 1,
+        timestamp
+    });
+}
+
+/**
+ * NEW: Update the cache with size information for all tracked local directories
+ * @param {object} [selection] - Limit the update to some directories
+ * @param {string[]} [selection.only] - Only update these directories
+ * @param {string[]} [selection.exclude] - Skip these directories
+ * @param {object} [job] - Job tracking the update's progress
+ * @returns {Promise<void>}
+ */
+async function updateLocalCache(selection = {}, job = null) {
+    let failed = false;
+    try {
+        // Initialize temporary cache so directories outside this update are kept
+        localCacheTemp.data = new Map(localCache.data);
+
+        const localDirs = getTrackedLocalDirectories().filter(dir =>
+            (!selection.only || selection.only.includes(dir)) &&
+            (!selection.exclude || !selection.exclude.includes(dir))
+        );
+
+        if (localDirs.length === 0) {
+            log('info', 'local-cache', `No local directories to update in cache`);
+            return;
+        }
+
+        const startTime = new Date();
+        log('info', 'local-cache', `Starting cache update at ${startTime.toISOString()}`);
+        log('info', 'local-cache', `Found ${localDirs.length} directories to update`);
+        if (job) {
+            job.total = localDirs.length;
+        }
+
+        // Process each directory
+        for (let i = 0; i < localDirs.length; i++) {
+            const localDir = localDirs[i];
+
+            if (job && job.cancelRequested) {
+                log('info', 'local-cache', `Update cancelled before ${localDir}`);
+                break;
+            }
+            if (job) {
+                job.currentItem = localDir;
+            }
+            // Untracked through the API while this update was running
+            if (untrackedLocal.data.has(localDir)) {
+                if (job) {
+                    job.completed++;
+                }
+                continue;
+            }
+
+            const dirStartTime = new Date();
+            log('info', 'local-cache', `(${i+1}/${localDirs.length}) Starting size calculation for ${localDir} at ${dirStartTime.toISOString()}`);
+
+            try {
+                if (!fs.existsSync(localDir)) {
+                    log('error', 'local-cache', `✗ Directory no longer exists: ${localDir}`);
+                    // Keep the entry but mark it as inaccessible
+                    markLocalCacheError(localDir, 'Directory no longer exists');
+                    addJobError(job, localDir, 'Directory no longer exists');
+                    if (job) {
+                        job.completed++;
+                    }
+                    continue;
+                }
+
+                const previousSnapshot = getIncrementalSnapshot(localDir, dirStartTime);
+                log('info', 'local-cache', `Calculating size for ${localDir} (${previousSnapshot ? 'incremental' : 'full scan'}) - this may take a while...`);
+                const scan = await scanLocalDirectory(localDir, job, previousSnapshot);
+
+                const dirEndTime = new Date();
+                const durationMs = dirEndTime - dirStartTime;
+                const durationSec = (durationMs / 1000).toFixed(2);
+
+                // Partial scans would under-report, so keep the previous entry
+                if (scan.cancelled) {
+                    log('info', 'local-cache', `Update cancelled during ${localDir}, keeping previous cache entry`);
+                    break;
+                }
+                if (untrackedLocal.data.has(localDir)) {
+                    log('info', 'local-cache', `${localDir} was untracked during its scan, discarding the result`);
+                    continue;
+                }
+
+                const sizeBytes = scan.bytes;
+                const currentTime = new Date();
+                localCacheTemp.data.set(localDir, createLocalCacheEntry(scan, currentTime, durationMs));
+                storeLocalSnapshot(localDir, scan, currentTime);
+                if (scan.errorCount > 0) {
+                    log('error', 'local-cache', `${scan.errorCount} paths in ${localDir} could not be read, first: ${scan.errors[0].path}: ${scan.errors[0].error}`);
+                }
+
+                recordLocalHistory(localDir, {
+                    timestamp: currentTime.toISOString(),
+                    bytes: sizeBytes,
+                    count: scan.count
+                });
+
+                log('info', 'local-cache', `✓ Updated cache for ${localDir}: ${formatBytes(sizeBytes)}, ${scan.count} files, ${scan.directoryCount} directories (${scan.directoriesRescanned} rescanned, ${scan.directoriesReused} unchanged), took ${durationSec}s`);
+            } catch (dirError) {
+                const dirEndTime = new Date();
+                const durationSec = ((dirEndTime - dirStartTime) / 1000).toFixed(2);
+                log('error', 'local-cache', `✗ Failed to process directory ${localDir} after ${durationSec}s:`, dirError);
+
+                // Store the error in the cache
+                markLocalCacheError(localDir, dirError.message);
+                addJobError(job, localDir, dirError.message);
+            }
+
+            if (job) {
+                job.completed++;
+            }
+        }
+
+        const endTime = new Date();
+        const totalDurationSec = ((endTime - startTime) / 1000).toFixed(2);
+
+        localCache.lastUpdated = endTime.toISOString();
+        log('info', 'local-cache', `Local cache update completed at ${endTime.toISOString()}`);
+        log('info', 'local-cache', `Total update duration: ${totalDurationSec}s for ${localCache.data.size} directories`);
+
+        // Log a summary of the cached data
+        log('info', 'local-cache', `Cache summary:`);
+        for (const [dir, data] of localCache.data.entries()) {
+            const duration = data.calculationDurationMs ?
+                `${(data.calculationDurationMs / 1000).toFixed(2)}s` : 'unknown';
+            log('info', 'local-cache', `  - ${dir}: ${formatBytes(data.bytes)}, calculation took ${duration}`);
+        }
+    } catch (error) {
+        log('error', 'local-cache', `Failed to update local cache:`, error);
+        addJobError(job, null, error.message);
+        failed = true;
+    } finally {
+        // Replace the main cache with the temporary cache all at once
+        localCache.data = new Map(localCacheTemp.data);
+        localCacheTemp.data.clear();
+        localCache.updateInProgress = false;
+        localCache.updateStartTime = null;
+        finishJob(job, failed && !(job && job.cancelRequested) ? 'failed' : undefined);
+        saveLocalCache()
+        saveSizeHistory()
+        saveLocalSnapshots();
+        evaluateAlerts().catch(err => {
+            log('error', 'alerts', `Failed to evaluate alerts:`, err);
+        });
+        syncLocalWatchers().catch(err => {
+            log('error', 'watch', `Failed to set up watchers:`, err);
+        });
+        runDeferredScheduledJob('local');
+    }
+}
+
+/**
+ * NEW: Add a local directory to the cache
+ * @param {string} directoryPath - Path to add to the cache
+ * @param {object} [job] - Job tracking the scan, created when omitted
+ * @returns {Promise<object>} - Size information for the directory
+ */
+async function addToLocalCache(directoryPath, job = createJob('local-add', { trigger: 'api', targets: [directoryPath] })) {
+    job.total = 1;
+    job.currentItem = directoryPath;
+
+    try {
+        log('info', 'local-cache', `Adding new directory to cache: ${directoryPath}`);
+
+        if (!isLocalPathAllowed(directoryPath)) {
+            const error = new Error(`Local path is outside the allowed local roots: ${directoryPath}`);
+            error.statusCode = 403;
+            throw error;
+        }
+
+        if (!fs.existsSync(directoryPath)) {
+            throw new Error(`Directory does not exist: ${directoryPath}`);
+        }
+
+        const startTime = new Date();
+        const scan = await scanLocalDirectory(directoryPath, job);
+        const endTime = new Date();
+        const durationMs = endTime - startTime;
+
+        if (scan.cancelled) {
+            const error = new Error(`Scan of ${directoryPath} was cancelled`);
+            error.statusCode = 409;
+            throw error;
+        }
+
+        const sizeBytes = scan.bytes;
+        const dirInfo = createLocalCacheEntry(scan, endTime, durationMs);
+        storeLocalSnapshot(directoryPath, scan, endTime);
+
+        localCache.data.set(directoryPath, dirInfo);
+        // Keep the entry when a running update replaces the cache with its temporary copy
+        if (localCache.updateInProgress) {
+            localCacheTemp.data.set(directoryPath, dirInfo);
+        }
+
+        recordLocalHistory(directoryPath, {
+            timestamp: endTime.toISOString(),
+            bytes: sizeBytes,
+            count: scan.count
+        });
+
+        log('info', 'local-cache', `Added ${directoryPath} to cache: ${formatBytes(sizeBytes)}, ${scan.count} files, calculation took ${(durationMs/1000).toFixed(2)}s`);
+
+        saveLocalCache()
+        saveSizeHistory()
+        saveLocalSnapshots();
+        syncLocalWatchers().catch(err => {
+            log('error', 'watch', `Failed to set up watchers:`, err);
+        });
+        job.completed = 1;
+        job.result = { bytes: sizeBytes, count: scan.count };
+        finishJob(job, 'completed');
+        return dirInfo;
+    } catch (error) {
+        log('error', 'local-cache', `Failed to add directory to cache:`, error);
+        addJobError(job, directoryPath, error.message);
+        finishJob(job, 'failed');
+        throw error;
+    }
+}
+
+/**
+ * Parse one field of a cron expression
+ * @param {string} field - Field text, e.g. "*", "5", "1-5", "*\/15" or "0,30"
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {Set<number>} - Values matched by the field
+ */
+function parseCronField(field, min, max) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+            throw new Error(`Invalid cron field "${field}"`);
+        }
+
+        let start = min;
+        let end = max;
+        if (match[1] !== '*') {
+            [start, end] = match[1].split('-').map(Number);
+            if (end === undefined) {
+                end = match[2] ? max : start;
+            }
+        }
+        const step = match[2] ? parseInt(match[2], 10) : 1;
+
+        if (start < min || end > max || start > end || step < 1) {
+            throw new Error(`Invalid cron field "${field}" (allowed range ${min}-${max})`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week)
+ * @param {string} expression - Cron expression
+ * @returns {object} - Parsed expression
+ */
+function parseCron(expression) {
+    const fields = String(expression).trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+    }
+
+    const daysOfWeek = parseCronField(fields[4], 0, 7);
+    // Both 0 and 7 mean Sunday
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.delete(7);
+        daysOfWeek.add(0);
+    }
+
+    return {
+        expression,
+        minutes: parseCronField(fields[0], 0, 59),
+        hours: parseCronField(fields[1], 0, 23),
+        daysOfMonth: parseCronField(fields[2], 1, 31),
+        months: parseCronField(fields[3], 1, 12),
+        daysOfWeek,
+        dayOfMonthRestricted: fields[2] !== '*',
+        dayOfWeekRestricted: fields[4] !== '*'
+    };
+}
+
+// Date formatters per timezone, used to read wall-clock time in the schedule timezone
+const zonedFormatters = new Map();
+
+/**
+ * Get the wall-clock components of a date in a timezone
+ * @param {Date} date - Date to convert
+ * @param {string} timezone - IANA timezone name
+ * @returns {{month: number, day: number, weekday: number, hour: number, minute: number}} - Date components
+ */
+function getZonedParts(date, timezone) {
+    if (!zonedFormatters.has(timezone)) {
+        zonedFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            month: 'numeric',
+            day: 'numeric',
+            weekday: 'short',
+            hour: 'numeric',
+            minute: 'numeric'
+        }));
+    }
+
+    const parts = {};
+    for (const { type, value } of zonedFormatters.get(timezone).formatToParts(date)) {
+        parts[type] = value;
+    }
+
+    return {
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+        hour: parseInt(parts.hour, 10) % 24,
+        minute: parseInt(parts.minute, 10)
+    };
+}
+
+/**
+ * Check whether a date falls inside one of the configured quiet windows
+ * @param {Date} date - Date to check
+ * @returns {boolean} - True if no rclone scans should start at this time
+ */
+function isInQuietWindow(date) {
+    const { weekday, hour, minute } = getZonedParts(date, config.schedule.timezone);
+    const minuteOfDay = hour * 60 + minute;
+
+    return config.schedule.quietWindows.some(window => {
+        // Windows that cross midnight belong to the day they start on
+        const crossesMidnight = window.startMinute > window.endMinute;
+        const inWindow = crossesMidnight
+            ? minuteOfDay >= window.startMinute || minuteOfDay < window.endMinute
+            : minuteOfDay >= window.startMinute && minuteOfDay < window.endMinute;
+        if (!inWindow || !window.days) {
+            return inWindow;
+        }
+        const startDay = crossesMidnight && minuteOfDay < window.endMinute ? (weekday + 6) % 7 : weekday;
+        return window.days.includes(startDay);
+    });
+}
+
+/**
+ * Refuse to start rclone inside a quiet window
+ * @param {string} what - Work that would start, for the error message
+ * @param {boolean} [ignoreQuietWindow] - Start it anyway, as requested by an admin
+ * @throws {Error} - With statusCode 423 inside a quiet window
+ */
+function assertOutsideQuietWindow(what, ignoreQuietWindow = false) {
+    if (ignoreQuietWindow || !isInQuietWindow(new Date())) {
+        return;
+    }
+    const error = new Error(`Not starting ${what} inside a quiet window. Set ignoreQuietWindow to start it anyway`);
+    error.statusCode = 423;
+    throw error;
+}
+
+/**
+ * Find the next time a cron expression matches
+ * @param {object} cron - Parsed cron expression
+ * @param {string} timezone - IANA timezone the expression is written in
+ * @param {Date} after - Find a time strictly after this date
+ * @param {function(Date): boolean} [isBlocked] - Skip times for which this returns true
+ * @returns {Date|null} - Next matching time, or null if there is none within a year
+ */
+function getNextCronRun(cron, timezone, after, isBlocked) {
+    let time = Math.floor(after.getTime() / 60000) * 60000 + 60000;
+    const limit = after.getTime() + 366 * 24 * 60 * 60 * 1000;
+
+    while (time < limit) {
+        const parts = getZonedParts(new Date(time), timezone);
+        const dayOfMonthMatches = cron.daysOfMonth.has(parts.day);
+        const dayOfWeekMatches = cron.daysOfWeek.has(parts.weekday);
+        // Standard cron: when both day fields are restricted, either may match
+        const dayMatches = cron.dayOfMonthRestricted && cron.dayOfWeekRestricted
+            ? dayOfMonthMatches || dayOfWeekMatches
+            : dayOfMonthMatches && dayOfWeekMatches;
+
+        if (!cron.months.has(parts.month) || !dayMatches || !cron.hours.has(parts.hour)) {
+            // Jump to the start of the next hour
+            time += (60 - parts.minute) * 60000;
+            continue;
+        }
+        if (!cron.minutes.has(parts.minute) || (isBlocked && isBlocked(new Date(time)))) {
+            time += 60000;
+            continue;
+        }
+        return new Date(time);
+    }
+
+    return null;
+}
+
+/**
+ * Start a scheduled update for a job unless it would overlap a running update or fall in a quiet window
+ * @param {object} job - Scheduler job
+ */
+function runScheduledJob(job) {
+    const now = new Date();
+    const cache = job.cache === 'remote' ? remoteCache : localCache;
+    const component = job.cache === 'remote' ? 'remote-cache' : 'local-cache';
+
+    if (job.cache === 'remote' && isInQuietWindow(now)) {
+        log('info', component, `Skipping scheduled update "${job.name}": inside a quiet window`);
+        job.lastSkipped = { at: now.toISOString(), reason: 'quiet-window' };
+        job.deferredSince = null;
+        return;
+    }
+    if (cache.updateInProgress) {
+        // Only one update of a cache runs at a time, so the run waits for the current one instead of being dropped
+        if (!job.deferredSince) {
+            log('info', component, `Deferring scheduled update "${job.name}" until the update running since ${cache.updateStartTime} finishes`);
+            job.deferredSince = now.toISOString();
+        }
+        return;
+    }
+
+    log('info', component, `Running scheduled cache update "${job.name}" at ${now.toISOString()}`);
+    job.deferredSince = null;
+    job.lastRun = now.toISOString();
+
+    const start = job.cache === 'remote' ? startRemoteUpdate : startLocalUpdate;
+    job.lastJobId = start('schedule', job.selection()).id;
+}
+
+/**
+ * Start the first scheduled run that was deferred while an update of a cache was running
+ * @param {string} cacheName - "remote" or "local"
+ */
+function runDeferredScheduledJob(cacheName) {
+    const job = scheduler.jobs.find(j => j.cache === cacheName && j.deferredSince);
+    // The update it starts runs the next deferred job when it finishes
+    if (job) {
+        runScheduledJob(job);
+    }
+}
+
+/**
+ * Compute a job's next run and set a timer for it
+ * @param {object} job - Scheduler job
+ */
+function scheduleNextRun(job) {
+    // Remote jobs never start inside quiet windows, so their next run skips them
+    const isBlocked = job.cache === 'remote' ? isInQuietWindow : null;
+    const nextRun = getNextCronRun(job.cron, config.schedule.timezone, new Date(), isBlocked);
+    job.nextRun = nextRun ? nextRun.toISOString() : null;
+
+    if (!nextRun) {
+        log('error', 'cache', `Schedule "${job.name}" (${job.cron.expression}) has no run within the next year`);
+        return;
+    }
+
+    // setTimeout cannot wait longer than ~24.8 days, so long waits are split
+    const waitTimer = () => {
+        const delay = Math.min(nextRun.getTime() - Date.now(), MAX_TIMER_DELAY_MS);
+        job.timer = setTimeout(() => {
+            if (Date.now() < nextRun.getTime()) {
+                waitTimer();
+                return;
+            }
+            runScheduledJob(job);
+            scheduleNextRun(job);
+        }, Math.max(delay, 0));
+    };
+    waitTimer();
+}
+
+/**
+ * Get the next scheduled update covering a remote or local directory
+ * @param {string} cache - "remote" or "local"
+ * @param {string} [target] - Remote name or local directory
+ * @returns {string|null} - ISO timestamp of the next run
+ */
+function getNextScheduledRun(cache, target) {
+    const job = scheduler.jobs.find(j => j.cache === cache && j.targets && target && j.targets.includes(target)) ||
+        scheduler.jobs.find(j => j.cache === cache && !j.targets);
+    return job ? job.nextRun : null;
+}
+
+/**
+ * Schedule cache updates from the cron expressions in the config file
+ * @param {boolean} updateNow - Whether to update the cache immediately on start
+ */
+function scheduleCacheUpdates(updateNow = true) {
+    if (updateNow) {
+        log('info', 'cache', `Initial cache update scheduled to run immediately on startup`);
+        // Use setTimeout with 0 delay to allow the server to start completely before running the cache update
+        setTimeout(() => {
+            if (isInQuietWindow(new Date())) {
+                log('info', 'remote-cache', `Skipping initial remote cache update: inside a quiet window`);
+            } else {
+                startRemoteUpdate('startup');
+            }
+
+            // Also update local cache initially
+            startLocalUpdate('startup');
+        }, 0);
+    } else {
+        log('info', 'cache', `Initial cache update skipped, will run at scheduled time`);
+    }
+
+    const { schedule } = config;
+    const remoteTargets = Object.keys(schedule.remotes);
+    const localTargets = Object.keys(schedule.localDirectories);
+
+    // The global jobs cover everything that has no schedule of its own
+    scheduler.jobs = [
+        {
+            name: 'remote',
+            cache: 'remote',
+            cron: schedule.remote,
+            targets: null,
+            selection: () => ({ exclude: remoteTargets })
+        },
+        {
+            name: 'local',
+            cache: 'local',
+            cron: schedule.local,
+            targets: null,
+            selection: () => ({ exclude: localTargets })
+        },
+        ...Object.entries(schedule.remotes).map(([remote, cron]) => ({
+            name: `remote:${remote}`,
+            cache: 'remote',
+            cron,
+            targets: [remote],
+            selection: () => ({ only: [remote] })
+        })),
+        ...Object.entries(schedule.localDirectories).map(([dir, cron]) => ({
+            name: `local:${dir}`,
+            cache: 'local',
+            cron,
+            targets: [dir],
+            selection: () => ({ only: [dir] })
+        }))
+    ].map(job => ({ ...job, nextRun: null, lastRun: null, lastJobId: null, lastSkipped: null, deferredSince: null, timer: null }));
+
+    for (const job of scheduler.jobs) {
+        scheduleNextRun(job);
+        log('info', 'cache', `Scheduled ${job.cache} cache update "${job.name}" with "${job.cron.expression}" (${schedule.timezone}), next run at ${job.nextRun}`);
+    }
+}
+
+/**
+ * Get the last modified time when the local directory size changed
+ * @param {string} directoryPath - Path to the directory
+ * @returns {string|null} - ISO timestamp of last size change, rounded to nearest hour (or day, for daily history points)
+ */
+function getLastModified(directoryPath) {
+    const history = localSizeHistory.data.get(directoryPath);
+    if (!history || history.length === 0) {
+        return null;
+    }
+
+    // Find the most recent time when size changed, rolled-up points changed within their bucket if min and max differ
+    for (let i = history.length - 1; i > 0; i--) {
+        if (history[i].bytes !== history[i-1].bytes || history[i].minBytes !== history[i].maxBytes) {
+            // Round to the nearest hour
+            const changeTime = new Date(history[i].timestamp);
+            changeTime.setMinutes(0, 0, 0);
+            return changeTime.toISOString();
+        }
+    }
+
+    // If no changes found in history, return the first entry
+    if (history.length > 0) {
+        const firstTime = new Date(history[0].timestamp);
+        firstTime.setMinutes(0, 0, 0);
+        return firstTime.toISOString();
+    }
+
+    return null;
+}
+
+/**
+ * Get the most precise last change time known for a local directory
+ * @param {string} localPath - Local directory path
+ * @returns {{lastModified: string|null, source: string|null}} - Timestamp and where it came from: "watcher" or "size-history"
+ */
+function getLocalLastModified(localPath) {
+    const watcher = localWatchers.data.get(localPath);
+    if (watcher && watcher.lastChangeAt) {
+        return { lastModified: watcher.lastChangeAt, source: 'watcher' };
+    }
+
+    const lastModified = getLastModified(localPath);
+    return { lastModified, source: lastModified ? 'size-history' : null };
+}
+
+/**
+ * Record a change seen by a watcher and schedule a refresh of the tracked directory
+ * @param {string} localPath - Tracked local directory
+ * @param {string} changedPath - File or directory that changed
+ */
+function handleLocalChange(localPath, changedPath) {
+    const state = localWatchers.data.get(localPath);
+    // Our own cache files would otherwise trigger endless refreshes when CACHE_DIR is inside a tracked directory
+    if (!state || changedPath.startsWith(path.resolve(CACHE_DIR) + path.sep)) {
+        return;
+    }
+
+    const now = Date.now();
+    state.lastChangeAt = new Date(now).toISOString();
+    state.lastChangedPath = changedPath;
+    state.dirty.add(path.relative(localPath, path.dirname(changedPath)).split(path.sep).join('/'));
+    if (!state.pendingSince) {
+        state.pendingSince = now;
+    }
+
+    // Debounce bursts, but do not wait forever while changes keep coming
+    clearTimeout(state.timer);
+    const delay = Math.min(config.watch.debounceMs, Math.max(state.pendingSince + config.watch.maxDelayMs - now, 0));
+    state.timer = setTimeout(() => refreshWatchedDirectory(localPath), delay);
+}
+
+/**
+ * Refresh the size of a tracked directory after a watcher saw it change
+ * @param {string} localPath - Tracked local directory
+ */
+function refreshWatchedDirectory(localPath) {
+    const state = localWatchers.data.get(localPath);
+    if (!state) {
+        return;
+    }
+
+    if (localCache.updateInProgress) {
+        log('info', 'watch', `Local cache update in progress, delaying refresh of ${localPath}`);
+        state.timer = setTimeout(() => refreshWatchedDirectory(localPath), config.watch.debounceMs);
+        return;
+    }
+
+    state.pendingSince = null;
+    state.timer = null;
+    log('info', 'watch', `Refreshing ${localPath} after changes, last: ${state.lastChangedPath} at ${state.lastChangeAt}`);
+    startLocalUpdate('watch', { only: [localPath] });
+}
+
+/**
+ * Watch a single directory, used when recursive watching is not supported
+ * @param {string} localPath - Tracked local directory
+ * @param {object} state - Watcher state of the tracked directory
+ * @param {string} dirPath - Directory to watch
+ */
+function addDirectoryWatcher(localPath, state, dirPath) {
+    if (state.watchers.has(dirPath)) {
+        return;
+    }
+    if (state.watchers.size >= config.watch.maxDirectories) {
+        if (!state.error) {
+            state.error = `More than ${config.watch.maxDirectories} directories, changes in the rest are found by scheduled updates`;
+            log('error', 'watch', `${localPath}: ${state.error}`);
+        }
+        return;
+    }
+
+    try {
+        const watcher = fs.watch(dirPath, (eventType, filename) => {
+            const changedPath = filename ? path.join(dirPath, filename.toString()) : dirPath;
+            handleLocalChange(localPath, changedPath);
+
+            // Watch directories created after the watchers were set up
+            if (eventType === 'rename' && filename) {
+                fs.promises.lstat(changedPath)
+                    .then(stats => {
+                        if (stats.isDirectory()) {
+                            return addDirectoryWatchers(localPath, state, changedPath);
+                        }
+                    })
+                    .catch(() => {});
+            }
+        });
+        watcher.on('error', () => {
+            watcher.close();
+            state.watchers.delete(dirPath);
+        });
+        state.watchers.set(dirPath, watcher);
+    } catch (error) {
+        log('error', 'watch', `Failed to watch ${dirPath}:`, error.message);
+    }
+}
+
+/**
+ * Watch a directory and every directory below it
+ * @param {string} localPath - Tracked local directory
+ * @param {object} state - Watcher state of the tracked directory
+ * @param {string} dirPath - Directory to start from
+ * @returns {Promise<void>}
+ */
+async function addDirectoryWatchers(localPath, state, dirPath) {
+    addDirectoryWatcher(localPath, state, dirPath);
+
+    let entries;
+    try {
+        entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+        return;
+    }
+    for (const entry of entries) {
+        if (entry.isDirectory() && localWatchers.data.get(localPath) === state) {
+            await addDirectoryWatchers(localPath, state, path.join(dirPath, entry.name));
+        }
+    }
+}
+
+/**
+ * Start watching a tracked local directory for changes
+ * @param {string} localPath - Tracked local directory
+ * @returns {Promise<void>}
+ */
+async function watchLocalDirectory(localPath) {
+    const state = {
+        mode: 'recursive',
+        watchers: new Map(),
+        lastChangeAt: null,
+        lastChangedPath: null,
+        dirty: new Set(),
+        pendingSince: null,
+        timer: null,
+        error: null
+    };
+    localWatchers.data.set(localPath, state);
+
+    try {
+        const watcher = fs.watch(localPath, { recursive: true }, (eventType, filename) => {
+            handleLocalChange(localPath, filename ? path.join(localPath, filename.toString()) : localPath);
+        });
+        watcher.on('error', error => {
+            log('error', 'watch', `Watcher for ${localPath} failed:`, error.message);
+            unwatchLocalDirectory(localPath);
+        });
+        state.watchers.set(localPath, watcher);
+        log('info', 'watch', `Watching ${localPath} recursively`);
+    } catch (error) {
+        // Recursive watching is not available on every platform and Node.js version
+        state.mode = 'per-directory';
+        await addDirectoryWatchers(localPath, state, localPath);
+        log('info', 'watch', `Watching ${localPath} with ${state.watchers.size} directory watchers`);
+    }
+}
+
+/**
+ * Stop watching a local directory
+ * @param {string} localPath - Local directory path
+ */
+function unwatchLocalDirectory(localPath) {
+    const state = localWatchers.data.get(localPath);
+    if (!state) {
+        return;
+    }
+    clearTimeout(state.timer);
+    for (const watcher of state.watchers.values()) {
+        watcher.close();
+    }
+    localWatchers.data.delete(localPath);
+}
+
+/**
+ * Watch every tracked local directory that exists and is not watched yet
+ * @returns {Promise<void>}
+ */
+async function syncLocalWatchers() {
+    if (!config.watch.enabled) {
+        return;
+    }
+
+    for (const localPath of getTrackedLocalDirectories()) {
+        if (!localWatchers.data.has(localPath) && fs.existsSync(localPath) && isLocalPathAllowed(localPath)) {
+            await watchLocalDirectory(localPath);
+        }
+    }
+}
+
+/**
+ * Format date to DD/MM/YY HH[AM/PM] format in host timezone
+ * @param {string} isoDate - ISO date string
+ * @returns {string} - Formatted date string
+ */
+function formatDateToLocal(isoDate) {
+    if (!isoDate) return null;
+
+    const date = new Date(isoDate);
+
+    // Get date components
+    const day = date.getDate().toString().padStart(2, '0');
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const year = date.getFullYear().toString().slice(-2);
+
+    // Get hour in 12-hour format
+    let hours = date.getHours();
+    const ampm = hours >= 12 ? 'PM' : 'AM';
+    hours = hours % 12;
+    hours = hours ? hours : 12; // 0 should be 12
+
+    return `${day}/${month}/${year} ${hours}${ampm}`;
+}
+
+/**
+ * Check that a local directory may be compared
+ * @param {string} localPath - Local directory path
+ * @param {object} options
+ * @param {boolean} options.allowTracking - Whether a directory that is not tracked yet may be added to the local cache
+ * @returns {{statusCode: number, body: object}|null} - Error response, or null if the directory may be compared
+ */
+function validateLocalEndpoint(localPath, { allowTracking }) {
+    // Refuse to walk directories outside the allowed roots, before revealing whether they exist
+    if (!isLocalPathAllowed(localPath)) {
+        return {
+            statusCode: 403,
+            body: {
+                error: `Local path is outside the allowed local roots: ${localPath}`
+            }
+        };
+    }
+
+    if (!fs.existsSync(localPath)) {
+        return {
+            statusCode: 400,
+            body: {
+                error: `Local path does not exist: ${localPath}`
+            }
+        };
+    }
+
+    if (!allowTracking && !localCache.data.has(localPath)) {
+        return {
+            statusCode: 403,
+            body: {
+                error: `Local path is not tracked yet: ${localPath}. An admin API key is required to start tracking it`
+            }
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Check that an uncached remote path may be measured on demand
+ * @param {string} remotePath - rclone remote path
+ * @param {object} options
+ * @param {boolean} [options.forceDirect] - Whether the request asks for an on-demand size
+ * @param {boolean} options.allowDirect - Whether rclone may be started for a path that is not cached yet
+ * @returns {{statusCode: number, body: object}|null} - Error response, or null if the request may go ahead
+ */
+function validateDirectFetch(remotePath, { forceDirect, allowDirect }) {
+    // On-demand sizes start rclone and are kept in the remote cache for every later update
+    if (forceDirect && !allowDirect && !remoteCache.data.has(remotePath)) {
+        return {
+            statusCode: 403,
+            body: {
+                error: `Remote path is not cached yet: ${remotePath}. An admin API key is required to fetch it with forceDirect`
+            }
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Get the size of a local directory from the local cache, adding the directory to the cache if it is not tracked yet
+ * @param {string} localPath - Local directory path, checked with validateLocalEndpoint
+ * @returns {Promise<object>} - {data, bytes} with the cache entry (undefined if the directory is not cached) and the size,
+ *   or {error: {statusCode, body}}
+ */
+async function getLocalEndpointSize(localPath) {
+    if (localCache.data.has(localPath)) {
+        const data = localCache.data.get(localPath);
+        log('info', 'api', `Using cached local data for ${localPath} from ${data.timestamp}`);
+        return { data, bytes: data.bytes };
+    }
+
+    if (untrackedLocal.data.has(localPath)) {
+        log('info', 'api', `Local path ${localPath} was untracked, calculating size without adding it to the cache`);
+        return { bytes: (await scanLocalDirectory(localPath)).bytes };
+    }
+
+    log('info', 'api', `Local path ${localPath} not in cache, calculating size and adding to cache`);
+    try {
+        const data = await addToLocalCache(localPath);
+        return { data, bytes: data.bytes };
+    } catch (localError) {
+        // Rescanning the path would only repeat the failure, and must not record history for a directory that is not tracked
+        log('error', 'api', `Error calculating local size for ${localPath}:`, localError);
+        return {
+            error: {
+                statusCode: localError.statusCode || 400,
+                body: {
+                    error: localError.message
+                }
+            }
+        };
+    }
+}
+
+/**
+ * Get the immediate subdirectories of a local directory for a directory comparison
+ * @param {string} localPath - Local directory path
+ * @param {object} [data] - Local cache entry of the directory
+ * @returns {Promise<Array<{name, bytes}>>} - Subdirectories from the cache entry, measured if the entry has none
+ */
+async function getLocalEndpointDirectories(localPath, data) {
+    if (data && data.directories) {
+        return data.directories;
+    }
+
+    // Entries cached before directory breakdowns were recorded need one measurement
+    log('info', 'api', `Measuring local subfolders of ${localPath} for directory comparison`);
+    const directories = (await scanLocalDirectory(localPath)).directories;
+    if (data) {
+        localCache.data.set(localPath, { ...data, directories });
+    }
+    return directories;
+}
+
+/**
+ * Get the cached size of a remote path, fetching it directly on a cache miss when requested
+ * @param {string} remotePath - rclone remote path, checked with validateRemotePath
+ * @param {object} options
+ * @param {boolean} [options.forceDirect] - Fetch the size directly if the path is not cached
+ * @param {boolean} [options.ignoreQuietWindow] - Fetch it even inside a quiet window
+ * @returns {Promise<object>} - {data} with the cache entry or null on a cache miss, {job} while the direct size job
+ *   is still running, {job, error} if it failed, or {error, statusCode} if it could not start
+ */
+async function getRemoteEndpointSize(remotePath, { forceDirect, ignoreQuietWindow }) {
+    // Fetch uncached remote paths on demand when requested
+    if (!remoteCache.data.has(remotePath) && forceDirect) {
+        log('info', 'api', `Cache miss for ${remotePath}, fetching directly`);
+        let started;
+        try {
+            started = startDirectSizeJob(remotePath, { ignoreQuietWindow });
+        } catch (startError) {
+            return { error: startError.message, statusCode: startError.statusCode };
+        }
+        const { job, promise } = started;
+
+        let entry;
+        try {
+            entry = await waitForDirectSizeJob(promise, FORCE_DIRECT_MAX_WAIT_MS);
+        } catch (directError) {
+            return { job, error: directError.message };
+        }
+
+        if (!entry) {
+            log('info', 'api', `Direct size request for ${remotePath} still running, returning job ${job.id}`);
+            return { job };
+        }
+    }
+
+    if (!remoteCache.data.has(remotePath)) {
+        log('info', 'api', `Cache miss for ${remotePath}, notifying client`);
+        return { data: null };
+    }
+
+    const data = remoteCache.data.get(remotePath);
+    log('info', 'api', `Using cached data for ${remotePath} from ${data.timestamp}`);
+    return { data };
+}
+
+/**
+ * Check whether a remote cache entry has a root directory breakdown to compare
+ * @param {object} data - Remote cache entry
+ * @returns {boolean} - False for on-demand entries and remotes configured without a breakdown
+ */
+function hasRemoteBreakdown(data) {
+    return !data.direct && data.breakdown !== false;
+}
+
+/**
+ * Compare remote and local directory sizes
+ * @param {object} options - Comparison options
+ * @param {string} options.remotePath - rclone remote path
+ * @param {string} options.localPath - Local directory path
+ * @param {boolean} [options.forceDirect] - Fetch the remote size directly on a cache miss
+ * @param {boolean} [options.ignoreQuietWindow] - Fetch it even inside a quiet window
+ * @param {string[]} [options.includeDirectories] - Root directories to include in the response
+ * @param {object} [access] - Scans the caller may start, all allowed by default
+ * @param {boolean} [access.allowTracking] - Whether local directories that are not tracked yet may be added to the local cache
+ * @param {boolean} [access.allowDirect] - Whether uncached remote paths may be measured with forceDirect
+ * @returns {Promise<{statusCode: number, body: object}>} - HTTP status and response body
+ */
+async function compareRemoteAndLocal({ remotePath, localPath, forceDirect, ignoreQuietWindow, includeDirectories }, { allowTracking = true, allowDirect = true } = {}) {
+    if (!remotePath || !localPath) {
+        return {
+            statusCode: 400,
+            body: {
+                error: 'Both remotePath and localPath are required'
+            }
+        };
+    }
+
+    const localPathError = validateLocalEndpoint(localPath, { allowTracking });
+    if (localPathError) {
+        return localPathError;
+    }
+
+    const remotePathError = await validateRemotePath(remotePath);
+    if (remotePathError) {
+        return {
+            statusCode: 400,
+            body: {
+                error: remotePathError
+            }
+        };
+    }
+
+    const directFetchError = validateDirectFetch(remotePath, { forceDirect, allowDirect });
+    if (directFetchError) {
+        return directFetchError;
+    }
+
+    // Process local path first, so it gets cached regardless of remote status
+    const local = await getLocalEndpointSize(localPath);
+    if (local.error) {
+        return local.error;
+    }
+    const localSizeData = local.data;
+    const localSizeBytes = local.bytes;
+
+    const remote = await getRemoteEndpointSize(remotePath, { forceDirect, ignoreQuietWindow });
+    if (remote.error) {
+        return {
+            statusCode: remote.statusCode || 502,
+            body: {
+                error: `Failed to fetch size for ${remotePath}: ${remote.error}`,
+                jobId: remote.job ? remote.job.id : null,
+                remotePath,
+                localPath
+            }
+        };
+    }
+
+    if (remote.job) {
+        return {
+            statusCode: 202,
+            body: {
+                status: 'pending',
+                message: `Size calculation for "${remotePath}" is still running. Poll /api/direct/${remote.job.id} or repeat this request later.`,
+                jobId: remote.job.id,
+                statusUrl: `/api/direct/${remote.job.id}`,
+                remotePath,
+                localPath,
+                local: {
+                    bytes: localSizeBytes,
+                    formatted: formatBytes(localSizeBytes),
+                    cachedAt: localSizeData ? localSizeData.timestamp : null,
+                    ...getCacheEntryStatus(localSizeData)
+                }
+            }
+        };
+    }
+
+    // Get remote size from cache or notify of cache miss
+    let remoteSizeData = remote.data;
+    if (remoteSizeData) {
+        // Filter directories if includeDirectories is specified
+        if (includeDirectories && Array.isArray(includeDirectories) && remoteSizeData.directories) {
+            const filteredDirectories = remoteSizeData.directories.filter(dir =>
+                includeDirectories.includes(dir.name)
+            );
+            // Create a copy of the data with filtered directories
+            remoteSizeData = {
+                ...remoteSizeData,
+                directories: filteredDirectories
+            };
+            log('info', 'api', `Filtered directories to: ${includeDirectories.join(', ')}`);
+        }
+    } else {
+        // Get last modified time even for cache miss
+        const { lastModified, source: lastModifiedSource } = getLocalLastModified(localPath);
+        const lastModifiedFormatted = formatDateToLocal(lastModified);
+
+        return {
+            statusCode: 404,
+            body: {
+                status: 'cache-miss',
+                message: `Remote path "${remotePath}" not found in cache. Use /api/cache/refresh to update the cache or set forceDirect=true in your request to fetch directly.`,
+                remotePath,
+                localPath,
+                lastModified,
+                lastModifiedFormatted, // Add formatted property
+                lastModifiedSource,
+                local: {
+                    bytes: localSizeBytes,
+                    formatted: formatBytes(localSizeBytes),
+                    cachedAt: localSizeData ? localSizeData.timestamp : null,
+                    ...getCacheEntryStatus(localSizeData)
+                },
+                cacheStatus: {
+                    lastFullUpdate: remoteCache.lastUpdated,
+                    updateInProgress: remoteCache.updateInProgress,
+                    updateStartTime: remoteCache.updateStartTime
+                }
+            }
+        };
+    }
+
+    // Compare root directories when the remote entry has a breakdown
+    let directories = null;
+    if (hasRemoteBreakdown(remoteSizeData)) {
+        const localDirectories = await getLocalEndpointDirectories(localPath, localSizeData);
+        directories = compareDirectories(remoteSizeData.directories || [], localDirectories, includeDirectories);
+    }
+
+    // Calculate difference
+    const remoteSizeBytes = remoteSizeData.bytes;
+    const difference = remoteSizeBytes - localSizeBytes;
+    const percentageSynced = remoteSizeBytes > 0
+        ? ((localSizeBytes / remoteSizeBytes) * 100).toFixed(2)
+        : 0;
+
+    // Get last modified time for the local directory
+    const { lastModified, source: lastModifiedSource } = getLocalLastModified(localPath);
+    const lastModifiedFormatted = formatDateToLocal(lastModified);
+
+    // Entries measured before the rules changed still carry the rules they were measured with
+    const remoteFilters = remoteSizeData.filters || [];
+    const localFilters = localSizeData ? localSizeData.filters || [] : [];
+
+    // Prepare response
+    return {
+        statusCode: 200,
+        body: {
+            timestamp: new Date().toISOString(),
+            remotePath,
+            localPath,
+            lastModified,
+            lastModifiedFormatted,
+            lastModifiedSource,
+            remote: {
+                bytes: remoteSizeBytes,
+                formatted: formatBytes(remoteSizeBytes),
+                count: remoteSizeData.count,
+                cachedAt: remoteSizeData.timestamp,
+                ...getCacheEntryStatus(remoteSizeData),
+                directories: remoteSizeData.directories || []
+            },
+            local: {
+                bytes: localSizeBytes,
+                formatted: formatBytes(localSizeBytes),
+                count: localSizeData ? localSizeData.count : null,
+                cachedAt: localSizeData ? localSizeData.timestamp : null,
+                ...getCacheEntryStatus(localSizeData),
+                scanErrorCount: localSizeData ? localSizeData.scanErrorCount || 0 : 0
+            },
+            difference: {
+                bytes: difference,
+                formatted: formatBytes(Math.abs(difference)),
+                direction: difference > 0 ? 'remote-larger' : difference < 0 ? 'local-larger' : 'equal'
+            },
+            syncStatus: {
+                percentageSynced: parseFloat(percentageSynced),
+                isSynced: Math.abs(difference) === 0
+            },
+            directories,
+            filters: {
+                rules: getFilterRules(remotePath, localPath),
+                remote: remoteFilters,
+                local: localFilters,
+                consistent: JSON.stringify(remoteFilters) === JSON.stringify(localFilters)
+            },
+            cacheStatus: {
+                remoteLastUpdate: remoteCache.lastUpdated,
+                localLastUpdate: localCache.lastUpdated
+            }
+        }
+    };
+}
+
+/**
+ * Compare a named sync pair and check the result against its thresholds
+ * @param {string} name - Name of the pair in the config file
+ * @returns {Promise<{statusCode: number, body: object}>} - HTTP status and response body
+ */
+async function compareSyncPair(name) {
+    const pair = config.pairs.get(name);
+    const { statusCode, body } = await compareRemoteAndLocal(pair);
+
+    if (statusCode !== 200) {
+        return { statusCode, body: { pair: name, ...body } };
+    }
+
+    const { maxDifferenceBytes, minPercentSynced } = pair.thresholds;
+    const breaches = [];
+    if (maxDifferenceBytes !== null && Math.abs(body.difference.bytes) > maxDifferenceBytes) {
+        breaches.push('maxDifferenceBytes');
+    }
+    if (minPercentSynced !== null && body.syncStatus.percentageSynced < minPercentSynced) {
+        breaches.push('minPercentSynced');
+    }
+
+    return {
+        statusCode,
+        body: {
+            pair: name,
+            ...body,
+            thresholds: {
+                ...pair.thresholds,
+                withinThresholds: breaches.length === 0,
+                breaches
+            }
+        }
+    };
+}
+
+/**
+ * Read a comparison endpoint from a request or the config file
+ * @param {object} endpoint - {remotePath} or {localPath}
+ * @returns {{type: string, path: string}|null} - "remote" or "local" and the path, or null if the endpoint is invalid
+ */
+function parseCompareEndpoint(endpoint) {
+    if (!endpoint || typeof endpoint !== 'object') {
+        return null;
+    }
+
+    const { remotePath, localPath } = endpoint;
+    if (typeof remotePath === 'string' && remotePath && localPath === undefined) {
+        return { type: 'remote', path: remotePath };
+    }
+    if (typeof localPath === 'string' && localPath && remotePath === undefined) {
+        return { type: 'local', path: localPath };
+    }
+    return null;
+}
+
+/**
+ * Compare the sizes of any two endpoints, each a remote path or a local directory
+ * @param {object} options - Comparison options
+ * @param {object} options.source - {remotePath} or {localPath} of the side that should be complete
+ * @param {object} options.target - {remotePath} or {localPath} of the copy
+ * @param {boolean} [options.forceDirect] - Fetch remote sizes directly on a cache miss
+ * @param {boolean} [options.ignoreQuietWindow] - Fetch them even inside a quiet window
+ * @param {string[]} [options.includeDirectories] - Root directories to include in the response
+ * @param {object} [access] - Scans the caller may start, all allowed by default
+ * @param {boolean} [access.allowTracking] - Whether local directories that are not tracked yet may be added to the local cache
+ * @param {boolean} [access.allowDirect] - Whether uncached remote paths may be measured with forceDirect
+ * @returns {Promise<{statusCode: number, body: object}>} - HTTP status and response body
+ */
+async function compareEndpoints({ source, target, forceDirect, ignoreQuietWindow, includeDirectories }, { allowTracking = true, allowDirect = true } = {}) {
+    const endpoints = { source: parseCompareEndpoint(source), target: parseCompareEndpoint(target) };
+    for (const [side, endpoint] of Object.entries(endpoints)) {
+        if (!endpoint) {
+            return {
+                statusCode: 400,
+                body: {
+                    side,
+                    error: `${side} must be an object with either remotePath or localPath`
+                }
+            };
+        }
+    }
+
+    // Validate both sides before measuring either, so an invalid side does not start tracking the other one
+    for (const [side, { type, path: endpointPath }] of Object.entries(endpoints)) {
+        if (type === 'local') {
+            const localPathError = validateLocalEndpoint(endpointPath, { allowTracking });
+            if (localPathError) {
+                return { statusCode: localPathError.statusCode, body: { side, ...localPathError.body } };
+            }
+        } else {
+            const remotePathError = await validateRemotePath(endpointPath);
+            if (remotePathError) {
+                return { statusCode: 400, body: { side, error: remotePathError } };
+            }
+            const directFetchError = validateDirectFetch(endpointPath, { forceDirect, allowDirect });
+            if (directFetchError) {
+                return { statusCode: directFetchError.statusCode, body: { side, ...directFetchError.body } };
+            }
+        }
+    }
+
+    const measured = {};
+    const pending = [];
+    const missing = [];
+    for (const [side, endpoint] of Object.entries(endpoints)) {
+        if (endpoint.type === 'local') {
+            const local = await getLocalEndpointSize(endpoint.path);
+            if (local.error) {
+                return { statusCode: local.error.statusCode, body: { side, ...local.error.body } };
+            }
+            measured[side] = { ...endpoint, data: local.data, bytes: local.bytes };
+            continue;
+        }
+
+        const remote = await getRemoteEndpointSize(endpoint.path, { forceDirect, ignoreQuietWindow });
+        if (remote.error) {
+            return {
+                statusCode: remote.statusCode || 502,
+                body: {
+                    side,
+                    error: `Failed to fetch size for ${endpoint.path}: ${remote.error}`,
+                    jobId: remote.job ? remote.job.id : null
+                }
+            };
+        }
+        if (remote.job) {
+            pending.push({ side, path: endpoint.path, jobId: remote.job.id, statusUrl: `/api/direct/${remote.job.id}` });
+        } else if (!remote.data) {
+            missing.push({ side, path: endpoint.path });
+        } else {
+            measured[side] = { ...endpoint, data: remote.data, bytes: remote.data.bytes };
+        }
+    }
+
+    if (pending.length > 0) {
+        return {
+            statusCode: 202,
+            body: {
+                status: 'pending',
+                message: `Size calculation for ${pending.map(job => `"${job.path}"`).join(' and ')} is still running. Poll the statusUrl of each job or repeat this request later.`,
+                jobs: pending,
+                source: endpoints.source,
+                target: endpoints.target
+            }
+        };
+    }
+
+    if (missing.length > 0) {
+        return {
+            statusCode: 404,
+            body: {
+                status: 'cache-miss',
+                message: `Remote path ${missing.map(entry => `"${entry.path}"`).join(' and ')} not found in cache. Use /api/cache/refresh to update the cache or set forceDirect=true in your request to fetch directly.`,
+                missing,
+                source: endpoints.source,
+                target: endpoints.target,
+                cacheStatus: {
+                    lastFullUpdate: remoteCache.lastUpdated,
+                    updateInProgress: remoteCache.updateInProgress,
+                    updateStartTime: remoteCache.updateStartTime
+                }
+            }
+        };
+    }
+
+    // Compare root directories when both sides have a breakdown
+    let directories = null;
+    if (Object.values(measured).every(endpoint => endpoint.type === 'local' || hasRemoteBreakdown(endpoint.data))) {
+        const endpointDirectories = endpoint => endpoint.type === 'local'
+            ? getLocalEndpointDirectories(endpoint.path, endpoint.data)
+            : endpoint.data.directories || [];
+        directories = compareDirectories(
+            await endpointDirectories(measured.source),
+            await endpointDirectories(measured.target),
+            includeDirectories,
+            ENDPOINT_TERMS
+        );
+    }
+
+    const describe = endpoint => {
+        const { lastModified, source: lastModifiedSource } = endpoint.type === 'local'
+            ? getLocalLastModified(endpoint.path)
+            : { lastModified: null, source: null };
+        return {
+            type: endpoint.type,
+            path: endpoint.path,
+            bytes: endpoint.bytes,
+            formatted: formatBytes(endpoint.bytes),
+            count: endpoint.data ? endpoint.data.count ?? null : null,
+            cachedAt: endpoint.data ? endpoint.data.timestamp : null,
+            ...getCacheEntryStatus(endpoint.data),
+            lastModified,
+            lastModifiedFormatted: formatDateToLocal(lastModified),
+            lastModifiedSource
+        };
+    };
+
+    const difference = measured.source.bytes - measured.target.bytes;
+    const percentageSynced = measured.source.bytes > 0
+        ? ((measured.target.bytes / measured.source.bytes) * 100).toFixed(2)
+        : 0;
+    const sourceFilters = measured.source.data ? measured.source.data.filters || [] : [];
+    const targetFilters = measured.target.data ? measured.target.data.filters || [] : [];
+
+    return {
+        statusCode: 200,
+        body: {
+            timestamp: new Date().toISOString(),
+            source: describe(measured.source),
+            target: describe(measured.target),
+            difference: {
+                bytes: difference,
+                formatted: formatBytes(Math.abs(difference)),
+                direction: difference > 0 ? 'source-larger' : difference < 0 ? 'target-larger' : 'equal'
+            },
+            syncStatus: {
+                percentageSynced: parseFloat(percentageSynced),
+                isSynced: Math.abs(difference) === 0
+            },
+            directories,
+            filters: {
+                source: sourceFilters,
+                target: targetFilters,
+                consistent: JSON.stringify(sourceFilters) === JSON.stringify(targetFilters)
+            },
+            cacheStatus: {
+                remoteLastUpdate: remoteCache.lastUpdated,
+                localLastUpdate: localCache.lastUpdated
+            }
+        }
+    };
+}
+
+/**
+ * Compare the source of a named comparison with each of its backups
+ * @param {string} name - Name of the comparison in the config file
+ * @returns {Promise<{statusCode: number, body: object}>} - HTTP status and response body
+ */
+async function compareNamedComparison(name) {
+    const comparison = config.comparisons.get(name);
+    const backups = [];
+    for (const [backupName, backup] of Object.entries(comparison.backups)) {
+        const { statusCode, body } = await compareEndpoints({
+            source: comparison.source,
+            target: backup,
+            includeDirectories: comparison.includeDirectories
+        });
+        backups.push({
+            name: backupName,
+            target: backup,
+            statusCode,
+            comparison: body
+        });
+    }
+
+    return {
+        statusCode: 200,
+        body: {
+            comparison: name,
+            timestamp: new Date().toISOString(),
+            source: comparison.source,
+            backupCount: backups.length,
+            allSynced: backups.every(backup => backup.statusCode === 200 && backup.comparison.syncStatus.isSynced),
+            backups
+        }
+    };
+}
+
+/**
+ * Compare file listings of a remote and a local directory
+ * @param {Array<object>} remoteFiles - rclone lsjson output for the remote
+ * @param {Array<object>} localFiles - rclone lsjson output for the local directory
+ * @param {object} options - Which attributes to compare besides size
+ * @param {boolean} options.checkModTime - Report files whose modification times differ
+ * @param {boolean} options.checkHash - Report files whose hashes differ
+ * @returns {Array<object>} - Files that differ, each with a category
+ */
+function diffFileListings(remoteFiles, localFiles, { checkModTime, checkHash }) {
+    const describe = file => ({
+        size: file.Size,
+        modTime: file.ModTime,
+        hashes: file.Hashes || null
+    });
+    const localByPath = new Map(localFiles.map(file => [file.Path, file]));
+    const items = [];
+
+    for (const remoteFile of remoteFiles) {
+        const localFile = localByPath.get(remoteFile.Path);
+        localByPath.delete(remoteFile.Path);
+
+        if (!localFile) {
+            items.push({ path: remoteFile.Path, category: 'missing-locally', bytes: remoteFile.Size, remote: describe(remoteFile), local: null });
+            continue;
+        }
+
+        let category = null;
+        if (remoteFile.Size !== localFile.Size) {
+            category = 'size-differs';
+        } else if (checkHash && remoteFile.Hashes && localFile.Hashes) {
+            const hashType = Object.keys(remoteFile.Hashes).find(type => localFile.Hashes[type] && remoteFile.Hashes[type]);
+            if (hashType && remoteFile.Hashes[hashType] !== localFile.Hashes[hashType]) {
+                category = 'hash-differs';
+            }
+        }
+        if (!category && checkModTime &&
+            Math.abs(Date.parse(remoteFile.ModTime) - Date.parse(localFile.ModTime)) > MODTIME_TOLERANCE_MS) {
+            category = 'modtime-differs';
+        }
+
+        if (category) {
+            items.push({
+                path: remoteFile.Path,
+                category,
+                bytes: Math.abs(remoteFile.Size - localFile.Size),
+                remote: describe(remoteFile),
+                local: describe(localFile)
+            });
+        }
+    }
+
+    // Whatever is left only exists locally
+    for (const localFile of localByPath.values()) {
+        items.push({ path: localFile.Path, category: 'missing-remotely', bytes: localFile.Size, remote: null, local: describe(localFile) });
+    }
+
+    return items.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Get a file-level drift report from the cache, or build it with rclone
+ * @param {string} remotePath - rclone remote path
+ * @param {string} localPath - Local directory path
+ * @param {object} options - Comparison options
+ * @param {boolean} options.checkModTime - Report files whose modification times differ
+ * @param {boolean} options.checkHash - Report files whose hashes differ
+ * @param {boolean} options.refresh - Ignore any cached report
+ * @param {object} [access] - Scans the caller may start
+ * @param {boolean} [access.allowCompute] - Whether rclone may be started when no cached report can be used
+ * @param {boolean} [access.ignoreQuietWindow] - Start rclone even inside a quiet window
+ * @returns {Promise<object|null>} - Cached drift report, or null if it would have to be built and allowCompute is false
+ */
+async function getFileDiff(remotePath, localPath, { checkModTime, checkHash, refresh }, { allowCompute = true, ignoreQuietWindow = false } = {}) {
+    const rcloneOptions = getRemoteRcloneOptions(remotePath, localPath);
+    const { filters } = rcloneOptions;
+    const key = JSON.stringify([remotePath, localPath, !!checkModTime, !!checkHash, filters]);
+
+    if (pruneDiffCache()) {
+        saveDiffCache();
+    }
+    if (!refresh && diffCache.data.has(key)) {
+        log('info', 'api', `Using cached diff for ${remotePath} <-> ${localPath}`);
+        return diffCache.data.get(key);
+    }
+
+    // Deduplicate concurrent requests for the same report
+    if (diffCache.inFlight.has(key)) {
+        log('info', 'api', `Joining in-flight diff for ${remotePath} <-> ${localPath}`);
+        return diffCache.inFlight.get(key);
+    }
+
+    if (!allowCompute) {
+        return null;
+    }
+    assertOutsideQuietWindow(`a diff of ${remotePath} <-> ${localPath}`, ignoreQuietWindow);
+
+    const job = createJob('diff', { trigger: 'api', targets: [remotePath, localPath] });
+    job.total = 2;
+    job.currentItem = `${remotePath} <-> ${localPath}`;
+
+    const promise = (async () => {
+        const startTime = new Date();
+        log('info', 'remote-cache', `Listing files for diff of ${remotePath} <-> ${localPath} - this may take a while...`);
+
+        const countListing = listing => listing.then(files => {
+            job.completed++;
+            return files;
+        });
+        const [remoteFiles, localFiles] = await Promise.all([
+            countListing(listRcloneFiles(remotePath, checkHash, job, rcloneOptions)),
+            countListing(listRcloneFiles(localPath, checkHash, job, { filters }))
+        ]);
+        const items = diffFileListings(remoteFiles, localFiles, { checkModTime, checkHash });
+        const endTime = new Date();
+
+        const report = {
+            remotePath,
+            localPath,
+            options: { checkModTime: !!checkModTime, checkHash: !!checkHash },
+            filters,
+            timestamp: endTime.toISOString(),
+            calculationDurationMs: endTime - startTime,
+            remoteFileCount: remoteFiles.length,
+            localFileCount: localFiles.length,
+            items
+        };
+        diffCache.data.set(key, report);
+        pruneDiffCache();
+        saveDiffCache();
+
+        job.result = { differences: items.length };
+        finishJob(job, 'completed');
+        log('info', 'remote-cache', `✓ Diff of ${remotePath} <-> ${localPath}: ${items.length} differences, took ${((endTime - startTime) / 1000).toFixed(2)}s`);
+        return report;
+    })().catch(error => {
+        if (job.cancelRequested) {
+            finishJob(job, 'cancelled');
+            throw new Error('Diff was cancelled');
+        }
+        addJobError(job, job.currentItem, error.message);
+        finishJob(job, 'failed');
+        throw error;
+    }).finally(() => {
+        diffCache.inFlight.delete(key);
+    });
+
+    diffCache.inFlight.set(key, promise);
+    return promise;
+}
+
+/**
+ * Get the API key sent with a request, from "Authorization: Bearer", "X-API-Key" or the "token" query parameter
+ * @param {object} req - Express request
+ * @returns {string|null} - The key, if any
+ */
+function getRequestApiKey(req) {
+    const authorization = req.get('Authorization');
+    if (authorization && /^Bearer\s+/i.test(authorization)) {
+        return authorization.replace(/^Bearer\s+/i, '').trim();
+    }
+    return req.get('X-API-Key') || (typeof req.query.token === 'string' ? req.query.token : null);
+}
+
+/**
+ * Find the configured API key matching a key sent by a client
+ * @param {string} key - Key sent by the client
+ * @returns {object|null} - The matching API key
+ */
+function findApiKey(key) {
+    const hash = hashApiKey(key);
+    // Check every key so the response time does not depend on which key matched
+    return config.apiKeys.reduce((found, apiKey) =>
+        crypto.timingSafeEqual(hash, apiKey.hash) ? apiKey : found, null);
+}
+
+/**
+ * Check whether a request may use endpoints that need a scope
+ * @param {object} req - Express request, after requireScope
+ * @param {string} scope - "read" or "admin"
+ * @returns {boolean} - True if authentication is disabled or the request's key has the scope
+ */
+function requestHasScope(req, scope) {
+    if (config.apiKeys.length === 0) {
+        return true;
+    }
+    return Boolean(req.apiKey) && API_KEY_SCOPES.indexOf(req.apiKey.scope) >= API_KEY_SCOPES.indexOf(scope);
+}
+
+/**
+ * Count a request with an invalid API key against its client
+ * @param {object} req - Express request
+ */
+function recordAuthFailure(req) {
+    const now = Date.now();
+    for (const [ip, failure] of authFailures.data.entries()) {
+        if (now - failure.firstFailureAt >= AUTH_FAILURE_WINDOW_MS) {
+            authFailures.data.delete(ip);
+        }
+    }
+
+    const failure = authFailures.data.get(req.ip) || { count: 0, firstFailureAt: now };
+    failure.count++;
+    authFailures.data.set(req.ip, failure);
+    log('warn', 'auth', `Invalid API key from ${req.ip} for ${req.method} ${req.path} (${failure.count}/${AUTH_MAX_FAILURES} failures)`);
+}
+
+/**
+ * Middleware that requires an API key with a scope once API keys are configured
+ * @param {string} scope - "read" or "admin"
+ * @returns {Function} - Express middleware
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (config.apiKeys.length === 0) {
+            return next();
+        }
+
+        const failure = authFailures.data.get(req.ip);
+        const lockedUntil = failure ? failure.firstFailureAt + AUTH_FAILURE_WINDOW_MS : 0;
+        if (failure && failure.count >= AUTH_MAX_FAILURES && lockedUntil > Date.now()) {
+            res.set('Retry-After', String(Math.ceil((lockedUntil - Date.now()) / 1000)));
+            return res.status(429).json({
+                error: 'Too many failed authentication attempts, try again later'
+            });
+        }
+
+        const key = getRequestApiKey(req);
+        if (!key) {
+            log('warn', 'auth', `Missing API key from ${req.ip} for ${req.method} ${req.path}`);
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({
+                error: 'An API key is required. Send it as "Authorization: Bearer <key>", "X-API-Key: <key>" or ?token=<key>'
+            });
+        }
+
+        const apiKey = findApiKey(key);
+        if (!apiKey) {
+            recordAuthFailure(req);
+            res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+            return res.status(401).json({
+                error: 'Invalid API key'
+            });
+        }
+
+        req.apiKey = apiKey;
+        if (!requestHasScope(req, scope)) {
+            log('warn', 'auth', `API key "${apiKey.name}" from ${req.ip} lacks the ${scope} scope for ${req.method} ${req.path}`);
+            return res.status(403).json({
+                error: `This endpoint requires an API key with the ${scope} scope`
+            });
+        }
+
+        next();
+    };
+}
+
+/**
+ * API endpoint to compare remote and local directory sizes
+ */
+app.post('/api/compare', requireScope('read'), async (req, res) => {
+    try {
+        const options = req.body || {};
+        // Tracking new local directories and measuring uncached remote paths both start expensive scans
+        const isAdmin = requestHasScope(req, 'admin');
+        const access = { allowTracking: isAdmin, allowDirect: isAdmin };
+        // "source" and "target" compare any two endpoints, remotePath and localPath a remote with a local directory
+        const { statusCode, body } = options.source !== undefined || options.target !== undefined
+            ? await compareEndpoints(options, access)
+            : await compareRemoteAndLocal(options, access);
+        res.status(statusCode).json(body);
+    } catch (error) {
+        log('error', 'api', `Error in compare endpoint:`, error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
 
-    // Get date components
-    const day = date.getDate().toString().padStart(2, '0');
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const year = date.getFullYear().toString().slice(-2);
+/**
+ * Escape text for inclusion in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
 
-    // Get hour in 12-hour format
-    let hours = date.getHours();
-    const ampm = hours >= 12 ? 'PM' : 'AM';
-    hours = hours % 12;
-    hours = hours ? hours : 12; // 0 should be 12
+/**
+ * Build a compact, ready-to-render Glance payload from a comparison
+ * @param {string} title - Widget title
+ * @param {number} statusCode - Status code of the comparison
+ * @param {object} body - Comparison response body
+ * @param {object} thresholds - Thresholds deciding the status colour
+ * @returns {object} - Glance payload
+ */
+function buildGlancePayload(title, statusCode, body, thresholds) {
+    const lastModified = body.lastModified || null;
+    const updatedAt = body.cacheStatus ? (body.cacheStatus.remoteLastUpdate || body.cacheStatus.lastFullUpdate) : null;
+    const payload = {
+        title,
+        status: 'unknown',
+        statusLabel: 'Unknown',
+        color: 'grey',
+        colorClass: 'color-subdue',
+        progress: null,
+        remote: body.remote ? { bytes: body.remote.bytes, label: body.remote.formatted } : null,
+        local: body.local ? { bytes: body.local.bytes, label: body.local.formatted } : null,
+        difference: null,
+        lastModified,
+        lastModifiedLabel: lastModified ? formatDateToLocal(lastModified) : 'Never',
+        updatedAt,
+        updatedAtLabel: updatedAt ? formatDateToLocal(updatedAt) : 'Never'
+    };
 
-    return `${day}/${month}/${year} ${hours}${ampm}`;
+    if (statusCode !== 200) {
+        payload.statusLabel = body.status === 'cache-miss' ? 'Not cached' : (body.error || 'Error');
+        return payload;
+    }
+
+    const percent = body.syncStatus.percentageSynced;
+    const difference = body.difference.bytes;
+    const minPercentSynced = thresholds.minPercentSynced ?? 95;
+    const withinDifference = thresholds.maxDifferenceBytes === null || thresholds.maxDifferenceBytes === undefined ||
+        Math.abs(difference) <= thresholds.maxDifferenceBytes;
+
+    payload.progress = Math.min(percent, 100);
+    payload.difference = {
+        bytes: difference,
+        label: difference === 0 ? 'In sync'
+            : difference > 0 ? `${body.difference.formatted} behind` : `${body.difference.formatted} ahead`
+    };
+
+    if (body.syncStatus.isSynced) {
+        Object.assign(payload, { status: 'synced', statusLabel: 'Synced', color: 'green', colorClass: 'color-positive' });
+    } else if (percent >= minPercentSynced && withinDifference) {
+        Object.assign(payload, { status: 'syncing', statusLabel: `${percent}% synced`, color: 'yellow', colorClass: 'color-primary' });
+    } else {
+        Object.assign(payload, { status: 'out-of-sync', statusLabel: `${percent}% synced`, color: 'red', colorClass: 'color-negative' });
+    }
+
+    return payload;
 }
 
 /**
- * API endpoint to compare remote and local directory sizes
+ * Render a Glance payload as an HTML fragment
+ * @param {object} payload - Payload from buildGlancePayload
+ * @returns {string} - HTML fragment
+ */
+function renderGlanceHtml(payload) {
+    const rows = [
+        ['Remote', payload.remote ? payload.remote.label : '-'],
+        ['Local', payload.local ? payload.local.label : '-'],
+        ['Difference', payload.difference ? payload.difference.label : '-'],
+        ['Last modified', payload.lastModifiedLabel]
+    ];
+
+    return [
+        `<div class="rclone-reporter">`,
+        `  <div class="size-h3 ${payload.colorClass}">${escapeHtml(payload.title)}: ${escapeHtml(payload.statusLabel)}</div>`,
+        payload.progress === null ? '' :
+            `  <div class="progress-bar"><div class="progress-value" style="--percent: ${payload.progress}"></div></div>`,
+        `  <ul class="list list-gap-2 margin-top-10">`,
+        ...rows.map(([label, value]) =>
+            `    <li class="flex justify-between"><span class="color-subdue">${escapeHtml(label)}</span><span>${escapeHtml(value)}</span></li>`),
+        `  </ul>`,
+        `</div>`
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * API endpoint returning a Glance-friendly summary of a comparison
+ */
+app.get('/api/glance', requireScope('read'), async (req, res) => {
+    try {
+        const { pair, format } = req.query;
+        let title = req.query.title;
+        let comparison;
+        let thresholds = { maxDifferenceBytes: null, minPercentSynced: null };
+
+        if (pair) {
+            if (!config.pairs.has(pair)) {
+                return res.status(404).json({
+                    error: `Sync pair not found: ${pair}`,
+                    availablePairs: Array.from(config.pairs.keys())
+                });
+            }
+            comparison = await compareRemoteAndLocal(config.pairs.get(pair));
+            thresholds = config.pairs.get(pair).thresholds;
+            title = title || pair;
+        } else {
+            comparison = await compareRemoteAndLocal({ remotePath: req.query.remote, localPath: req.query.local }, { allowTracking: requestHasScope(req, 'admin') });
+            title = title || req.query.remote || 'rclone';
+        }
+
+        if (comparison.statusCode === 400) {
+            return res.status(400).json(comparison.body);
+        }
+
+        // Let Glance cache a comparison until the next scheduled local update. Cache misses, errors and
+        // pending sizes are only cached briefly, since the remote cache may fill in within minutes
+        const localPath = pair ? config.pairs.get(pair).localPath : req.query.local;
+        const nextLocalUpdate = getNextScheduledRun('local', localPath);
+        const maxAge = comparison.statusCode !== 200 ? 30 : nextLocalUpdate
+            ? Math.max(Math.round((Date.parse(nextLocalUpdate) - Date.now()) / 1000), 60)
+            : 60;
+        // Responses to authenticated requests must not be stored by shared proxies
+        const visibility = config.apiKeys.length > 0 ? 'private' : 'public';
+        res.set('Cache-Control', comparison.statusCode !== 200
+            ? `${visibility}, max-age=${maxAge}`
+            : `${visibility}, max-age=${maxAge}, stale-while-revalidate=300`);
+
+        const payload = buildGlancePayload(title, comparison.statusCode, comparison.body, thresholds);
+
+        if (format === 'html') {
+            res.type('html').send(renderGlanceHtml(payload));
+        } else {
+            res.json(payload);
+        }
+    } catch (error) {
+        log('error', 'api', `Error in glance endpoint:`, error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+/**
+ * API endpoint to compare every configured sync pair
+ */
+app.get('/api/pairs', requireScope('read'), async (req, res) => {
+    try {
+        const pairs = [];
+        for (const [name, pair] of config.pairs.entries()) {
+            const { statusCode, body } = await compareSyncPair(name);
+            pairs.push({
+                name,
+                ...pair,
+                statusCode,
+                comparison: body
+            });
+        }
+
+        res.json({
+            timestamp: new Date().toISOString(),
+            pairCount: pairs.length,
+            pairs
+        });
+    } catch (error) {
+        log('error', 'api', `Error in pairs endpoint:`, error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+/**
+ * API endpoint to compare a single named sync pair
+ */
+app.get('/api/pairs/:name', requireScope('read'), async (req, res) => {
+    try {
+        const { name } = req.params;
+
+        if (!config.pairs.has(name)) {
+            return res.status(404).json({
+                error: `Sync pair not found: ${name}`,
+                availablePairs: Array.from(config.pairs.keys())
+            });
+        }
+
+        const { statusCode, body } = await compareSyncPair(name);
+        res.status(statusCode).json(body);
+    } catch (error) {
+        log('error', 'api', `Error in pair endpoint:`, error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+/**
+ * API endpoint to compare every configured comparison of a source with its backups
+ */
+app.get('/api/comparisons', requireScope('read'), async (req, res) => {
+    try {
+        const comparisons = [];
+        for (const name of config.comparisons.keys()) {
+            comparisons.push((await compareNamedComparison(name)).body);
+        }
+
+        res.json({
+            timestamp: new Date().toISOString(),
+            comparisonCount: comparisons.length,
+            comparisons
+        });
+    } catch (error) {
+        log('error', 'api', `Error in comparisons endpoint:`, error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+/**
+ * API endpoint to compare the source of a single named comparison with its backups
+ */
+app.get('/api/comparisons/:name', requireScope('read'), async (req, res) => {
+    try {
+        const { name } = req.params;
+
+        if (!config.comparisons.has(name)) {
+            return res.status(404).json({
+                error: `Comparison not found: ${name}`,
+                availableComparisons: Array.from(config.comparisons.keys())
+            });
+        }
+
+        const { statusCode, body } = await compareNamedComparison(name);
+        res.status(statusCode).json(body);
+    } catch (error) {
+        log('error', 'api', `Error in comparison endpoint:`, error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+/**
+ * API endpoint to get a file-level drift report between a remote and a local directory
  */
-app.post('/api/compare', async (req, res) => {
+app.post('/api/diff', requireScope('read'), async (req, res) => {
     try {
-        const { remotePath, localPath, forceDirect, includeDirectories } = req.body;
+        const body = req.body || {};
+        const { pair, checkModTime, checkHash, refresh, category, ignoreQuietWindow } = body;
+        let { remotePath, localPath } = body;
+
+        if (pair) {
+            if (!config.pairs.has(pair)) {
+                return res.status(404).json({
+                    error: `Sync pair not found: ${pair}`,
+                    availablePairs: Array.from(config.pairs.keys())
+                });
+            }
+            ({ remotePath, localPath } = config.pairs.get(pair));
+        }
 
         if (!remotePath || !localPath) {
             return res.status(400).json({
-                error: 'Both remotePath and localPath are required'
+                error: 'Either pair or both remotePath and localPath are required'
+            });
+        }
+
+        if (!isLocalPathAllowed(localPath)) {
+            return res.status(403).json({
+                error: `Local path is outside the allowed local roots: ${localPath}`
+            });
+        }
+
+        const remotePathError = await validateRemotePath(remotePath);
+        if (remotePathError) {
+            return res.status(400).json({
+                error: remotePathError
             });
         }
 
-        // Check if local path exists
         if (!fs.existsSync(localPath)) {
             return res.status(400).json({
                 error: `Local path does not exist: ${localPath}`
             });
         }
 
-        // Process local path first, so it gets cached regardless of remote status
-        // NEW: Check if local path is in cache, if not add it
-        let localSizeData;
-        let localSizeBytes;
+        const categories = ['missing-locally', 'missing-remotely', 'size-differs', 'modtime-differs', 'hash-differs'];
+        if (category && !categories.includes(category)) {
+            return res.status(400).json({
+                error: `Invalid category: ${category}. Use one of ${categories.join(', ')}`
+            });
+        }
 
-        if (localCache.data.has(localPath)) {
-            localSizeData = localCache.data.get(localPath);
-            localSizeBytes = localSizeData.bytes;
-            console.log(`[API] Using cached local data for ${localPath} from ${localSizeData.timestamp}`);
-        } else {
-            console.log(`[API] Local path ${localPath} not in cache, calculating size and adding to cache`);
-            try {
-                // Calculate size and add to cache
-                localSizeData = await addToLocalCache(localPath);
-                localSizeBytes = localSizeData.bytes;
-            } catch (localError) {
-                console.error(`[API] Error calculating local size for ${localPath}:`, localError);
-                // Fallback to direct calculation without caching if there's an error
-                localSizeBytes = await getDirectorySize(localPath);
-
-                // Still try to initialize size history even on error
-                if (!localSizeHistory.data.has(localPath)) {
-                    localSizeHistory.data.set(localPath, []);
-                }
-                localSizeHistory.data.get(localPath).push({
-                    timestamp: new Date().toISOString(),
-                    bytes: localSizeBytes
-                });
-            }
+        const page = Math.max(parseInt(body.page, 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(body.pageSize, 10) || 100, 1), 1000);
+
+        // Listing both sides with rclone is expensive, so only admins may build or refresh a report
+        const report = await getFileDiff(remotePath, localPath, { checkModTime, checkHash, refresh }, { allowCompute: requestHasScope(req, 'admin'), ignoreQuietWindow: Boolean(ignoreQuietWindow) });
+        if (!report) {
+            return res.status(403).json({
+                error: refresh
+                    ? 'An admin API key is required to refresh a diff'
+                    : `No diff of ${remotePath} <-> ${localPath} is cached yet. An admin API key is required to build it`
+            });
+        }
+
+        // Summarise every category, even when only one is requested
+        const summary = {};
+        for (const name of categories) {
+            const categoryItems = report.items.filter(item => item.category === name);
+            const bytes = categoryItems.reduce((total, item) => total + (item.bytes || 0), 0);
+            summary[name] = {
+                count: categoryItems.length,
+                bytes,
+                formatted: formatBytes(bytes)
+            };
         }
 
-        // Get remote size from cache or notify of cache miss
-        let remoteSizeData;
-        if (remoteCache.data.has(remotePath)) {
-            remoteSizeData = remoteCache.data.get(remotePath);
-            console.log(`[API] Using cached data for ${remotePath} from ${remoteSizeData.timestamp}`);
+        const items = category ? report.items.filter(item => item.category === category) : report.items;
+        const totalPages = Math.max(Math.ceil(items.length / pageSize), 1);
 
-            // Filter directories if includeDirectories is specified
-            if (includeDirectories && Array.isArray(includeDirectories) && remoteSizeData.directories) {
-                const filteredDirectories = remoteSizeData.directories.filter(dir =>
-                    includeDirectories.includes(dir.name)
-                );
-                // Create a copy of the data with filtered directories
-                remoteSizeData = {
-                    ...remoteSizeData,
-                    directories: filteredDirectories
-                };
-                console.log(`[API] Filtered directories to: ${includeDirectories.join(', ')}`);
-            }
-        } else {
-            console.log(`[API] Cache miss for ${remotePath}, notifying client`);
+        res.json({
+            timestamp: new Date().toISOString(),
+            pair: pair || null,
+            remotePath,
+            localPath,
+            options: report.options,
+            cachedAt: report.timestamp,
+            calculationDurationMs: report.calculationDurationMs,
+            remoteFileCount: report.remoteFileCount,
+            localFileCount: report.localFileCount,
+            summary,
+            category: category || null,
+            page,
+            pageSize,
+            totalItems: items.length,
+            totalPages,
+            items: items.slice((page - 1) * pageSize, page * pageSize)
+        });
+    } catch (error) {
+        // Refusals such as quiet windows are expected, only failures are errors
+        log(error.statusCode ? 'info' : 'error', 'api', `Error in diff endpoint:`, error);
+        res.status(error.statusCode || 500).json({
+            error: error.message
+        });
+    }
+});
+
+/**
+ * API endpoint to get the status of an on-demand remote size job
+ */
+app.get('/api/direct/:jobId', requireScope('read'), (req, res) => {
+    const job = jobs.data.get(req.params.jobId);
+
+    if (!job || job.type !== 'remote-direct') {
+        return res.status(404).json({
+            error: `Job not found: ${req.params.jobId}`
+        });
+    }
 
-            // Get last modified time even for cache miss
-            const lastModified = getLastModified(localPath);
-            const lastModifiedFormatted = formatDateToLocal(lastModified);
+    const remotePath = job.targets[0];
+    const entry = job.status === 'completed' ? remoteCache.data.get(remotePath) : null;
+    res.json({
+        id: job.id,
+        remotePath,
+        status: job.status,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt,
+        error: job.errors.length > 0 ? job.errors[0].error : null,
+        result: entry ? {
+            bytes: entry.bytes,
+            formatted: formatBytes(entry.bytes),
+            count: entry.count,
+            cachedAt: entry.timestamp
+        } : null
+    });
+});
+
+/**
+ * API endpoint to get size history and growth rates for a remote, remote root directory or local directory
+ */
+app.get('/api/history', requireScope('read'), (req, res) => {
+    try {
+        const { path: historyPath, directory } = req.query;
+        const window = req.query.window || '30d';
+        const windows = (req.query.windows || '1d,7d,30d').split(',').map(w => w.trim()).filter(Boolean);
+
+        // Without a path, list everything that has history
+        if (!historyPath) {
+            return res.json({
+                remote: Array.from(remoteSizeHistory.data.entries()).map(([remotePath, history]) => ({
+                    path: remotePath,
+                    points: history.entries.length,
+                    directories: Object.keys(history.directories)
+                })),
+                local: Array.from(localSizeHistory.data.entries()).map(([localPath, history]) => ({
+                    path: localPath,
+                    points: history.length
+                }))
+            });
+        }
+
+        const side = req.query.side || (remoteSizeHistory.data.has(historyPath) ? 'remote' : 'local');
+        if (side !== 'remote' && side !== 'local') {
+            return res.status(400).json({
+                error: 'side must be either "remote" or "local"'
+            });
+        }
+
+        const windowMs = parseDuration(window);
+        const invalidWindows = [window, ...windows].filter(w => parseDuration(w) === null);
+        if (invalidWindows.length > 0) {
+            return res.status(400).json({
+                error: `Invalid window: ${invalidWindows.join(', ')}. Use a number followed by m, h, d or w (e.g. 7d)`
+            });
+        }
+
+        let history;
+        if (side === 'remote') {
+            const remoteHistory = remoteSizeHistory.data.get(historyPath);
+            history = remoteHistory && (directory ? remoteHistory.directories[directory] : remoteHistory.entries);
+        } else {
+            history = localSizeHistory.data.get(historyPath);
+        }
 
+        if (!history) {
             return res.status(404).json({
-                status: 'cache-miss',
-                message: `Remote path "${remotePath}" not found in cache. Use /api/cache/refresh to update the cache or set forceDirect=true in your request to fetch directly.`,
-                remotePath,
-                localPath,
-                lastModified,
-                lastModifiedFormatted, // Add formatted property
-                local: {
-                    bytes: localSizeBytes,
-                    formatted: formatBytes(localSizeBytes),
-                    cachedAt: localSizeData ? localSizeData.timestamp : null
-                },
-                cacheStatus: {
-                    lastFullUpdate: remoteCache.lastUpdated,
-                    updateInProgress: remoteCache.updateInProgress,
-                    updateStartTime: remoteCache.updateStartTime
-                }
+                error: `No ${side} history found for ${historyPath}${directory ? ` (directory ${directory})` : ''}`
             });
         }
 
-        // Calculate difference
-        const remoteSizeBytes = remoteSizeData.bytes;
-        const difference = remoteSizeBytes - localSizeBytes;
-        const percentageSynced = remoteSizeBytes > 0
-            ? ((localSizeBytes / remoteSizeBytes) * 100).toFixed(2)
-            : 0;
+        const now = new Date();
+        const windowStart = now.getTime() - windowMs;
+        const growth = {};
+        for (const w of windows) {
+            growth[w] = calculateGrowth(history, parseDuration(w), now);
+        }
 
-        // Get last modified time for the local directory
-        const lastModified = getLastModified(localPath);
-        const lastModifiedFormatted = formatDateToLocal(lastModified);
+        res.json({
+            timestamp: now.toISOString(),
+            side,
+            path: historyPath,
+            directory: directory || null,
+            window,
+            series: history
+                .filter(point => Date.parse(point.timestamp) >= windowStart)
+                .map(point => ({
+                    ...point,
+                    resolution: point.resolution || 'raw',
+                    formatted: formatBytes(point.bytes)
+                })),
+            growth
+        });
+    } catch (error) {
+        log('error', 'api', `Error in history endpoint:`, error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
 
-// Prepare response
-        const response = {
-            timestamp: new Date().toISOString(),
-            remotePath,
-            localPath,
-            lastModified,
-            lastModifiedFormatted,
-            remote: {
-                bytes: remoteSizeBytes,
-                formatted: formatBytes(remoteSizeBytes),
-                count: remoteSizeData.count,
-                cachedAt: remoteSizeData.timestamp,
-                directories: remoteSizeData.directories || []
-            },
-            local: {
-                bytes: localSizeBytes,
-                formatted: formatBytes(localSizeBytes),
-                cachedAt: localSizeData ? localSizeData.timestamp : null
-            },
-            difference: {
-                bytes: difference,
-                formatted: formatBytes(Math.abs(difference)),
-                direction: difference > 0 ? 'remote-larger' : difference < 0 ? 'local-larger' : 'equal'
-            },
-            syncStatus: {
-                percentageSynced: parseFloat(percentageSynced),
-                isSynced: Math.abs(difference) === 0
-            },
-            cacheStatus: {
-                remoteLastUpdate: remoteCache.lastUpdated,
-                localLastUpdate: localCache.lastUpdated
+/**
+ * Get the path of a directory relative to a cached remote path or local directory
+ * @param {string} key - Remote cache or local cache key
+ * @param {string} treePath - Requested remote path or local directory
+ * @param {string} side - "remote" or "local"
+ * @returns {string|null} - Relative path separated by "/", "" for the cached path itself, null if treePath is not inside it
+ */
+function getTreeRelativePath(key, treePath, side) {
+    if (side === 'local') {
+        const relative = path.relative(path.resolve(key), path.resolve(treePath));
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+            return null;
+        }
+        return relative.split(path.sep).join('/');
+    }
+
+    const split = value => {
+        const colon = value.indexOf(':');
+        return [value.slice(0, colon), value.slice(colon + 1).replace(/^\/+|\/+$/g, '')];
+    };
+    const [keyRemote, keyPath] = split(key);
+    const [remote, remotePath] = split(treePath);
+    if (keyRemote !== remote) {
+        return null;
+    }
+    if (!keyPath) {
+        return remotePath;
+    }
+    if (remotePath === keyPath) {
+        return '';
+    }
+    return remotePath.startsWith(`${keyPath}/`) ? remotePath.slice(keyPath.length + 1) : null;
+}
+
+/**
+ * Find the cache entry whose directory tree covers a path
+ * @param {string} treePath - Remote path or local directory, or a directory below one
+ * @param {string} side - "remote" or "local"
+ * @returns {{key, entry, relativePath}|null} - Most specific cache entry with a tree, and the path relative to it
+ */
+function findSizeTreeEntry(treePath, side) {
+    const cache = side === 'remote' ? remoteCache : localCache;
+    let found = null;
+    for (const [key, entry] of cache.data.entries()) {
+        if (!entry.tree) {
+            continue;
+        }
+        const relativePath = getTreeRelativePath(key, treePath, side);
+        if (relativePath !== null && (!found || key.length > found.key.length)) {
+            found = { key, entry, relativePath };
+        }
+    }
+    return found;
+}
+
+/**
+ * API endpoint to get a nested size tree of a remote or local directory, e.g. for a treemap
+ */
+app.get('/api/tree', requireScope('read'), (req, res) => {
+    try {
+        const treePath = req.query.path;
+        if (!treePath) {
+            return res.status(400).json({
+                error: 'path is required'
+            });
+        }
+
+        const side = req.query.side || (REMOTE_PATH_PATTERN.test(treePath) && !path.isAbsolute(treePath) ? 'remote' : 'local');
+        if (side !== 'remote' && side !== 'local') {
+            return res.status(400).json({
+                error: 'side must be either "remote" or "local"'
+            });
+        }
+
+        let depth = Infinity;
+        if (req.query.depth !== undefined) {
+            depth = parseInt(req.query.depth, 10);
+            if (!(depth >= 0) || String(depth) !== String(req.query.depth).trim()) {
+                return res.status(400).json({
+                    error: `Invalid depth: ${req.query.depth}. Use a whole number of directory levels`
+                });
             }
-        };
+        }
+
+        if (side === 'local' && !isLocalPathAllowed(treePath)) {
+            return res.status(403).json({
+                error: `Local path is outside the allowed local roots: ${treePath}`
+            });
+        }
+
+        const found = findSizeTreeEntry(treePath, side);
+        if (!found) {
+            return res.status(404).json({
+                error: `No directory tree recorded for ${treePath}. Set ${side === 'remote' ? 'treeDepth in the remotes section' : 'localScan.treeDepth'} of the config file and wait for the next ${side} update`
+            });
+        }
+
+        const { key, entry, relativePath } = found;
+        const tree = buildSizeTree(entry.tree, { name: key, bytes: entry.bytes, count: entry.count }, relativePath, depth);
+        if (!tree) {
+            return res.status(404).json({
+                error: `${treePath} is not in the directory tree of ${key}, which records ${entry.tree.depth} directory levels`
+            });
+        }
 
-        res.json(response);
+        const level = relativePath ? relativePath.split('/').length : 0;
+        res.json({
+            timestamp: new Date().toISOString(),
+            side,
+            path: treePath,
+            root: key,
+            relativePath,
+            cachedAt: entry.timestamp,
+            recordedDepth: entry.tree.depth - level,
+            depth: Math.min(depth, entry.tree.depth - level),
+            tree
+        });
     } catch (error) {
-        console.error(`[API] Error in compare endpoint:`, error);
+        log('error', 'api', `Error in tree endpoint:`, error);
         res.status(500).json({
             error: error.message
         });
@@ -867,57 +6231,44 @@ app.post('/api/compare', async (req, res) => {
 /**
  * API endpoint to manually trigger cache update
  */
-app.post('/api/cache/refresh', async (req, res) => {
+app.post('/api/cache/refresh', requireScope('admin'), async (req, res) => {
     try {
-        console.log(`[CACHE] Manual cache refresh requested at ${new Date().toISOString()}`);
+        log('info', 'cache', `Manual cache refresh requested at ${new Date().toISOString()}`);
+        const ignoreQuietWindow = Boolean(req.body && req.body.ignoreQuietWindow);
+
+        let remoteJob = null;
+        let localJob = null;
 
         // Check if a remote update is already in progress
         if (remoteCache.updateInProgress) {
-            console.log(`[REMOTE_CACHE] Cache update already in progress, started at ${remoteCache.updateStartTime}`);
+            log('info', 'remote-cache', `Cache update already in progress, started at ${remoteCache.updateStartTime}`);
         } else {
-            // Mark that a remote update is starting
-            remoteCache.updateInProgress = true;
-            remoteCache.updateStartTime = new Date().toISOString();
-
-            // Start remote cache update in background
-            updateRemoteCache()
-                .then(() => {
-                    console.log(`[REMOTE_CACHE] Manual cache refresh completed successfully`);
-                })
-                .catch(error => {
-                    console.error(`[REMOTE_CACHE] Manual cache refresh failed:`, error);
-                });
+            // Start remote cache update in background, which is refused inside a quiet window before anything starts
+            remoteJob = startRemoteUpdate('manual', {}, { ignoreQuietWindow });
         }
 
         // Check if a local update is already in progress
         if (localCache.updateInProgress) {
-            console.log(`[LOCAL_CACHE] Cache update already in progress, started at ${localCache.updateStartTime}`);
+            log('info', 'local-cache', `Cache update already in progress, started at ${localCache.updateStartTime}`);
         } else if (localCache.data.size > 0) {
-            // Mark that a local update is starting
-            localCache.updateInProgress = true;
-            localCache.updateStartTime = new Date().toISOString();
-
             // Start local cache update in background
-            updateLocalCache()
-                .then(() => {
-                    console.log(`[LOCAL_CACHE] Manual cache refresh completed successfully`);
-                })
-                .catch(error => {
-                    console.error(`[LOCAL_CACHE] Manual cache refresh failed:`, error);
-                });
+            localJob = startLocalUpdate('manual');
         } else {
-            console.log(`[LOCAL_CACHE] No local directories in cache to update`);
+            log('info', 'local-cache', `No local directories in cache to update`);
         }
 
         res.json({
             status: 'refresh-started',
             message: 'Cache refresh has been initiated in the background for remote and local caches',
+            jobs: [remoteJob, localJob].filter(Boolean).map(job => job.id),
             remote: {
+                jobId: remoteJob ? remoteJob.id : null,
                 updateStarted: remoteCache.updateInProgress,
                 startedAt: remoteCache.updateStartTime,
                 previousUpdate: remoteCache.lastUpdated
             },
             local: {
+                jobId: localJob ? localJob.id : null,
                 updateStarted: localCache.updateInProgress,
                 startedAt: localCache.updateStartTime,
                 previousUpdate: localCache.lastUpdated,
@@ -925,8 +6276,9 @@ app.post('/api/cache/refresh', async (req, res) => {
             }
         });
     } catch (error) {
-        console.error(`[CACHE] Error in cache refresh endpoint:`, error);
-        res.status(500).json({
+        // Refusals such as quiet windows are expected, only failures are errors
+        log(error.statusCode ? 'info' : 'error', 'cache', `Error in cache refresh endpoint:`, error);
+        res.status(error.statusCode || 500).json({
             error: error.message
         });
     }
@@ -935,27 +6287,44 @@ app.post('/api/cache/refresh', async (req, res) => {
 /**
  * API endpoint to get cache status
  */
-app.get('/api/cache/status', (req, res) => {
+app.get('/api/cache/status', requireScope('read'), (req, res) => {
     const remoteCount = remoteCache.data.size;
     const remoteKeys = Array.from(remoteCache.data.keys());
 
     const localCount = localCache.data.size;
     const localKeys = Array.from(localCache.data.keys());
 
+    // Effective settings of every remote rclone listed, cached or configured
+    const remoteNames = new Set([
+        ...knownRemotes.data,
+        ...remoteKeys.map(key => key.split(':')[0]),
+        ...(config.remotes.include || []),
+        ...config.remotes.exclude,
+        ...Object.keys(config.remotes.overrides)
+    ]);
+    const remoteSettings = Object.fromEntries(Array.from(remoteNames).sort().map(name => [name, getRemoteSettings(name)]));
+
     res.json({
         remote: {
             lastUpdated: remoteCache.lastUpdated,
             updateInProgress: remoteCache.updateInProgress,
             updateStartTime: remoteCache.updateStartTime,
+            nextScheduledUpdate: getNextScheduledRun('remote'),
             remoteCount,
+            settings: remoteSettings,
+            // Paths whose latest measurement failed, including remotes without a cache entry yet
+            failures: Array.from(remoteErrors.data.entries()).map(([remotePath, failure]) => ({ path: remotePath, ...failure })),
             remotes: remoteKeys.map(key => {
                 const data = remoteCache.data.get(key);
                 return {
                     path: key,
+                    settings: remoteSettings[key.split(':')[0]],
+                    nextScheduledUpdate: getNextScheduledRun('remote', key.split(':')[0]),
                     size: formatBytes(data.bytes),
                     bytes: data.bytes,
                     count: data.count,
                     timestamp: data.timestamp,
+                    ...getCacheEntryStatus(data),
                     calculationDuration: data.calculationDurationMs ?
                         `${(data.calculationDurationMs / 1000).toFixed(2)}s` : undefined,
                     directories: (data.directories || []).map(dir => ({
@@ -969,26 +6338,470 @@ app.get('/api/cache/status', (req, res) => {
             lastUpdated: localCache.lastUpdated,
             updateInProgress: localCache.updateInProgress,
             updateStartTime: localCache.updateStartTime,
+            nextScheduledUpdate: getNextScheduledRun('local'),
             directoryCount: localCount,
             directories: localKeys.map(key => ({
                 path: key,
+                nextScheduledUpdate: getNextScheduledRun('local', key),
                 size: formatBytes(localCache.data.get(key).bytes),
                 bytes: localCache.data.get(key).bytes,
+                count: localCache.data.get(key).count ?? null,
+                directoryCount: localCache.data.get(key).directoryCount ?? null,
+                scanErrorCount: localCache.data.get(key).scanErrorCount || 0,
+                excludedFiles: localCache.data.get(key).excludedFiles || 0,
+                filters: localCache.data.get(key).filters || [],
+                watch: localWatchers.data.has(key) ? {
+                    mode: localWatchers.data.get(key).mode,
+                    watchers: localWatchers.data.get(key).watchers.size,
+                    lastChangeAt: localWatchers.data.get(key).lastChangeAt,
+                    lastChangedPath: localWatchers.data.get(key).lastChangedPath,
+                    refreshPending: Boolean(localWatchers.data.get(key).pendingSince),
+                    error: localWatchers.data.get(key).error
+                } : null,
+                scan: localCache.data.get(key).scanStats ? {
+                    ...localCache.data.get(key).scanStats,
+                    lastFullScanAt: localSnapshots.data.get(key)?.fullScanAt || null
+                } : null,
                 timestamp: localCache.data.get(key).timestamp,
+                ...getCacheEntryStatus(localCache.data.get(key)),
                 calculationDuration: localCache.data.get(key).calculationDurationMs ?
                     `${(localCache.data.get(key).calculationDurationMs / 1000).toFixed(2)}s` : undefined
             }))
+        },
+        schedule: {
+            timezone: config.schedule.timezone,
+            inQuietWindow: isInQuietWindow(new Date()),
+            quietWindows: config.schedule.quietWindows.map(({ start, end, days }) => ({ start, end, days })),
+            jobs: scheduler.jobs.map(job => ({
+                name: job.name,
+                cache: job.cache,
+                cron: job.cron.expression,
+                targets: job.targets,
+                nextRun: job.nextRun,
+                lastRun: job.lastRun,
+                lastJobId: job.lastJobId,
+                lastSkipped: job.lastSkipped,
+                deferredSince: job.deferredSince
+            }))
+        }
+    });
+});
+
+/**
+ * Check a local directory path from a request before tracking it
+ * @param {string} localPath - Local directory path
+ * @returns {{statusCode: number, error: string}|null} - Why the path is rejected, or null if it can be tracked
+ */
+function validateLocalDirectory(localPath) {
+    if (typeof localPath !== 'string' || !path.isAbsolute(localPath)) {
+        return { statusCode: 400, error: `An absolute local path is required: ${localPath}` };
+    }
+    if (!isLocalPathAllowed(localPath)) {
+        return { statusCode: 403, error: `Local path is outside the allowed local roots: ${localPath}` };
+    }
+    if (!fs.existsSync(localPath) || !fs.statSync(localPath).isDirectory()) {
+        return { statusCode: 400, error: `Local path is not an existing directory: ${localPath}` };
+    }
+    return null;
+}
+
+/**
+ * Get the sync pairs that use a local directory
+ * @param {string} localPath - Local directory path
+ * @returns {string[]} - Pair names
+ */
+function getPairsUsingLocalPath(localPath) {
+    return Array.from(config.pairs.entries())
+        .filter(([, pair]) => pair.localPath === localPath)
+        .map(([name]) => name);
+}
+
+/**
+ * API endpoint to list tracked and untracked local directories
+ */
+app.get('/api/local', requireScope('read'), (req, res) => {
+    const tracked = getTrackedLocalDirectories().sort().map(localPath => {
+        const entry = localCache.data.get(localPath);
+        return {
+            path: localPath,
+            pairs: getPairsUsingLocalPath(localPath),
+            cached: Boolean(entry),
+            bytes: entry ? entry.bytes : null,
+            formatted: entry ? formatBytes(entry.bytes) : null,
+            count: entry ? entry.count ?? null : null,
+            timestamp: entry ? entry.timestamp : null,
+            error: entry ? entry.error || null : null,
+            historyPoints: (localSizeHistory.data.get(localPath) || []).length,
+            watched: localWatchers.data.has(localPath),
+            nextScheduledUpdate: getNextScheduledRun('local', localPath)
+        };
+    });
+
+    res.json({
+        timestamp: new Date().toISOString(),
+        updateInProgress: localCache.updateInProgress,
+        tracked,
+        untracked: Array.from(untrackedLocal.data.entries()).map(([localPath, info]) => ({
+            path: localPath,
+            ...info,
+            historyPoints: (localSizeHistory.data.get(localPath) || []).length
+        }))
+    });
+});
+
+/**
+ * API endpoint to start tracking a local directory, also one that was untracked before
+ */
+app.post('/api/local', requireScope('admin'), (req, res) => {
+    const localPath = req.body && req.body.path;
+    const invalid = validateLocalDirectory(localPath);
+    if (invalid) {
+        return res.status(invalid.statusCode).json({ error: invalid.error });
+    }
+    if (getTrackedLocalDirectories().includes(localPath)) {
+        return res.status(409).json({
+            error: `Local directory is already tracked: ${localPath}`
+        });
+    }
+
+    untrackedLocal.data.delete(localPath);
+    saveUntrackedLocal();
+
+    const job = createJob('local-add', { trigger: 'api', targets: [localPath] });
+    addToLocalCache(localPath, job).catch(() => {
+        // Already logged and recorded on the job
+    });
+
+    res.status(202).json({
+        status: 'tracking',
+        path: localPath,
+        jobId: job.id,
+        statusUrl: `/api/jobs/${job.id}`
+    });
+});
+
+/**
+ * API endpoint to refresh a single tracked local directory
+ */
+app.post('/api/local/refresh', requireScope('admin'), (req, res) => {
+    const localPath = req.body && req.body.path;
+    if (!getTrackedLocalDirectories().includes(localPath)) {
+        return res.status(404).json({
+            error: `Local directory is not tracked: ${localPath}`
+        });
+    }
+    if (localCache.updateInProgress) {
+        return res.status(409).json({
+            error: `A local cache update is already in progress since ${localCache.updateStartTime}`
+        });
+    }
+
+    const job = startLocalUpdate('manual', { only: [localPath] });
+    res.status(202).json({
+        status: 'refresh-started',
+        path: localPath,
+        jobId: job.id,
+        statusUrl: `/api/jobs/${job.id}`
+    });
+});
+
+/**
+ * API endpoint to move a tracked local directory to a new path, keeping its size history
+ */
+app.post('/api/local/move', requireScope('admin'), (req, res) => {
+    const { from, to } = req.body || {};
+    if (!getTrackedLocalDirectories().includes(from)) {
+        return res.status(404).json({
+            error: `Local directory is not tracked: ${from}`
+        });
+    }
+    const invalid = validateLocalDirectory(to);
+    if (invalid) {
+        return res.status(invalid.statusCode).json({ error: invalid.error });
+    }
+    if (getTrackedLocalDirectories().includes(to)) {
+        return res.status(409).json({
+            error: `Local directory is already tracked: ${to}`
+        });
+    }
+    // The running update would write the old path back when it finishes
+    if (localCache.updateInProgress) {
+        return res.status(409).json({
+            error: `A local cache update is already in progress since ${localCache.updateStartTime}`
+        });
+    }
+
+    moveLocalDirectory(from, to);
+    const job = startLocalUpdate('manual', { only: [to] });
+    res.json({
+        status: 'moved',
+        from,
+        to,
+        historyPoints: (localSizeHistory.data.get(to) || []).length,
+        jobId: job.id,
+        statusUrl: `/api/jobs/${job.id}`,
+        usedByPairs: getPairsUsingLocalPath(from)
+    });
+});
+
+/**
+ * API endpoint to stop tracking a local directory, optionally deleting its size history
+ */
+app.delete('/api/local', requireScope('admin'), (req, res) => {
+    const localPath = req.query.path;
+    const purgeHistory = req.query.purgeHistory === 'true';
+    if (!getTrackedLocalDirectories().includes(localPath) && !(purgeHistory && untrackedLocal.data.has(localPath))) {
+        return res.status(404).json({
+            error: `Local directory is not tracked: ${localPath}`
+        });
+    }
+
+    untrackLocalDirectory(localPath, { purgeHistory });
+    res.json({
+        status: 'untracked',
+        path: localPath,
+        historyPurged: purgeHistory,
+        usedByPairs: getPairsUsingLocalPath(localPath)
+    });
+});
+
+/**
+ * API endpoint to list running and recently finished cache scans
+ */
+app.get('/api/jobs', requireScope('read'), (req, res) => {
+    const { status, type } = req.query;
+    const list = Array.from(jobs.data.values())
+        .filter(job => !status || job.status === status)
+        .filter(job => !type || job.type === type)
+        .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt));
+
+    res.json({
+        timestamp: new Date().toISOString(),
+        running: list.filter(job => job.status === 'running').length,
+        jobs: list.map(serializeJob)
+    });
+});
+
+/**
+ * API endpoint to get the progress of a single job
+ */
+app.get('/api/jobs/:id', requireScope('read'), (req, res) => {
+    const job = jobs.data.get(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({
+            error: `Job not found: ${req.params.id}`
+        });
+    }
+
+    res.json(serializeJob(job));
+});
+
+/**
+ * API endpoint to cancel a running job
+ */
+app.delete('/api/jobs/:id', requireScope('admin'), (req, res) => {
+    const job = jobs.data.get(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({
+            error: `Job not found: ${req.params.id}`
+        });
+    }
+
+    if (job.status !== 'running') {
+        return res.status(409).json({
+            error: `Job is not running: ${job.status}`
+        });
+    }
+
+    cancelJob(job);
+    res.status(202).json(serializeJob(job));
+});
+
+/**
+ * API endpoint to read recent log entries, filtered by level, component and time range
+ */
+app.get('/api/logs', requireScope('admin'), async (req, res) => {
+    try {
+        const now = new Date();
+        const level = req.query.level || 'info';
+        if (!LOG_LEVELS.includes(level)) {
+            return res.status(400).json({
+                error: `level must be one of ${LOG_LEVELS.join(', ')}`
+            });
+        }
+
+        const since = req.query.since ? parseLogTime(req.query.since, now) : now.getTime() - 24 * 60 * 60 * 1000;
+        const until = req.query.until ? parseLogTime(req.query.until, now) : null;
+        if (since === null || (req.query.until && until === null)) {
+            return res.status(400).json({
+                error: 'since and until must be ISO timestamps or durations such as 30m, 6h or 7d'
+            });
         }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 200, LOG_QUERY_MAX_LIMIT);
+        const components = req.query.component ? req.query.component.split(',').map(c => c.trim()).filter(Boolean) : null;
+        const entries = await queryLogs({ level, components, since, until, limit });
+
+        res.json({
+            timestamp: now.toISOString(),
+            since: new Date(since).toISOString(),
+            until: until === null ? null : new Date(until).toISOString(),
+            count: entries.length,
+            entries
+        });
+    } catch (error) {
+        log('error', 'api', `Error in logs endpoint:`, error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+/**
+ * API endpoint to list active alerts
+ */
+app.get('/api/alerts', requireScope('read'), (req, res) => {
+    res.json({
+        timestamp: new Date().toISOString(),
+        rules: config.notifications.rules.map(rule => rule.name),
+        webhooks: config.notifications.webhooks.map(webhook => ({ name: webhook.name, format: webhook.format })),
+        activeCount: Array.from(alertState.data.values()).filter(alert => !alert.resolvedAt).length,
+        active: Array.from(alertState.data.values()).filter(alert => !alert.resolvedAt),
+        // Resolved alerts kept until their "resolved" notification reaches every webhook
+        undeliveredResolved: Array.from(alertState.data.values()).filter(alert => alert.resolvedAt)
     });
 });
 
+/**
+ * Render cache state in Prometheus text exposition format
+ * @returns {string} - Metrics text
+ */
+function renderMetrics() {
+    const lines = [];
+    const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    const toSeconds = isoDate => isoDate ? Date.parse(isoDate) / 1000 : null;
+
+    // Write a metric family with its HELP/TYPE header, skipping samples without a value
+    const family = (name, type, help, samples) => {
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(`# TYPE ${name} ${type}`);
+        for (const [labels, value] of samples) {
+            if (value === null || value === undefined || Number.isNaN(value)) {
+                continue;
+            }
+            const labelText = Object.entries(labels)
+                .map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`)
+                .join(',');
+            lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+        }
+    };
+
+    const remotes = Array.from(remoteCache.data.entries());
+    const locals = Array.from(localCache.data.entries());
+    const remoteDirectories = remotes.flatMap(([remotePath, data]) =>
+        (data.directories || []).filter(dir => !dir.error).map(dir => [remotePath, dir])
+    );
+
+    family('rclone_reporter_remote_bytes', 'gauge', 'Size of a cached remote path in bytes',
+        remotes.map(([remotePath, data]) => [{ path: remotePath }, data.bytes]));
+    family('rclone_reporter_remote_objects', 'gauge', 'Number of objects in a cached remote path',
+        remotes.map(([remotePath, data]) => [{ path: remotePath }, data.count]));
+    family('rclone_reporter_remote_directory_bytes', 'gauge', 'Size of a root directory of a remote in bytes',
+        remoteDirectories.map(([remotePath, dir]) => [{ path: remotePath, directory: dir.name }, dir.bytes]));
+    family('rclone_reporter_remote_directory_objects', 'gauge', 'Number of objects in a root directory of a remote',
+        remoteDirectories.map(([remotePath, dir]) => [{ path: remotePath, directory: dir.name }, dir.count]));
+    family('rclone_reporter_remote_last_success_timestamp_seconds', 'gauge', 'Time a remote path was last measured successfully',
+        remotes.map(([remotePath, data]) => [{ path: remotePath }, toSeconds(data.timestamp)]));
+    family('rclone_reporter_remote_calculation_duration_seconds', 'gauge', 'Duration of the last scan of a remote path',
+        remotes.map(([remotePath, data]) => [{ path: remotePath }, data.calculationDurationMs / 1000]));
+
+    family('rclone_reporter_local_bytes', 'gauge', 'Size of a tracked local directory in bytes',
+        locals.map(([localPath, data]) => [{ path: localPath }, data.bytes]));
+    family('rclone_reporter_local_objects', 'gauge', 'Number of files in a tracked local directory',
+        locals.map(([localPath, data]) => [{ path: localPath }, data.count]));
+    family('rclone_reporter_local_directory_bytes', 'gauge', 'Size of an immediate subdirectory of a tracked local directory in bytes',
+        locals.flatMap(([localPath, data]) =>
+            (data.directories || []).map(dir => [{ path: localPath, directory: dir.name }, dir.bytes])
+        ));
+    family('rclone_reporter_local_last_success_timestamp_seconds', 'gauge', 'Time a local directory was last measured successfully',
+        locals.map(([localPath, data]) => [{ path: localPath }, data.error ? null : toSeconds(data.timestamp)]));
+    family('rclone_reporter_local_calculation_duration_seconds', 'gauge', 'Duration of the last scan of a local directory',
+        locals.map(([localPath, data]) => [{ path: localPath }, data.calculationDurationMs / 1000]));
+
+    // Pairs are only reported when both sides are cached, so scraping never starts a scan
+    const pairs = Array.from(config.pairs.entries())
+        .filter(([, pair]) => remoteCache.data.has(pair.remotePath) && localCache.data.has(pair.localPath))
+        .map(([name, pair]) => {
+            const remoteBytes = remoteCache.data.get(pair.remotePath).bytes;
+            const localBytes = localCache.data.get(pair.localPath).bytes;
+            return {
+                labels: { pair: name, remote_path: pair.remotePath, local_path: pair.localPath },
+                difference: remoteBytes - localBytes,
+                percentSynced: remoteBytes > 0 ? parseFloat(((localBytes / remoteBytes) * 100).toFixed(2)) : 0
+            };
+        });
+    family('rclone_reporter_pair_difference_bytes', 'gauge', 'Remote size minus local size of a sync pair',
+        pairs.map(pair => [pair.labels, pair.difference]));
+    family('rclone_reporter_pair_percent_synced', 'gauge', 'Local size as a percentage of remote size of a sync pair',
+        pairs.map(pair => [pair.labels, pair.percentSynced]));
+
+    family('rclone_reporter_cache_last_update_timestamp_seconds', 'gauge', 'Time the last full cache update finished',
+        [[{ cache: 'remote' }, toSeconds(remoteCache.lastUpdated)], [{ cache: 'local' }, toSeconds(localCache.lastUpdated)]]);
+    family('rclone_reporter_cache_update_in_progress', 'gauge', 'Whether a cache update is currently running',
+        [[{ cache: 'remote' }, remoteCache.updateInProgress ? 1 : 0], [{ cache: 'local' }, localCache.updateInProgress ? 1 : 0]]);
+
+    family('rclone_reporter_rclone_failures_total', 'counter', 'Number of failed rclone commands',
+        Array.from(metrics.rcloneFailures.entries()).map(([command, count]) => [{ command }, count]));
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Prometheus metrics endpoint
+ */
+app.get('/metrics', requireScope('read'), (req, res) => {
+    try {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(renderMetrics());
+    } catch (error) {
+        log('error', 'api', `Error in metrics endpoint:`, error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
 /**
  * Health check endpoint
  */
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+    const backend = getRcloneBackend();
+    const rclone = { backend: config.rclone.backend };
+    if (config.rclone.backend === 'rcd') {
+        rclone.url = config.rclone.url;
+        try {
+            rclone.stats = await backend.stats(null, { timeoutMs: RCD_HEALTH_TIMEOUT_MS });
+            rclone.reachable = true;
+        } catch (error) {
+            rclone.reachable = false;
+            rclone.error = error.message;
+        }
+    }
+
     res.json({
-        status: 'ok',
+        status: storage.quarantined.length > 0 || storage.lastSaveError ? 'degraded' : 'ok',
         timestamp: new Date().toISOString(),
+        rclone,
+        storage: {
+            backend: storage.backend,
+            configuredBackend: config.storage.backend,
+            schemaVersion: STORAGE_SCHEMA_VERSION,
+            error: storage.error,
+            lastSaveError: storage.lastSaveError,
+            quarantined: storage.quarantined
+        },
         cacheStatus: {
             remote: {
                 lastUpdated: remoteCache.lastUpdated,
@@ -1003,119 +6816,345 @@ app.get('/health', (req, res) => {
 });
 
 /**
- * Create a log file for the cache operation
+ * Turn a value passed along with a log message into something JSON can hold
+ * @param {*} detail - Error or any other value
+ * @returns {*} - Serializable value
  */
-function setupCacheLogging() {
-    const logDir = process.env.LOG_DIR || './logs';
-
-    // Ensure log directory exists
-    if (!fs.existsSync(logDir)) {
-        console.log(`[CACHE] Creating log directory at ${logDir}`);
-        fs.mkdirSync(logDir, { recursive: true });
+function serializeLogDetail(detail) {
+    if (detail instanceof Error) {
+        return { message: detail.message, code: detail.code, stack: detail.stack };
     }
+    return detail;
+}
 
-    // Create a writable stream for the log file
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-    const logPath = path.join(logDir, `cache-${today}.log`);
+/**
+ * Get the path of a log file
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} index - Size rotation of the day
+ * @returns {string} - Path in LOG_DIR
+ */
+function getLogFilePath(date, index) {
+    return path.join(LOG_DIR, index === 0 ? `app-${date}.log` : `app-${date}.${index}.log`);
+}
+
+/**
+ * Delete log files older than LOG_RETENTION_DAYS
+ * @param {Date} now - Current time
+ */
+function pruneLogFiles(now) {
+    const oldestDate = new Date(now.getTime() - LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    for (const name of fs.readdirSync(LOG_DIR)) {
+        const match = LOG_FILE_PATTERN.exec(name);
+        if (match && match[1] < oldestDate) {
+            fs.unlinkSync(path.join(LOG_DIR, name));
+        }
+    }
+}
 
-    console.log(`[CACHE] Setting up cache logging to ${logPath}`);
+/**
+ * Open the log file for a day, continuing the last file of the day unless it is full
+ * @param {Date} now - Current time
+ * @param {number} index - First size rotation to consider
+ */
+function openLogFile(now, index) {
+    if (logFile.stream) {
+        logFile.stream.end();
+        logFile.stream = null;
+    }
 
-    const logStream = fs.createWriteStream(logPath, { flags: 'a' });
+    const date = now.toISOString().slice(0, 10);
+    fs.mkdirSync(LOG_DIR, { recursive: true });
+    let bytes = 0;
+    while (true) {
+        const file = getLogFilePath(date, index);
+        bytes = fs.existsSync(file) ? fs.statSync(file).size : 0;
+        if (bytes < LOG_MAX_FILE_BYTES) {
+            break;
+        }
+        index++;
+    }
 
-    // Backup original console methods
-    const originalConsoleLog = console.log;
-    const originalConsoleError = console.error;
+    logFile.stream = fs.createWriteStream(getLogFilePath(date, index), { flags: 'a' });
+    logFile.stream.on('error', error => {
+        logFile.error = error.message;
+    });
+    logFile.date = date;
+    logFile.index = index;
+    logFile.bytes = bytes;
+    pruneLogFiles(now);
+}
 
-    // Override console methods to also write to the log file
-    console.log = function() {
-        const args = Array.from(arguments);
-        const message = args.map(arg =>
-            typeof arg === 'object' ? JSON.stringify(arg, null, 2) : arg
-        ).join(' ');
+/**
+ * Append an entry to the current log file as one JSON line, rotating daily and by size
+ * @param {object} entry - Log entry
+ */
+function writeLogEntry(entry) {
+    if (logFile.error) {
+        return;
+    }
 
-        // Only log cache-related messages to the file
-        if (message.includes('[CACHE]') ||
-            message.includes('[REMOTE_CACHE]') ||
-            message.includes('[LOCAL_CACHE]')) {
-            logStream.write(`${new Date().toISOString()} - ${message}\n`);
+    try {
+        const line = `${JSON.stringify(entry)}\n`;
+        const now = new Date(entry.time);
+        const date = entry.time.slice(0, 10);
+        if (!logFile.stream || date !== logFile.date) {
+            openLogFile(now, 0);
+        } else if (logFile.bytes > 0 && logFile.bytes + Buffer.byteLength(line) > LOG_MAX_FILE_BYTES) {
+            openLogFile(now, logFile.index + 1);
         }
+        logFile.stream.write(line);
+        logFile.bytes += Buffer.byteLength(line);
+    } catch (error) {
+        logFile.error = error.message;
+        console.error(`[CACHE] Failed to write log file in ${LOG_DIR}, logging to the console only:`, error.message);
+    }
+}
 
-        // Call original console method
-        originalConsoleLog.apply(console, args);
-    };
+/**
+ * Write a log entry to the console and the log file
+ * @param {object} entry - Entry with time, level, component and message
+ * @param {Array} details - Values to print after the message on the console
+ */
+function emitLogEntry(entry, details = []) {
+    if (LOG_LEVELS.indexOf(entry.level) < LOG_LEVELS.indexOf(LOG_LEVEL)) {
+        return;
+    }
 
-    console.error = function() {
-        const args = Array.from(arguments);
-        const message = args.map(arg =>
-            typeof arg === 'object' ? JSON.stringify(arg, null, 2) : arg
-        ).join(' ');
+    const write = entry.level === 'error' ? console.error : entry.level === 'warn' ? console.warn : console.log;
+    if (LOG_FORMAT === 'json') {
+        write(JSON.stringify(entry));
+    } else {
+        write(`[${entry.component.toUpperCase().replace(/-/g, '_')}] ${entry.message}`, ...details);
+    }
+    writeLogEntry(entry);
+}
 
-        // Only log cache-related messages to the file
-        if (message.includes('[CACHE]') ||
-            message.includes('[REMOTE_CACHE]') ||
-            message.includes('[LOCAL_CACHE]')) {
-            logStream.write(`${new Date().toISOString()} - ERROR - ${message}\n`);
-        }
+/**
+ * Log a message
+ * @param {string} level - "debug", "info", "warn" or "error"
+ * @param {string} component - Part of the service the message is about, e.g. "remote-cache", "local-cache" or "api"
+ * @param {string} message - Message text
+ * @param {...*} details - Errors or values logged along with the message
+ */
+function log(level, component, message, ...details) {
+    const entry = { time: new Date().toISOString(), level, component, message };
+    if (details.length === 1 && details[0] instanceof Error) {
+        entry.error = serializeLogDetail(details[0]);
+    } else if (details.length > 0) {
+        entry.details = details.map(serializeLogDetail);
+    }
+    emitLogEntry(entry, details);
+}
 
-        // Call original console method
-        originalConsoleError.apply(console, args);
-    };
+/**
+ * Close the log file on shutdown
+ */
+function closeLogFile() {
+    if (logFile.stream) {
+        logFile.stream.end();
+        logFile.stream = null;
+    }
+}
 
-    return logStream;
+/**
+ * Parse the start or end of a log query time range: an ISO timestamp, or a duration such as "1h" meaning that long ago
+ * @param {string} value - Query parameter
+ * @param {Date} now - Current time
+ * @returns {number|null} - Milliseconds since the epoch, or null if invalid
+ */
+function parseLogTime(value, now) {
+    const durationMs = parseDuration(value);
+    if (durationMs !== null) {
+        return now.getTime() - durationMs;
+    }
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Read log entries from the log files, oldest first
+ * @param {object} query - Filters
+ * @param {string} query.level - Minimum level
+ * @param {string[]|null} query.components - Components to include, null for all
+ * @param {number|null} query.since - Earliest entry time in milliseconds
+ * @param {number|null} query.until - Latest entry time in milliseconds
+ * @param {number} query.limit - Return only the most recent entries
+ * @returns {Promise<object[]>} - Matching entries
+ */
+async function queryLogs({ level, components, since, until, limit }) {
+    const minLevel = LOG_LEVELS.indexOf(level);
+    const sinceDate = since === null ? null : new Date(since).toISOString().slice(0, 10);
+    const untilDate = until === null ? null : new Date(until).toISOString().slice(0, 10);
+
+    const files = (fs.existsSync(LOG_DIR) ? fs.readdirSync(LOG_DIR) : [])
+        .map(name => ({ name, match: LOG_FILE_PATTERN.exec(name) }))
+        .filter(({ match }) => match &&
+            (sinceDate === null || match[1] >= sinceDate) &&
+            (untilDate === null || match[1] <= untilDate))
+        .sort((a, b) => a.match[1].localeCompare(b.match[1]) || Number(a.match[2] || 0) - Number(b.match[2] || 0));
+
+    const entries = [];
+    for (const { name } of files) {
+        const lines = readline.createInterface({
+            input: fs.createReadStream(path.join(LOG_DIR, name), 'utf8'),
+            crlfDelay: Infinity
+        });
+        for await (const line of lines) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                continue; // Partly written last line
+            }
+            const time = Date.parse(entry.time);
+            if (LOG_LEVELS.indexOf(entry.level) < minLevel ||
+                (components && !components.includes(entry.component)) ||
+                (since !== null && time < since) ||
+                (until !== null && time > until)) {
+                continue;
+            }
+            entries.push(entry);
+            if (entries.length > limit) {
+                entries.shift();
+            }
+        }
+    }
+    return entries;
+}
+
+/**
+ * Save every persisted store: caches, size histories, diff reports, directory snapshots, untracked directories and alerts
+ */
+function saveAllState() {
+    saveRemoteCache();
+    saveLocalCache();
+    saveSizeHistory();
+    saveRemoteHistory();
+    saveDiffCache();
+    saveLocalSnapshots();
+    saveUntrackedLocal();
+    saveAlertState();
 }
 
 /**
  * Start the server and initialize cache
  */
-app.listen(port, () => {
-    console.log(`Sync comparison service listening on port ${port}`);
-
-    console.log(`[CACHE] Loading existing cache data from files...`);
-    loadRemoteCache();
-    loadLocalCache();
-    loadSizeHistory();
-
-    // Setup logging for cache operations
-    const logStream = setupCacheLogging();
-
-    // Process any command line arguments
-    const args = process.argv.slice(2);
-    const skipInitialUpdate = args.includes('--skip-initial-cache');
-
-    // Initialize cache and schedule updates
-    scheduleCacheUpdates(!skipInitialUpdate);
-
-    console.log(`[CACHE] Setting up periodic cache saves every 5 minutes`);
-    setInterval(() => {
-        saveRemoteCache();
-        saveLocalCache();
-        saveSizeHistory();
-    }, 5 * 60 * 1000); // 5 minutes
-
-    console.log(`[CACHE] Cache system initialized with the following settings:`);
-    console.log(`[CACHE] - Skip initial update: ${skipInitialUpdate}`);
-    console.log(`[CACHE] - Remote update interval: 24 hours`);
-    console.log(`[CACHE] - Local update interval: 1 hour`);
-    console.log(`[CACHE] - Logging enabled: true`);
-    console.log(`[CACHE] - Local directory caching: enabled`);
-    console.log(`[CACHE] - Size history tracking: enabled`);
-
-    // Handle process shutdown
-    process.on('SIGINT', () => {
-        console.log(`[CACHE] Shutting down, saving cache and closing log file`);
-        saveRemoteCache();
-        saveLocalCache();
-        saveSizeHistory();
-        logStream.end();
-        process.exit();
-    });
+function startServer() {
+    app.listen(port, () => {
+        log('info', 'server', `Sync comparison service listening on port ${port}`);
+
+        // The config selects the storage backend, so it is loaded first
+        loadConfig();
+        openStorage();
+
+        log('info', 'cache', `Loading existing cache data from ${storage.backend === 'sqlite' ? 'SQLite' : 'files'}...`);
+        loadRemoteCache();
+        loadLocalCache();
+        loadSizeHistory();
+        loadRemoteHistory();
+        loadDiffCache();
+        loadLocalSnapshots();
+        loadUntrackedLocal();
+        loadAlertState();
+        applyHistoryRetention();
+
+        // Process any command line arguments
+        const args = process.argv.slice(2);
+        const skipInitialUpdate = args.includes('--skip-initial-cache');
+
+        // Initialize cache and schedule updates
+        scheduleCacheUpdates(!skipInitialUpdate);
+
+        // The initial local update already covers sync pair directories, so only register them when it is skipped
+        if (skipInitialUpdate) {
+            registerPairDirectories().catch(err => {
+                log('error', 'local-cache', `Failed to pre-register sync pair directories:`, err);
+            });
+        }
+
+        syncLocalWatchers().catch(err => {
+            log('error', 'watch', `Failed to set up watchers:`, err);
+        });
 
-    process.on('SIGTERM', () => {
-        console.log(`[CACHE] Received SIGTERM, saving cache and shutting down`);
-        saveRemoteCache();
-        saveLocalCache();
-        saveSizeHistory();
-        logStream.end();
-        process.exit();
+        log('info', 'cache', `Setting up periodic cache saves every 5 minutes`);
+        setInterval(saveAllState, 5 * 60 * 1000); // 5 minutes
+
+        log('info', 'cache', `Cache system initialized with the following settings:`);
+        log('info', 'cache', `- Skip initial update: ${skipInitialUpdate}`);
+        log('info', 'cache', `- Remote update schedule: ${config.schedule.remote.expression} (${config.schedule.timezone})`);
+        log('info', 'cache', `- Local update schedule: ${config.schedule.local.expression} (${config.schedule.timezone})`);
+        log('info', 'cache', `- Logging: ${LOG_LEVEL} and above to ${LOG_DIR}, ${LOG_FORMAT} on the console`);
+        log('info', 'cache', `- Local directory caching: enabled`);
+        log('info', 'cache', `- Size history tracking: enabled`);
+        log('info', 'cache', `- Sync pairs configured: ${config.pairs.size}`);
+
+        // Handle process shutdown
+        process.on('SIGINT', () => {
+            log('info', 'cache', `Shutting down, saving cache and closing log file`);
+            saveAllState();
+            closeLogFile();
+            process.exit();
+        });
+
+        process.on('SIGTERM', () => {
+            log('info', 'cache', `Received SIGTERM, saving cache and shutting down`);
+            saveAllState();
+            closeLogFile();
+            process.exit();
+        });
     });
-});
\ No newline at end of file
+}
+
+module.exports = {
+    app,
+    config,
+    rcloneBackends,
+    remoteCache,
+    localCache,
+    loadRemoteCache,
+    saveRemoteCache,
+    loadLocalCache,
+    saveLocalCache,
+    parseCron,
+    getNextCronRun,
+    isInQuietWindow,
+    assertOutsideQuietWindow,
+    startDirectSizeJob,
+    diffCache,
+    diffFileListings,
+    pruneDiffCache,
+    evictDiffReports,
+    getFileDiff,
+    parseDuration,
+    getRetentionPolicy,
+    rollUpHistory,
+    applyRetention,
+    calculateGrowth,
+    storage,
+    migrateState,
+    loadState,
+    saveState,
+    writeFileAtomic,
+    saveAllState,
+    localSizeHistory,
+    compareDirectories,
+    ENDPOINT_TERMS,
+    compareEndpoints,
+    getLocalEndpointSize,
+    filterGlobToRegExp,
+    compileFilterRules,
+    isFileIncluded,
+    isDirectoryIncluded,
+    scanLocalDirectory,
+    knownRemotes,
+    validateRemotePath,
+    authFailures,
+    loadApiKeys,
+    loadAllowedLocalRoots,
+    isLocalPathAllowed
+};
+
+// Tests load the module for its functions without starting the server
+if (require.main === module) {
+    startServer();
+}
@@ -0,0 +1,121 @@
+const http = require('http');
+
+/**
+ * Stand-in for `rclone rcd` that serves the four remote control methods the reporter uses,
+ * so the rcd backend can be checked without rclone or real remotes.
+ *
+ * Usage: node scripts/rcd-standin.js, then set "rclone": { "backend": "rcd", "url": "http://localhost:5572" }
+ *
+ * Environment:
+ *   PORT      - Port to listen on (default 5572, 0 picks a free port)
+ *   RC_USER   - Require basic auth with this user, like --rc-user
+ *   RC_PASS   - Password for RC_USER, like --rc-pass
+ *   STALL_MS  - Wait this long before answering, to check timeouts (default 0)
+ */
+
+const port = parseInt(process.env.PORT || '5572', 10);
+const stallMs = parseInt(process.env.STALL_MS || '0', 10);
+const { RC_USER: user, RC_PASS: pass } = process.env;
+
+// Every remote holds the same files, listed relative to the remote's root
+const FILES = [
+    { Path: 'Photos/2024/a.jpg', Size: 700 },
+    { Path: 'Photos/2024/b.jpg', Size: 300 },
+    { Path: 'Photos/c.jpg', Size: 100 },
+    { Path: 'Docs/report.pdf', Size: 2048 },
+    { Path: 'top.txt', Size: 7 }
+];
+const REMOTES = ['fake', 'fake-backup'];
+const MOD_TIME = '2024-01-01T00:00:00Z';
+
+/**
+ * Create an error that is answered like rcd answers failed calls
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} - Error carrying the status
+ */
+function rcError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+/**
+ * List the entries below a path of a remote, like operations/list
+ * @param {string} fsPath - "remote:path"
+ * @param {object} opt - {recurse, dirsOnly, filesOnly}
+ * @returns {Array<{Path, Name, Size, IsDir, ModTime}>} - Entries relative to fsPath
+ */
+function listEntries(fsPath, opt = {}) {
+    const separator = String(fsPath).indexOf(':');
+    const remote = separator === -1 ? null : fsPath.slice(0, separator);
+    if (!REMOTES.includes(remote)) {
+        throw rcError(500, `didn't find section in config file ("${remote || fsPath}")`);
+    }
+
+    const base = fsPath.slice(separator + 1).replace(/^\/+|\/+$/g, '');
+    const prefix = base ? `${base}/` : '';
+    const entries = new Map();
+    for (const file of FILES.filter(f => f.Path.startsWith(prefix))) {
+        const parts = file.Path.slice(prefix.length).split('/');
+        // Directories are implied by the files inside them
+        for (let depth = 1; depth < parts.length; depth++) {
+            const dir = parts.slice(0, depth).join('/');
+            entries.set(dir, { Path: dir, Name: parts[depth - 1], Size: -1, IsDir: true, ModTime: MOD_TIME });
+        }
+        entries.set(parts.join('/'), { Path: parts.join('/'), Name: parts[parts.length - 1], Size: file.Size, IsDir: false, ModTime: MOD_TIME });
+    }
+    if (base && entries.size === 0) {
+        throw rcError(404, 'directory not found');
+    }
+
+    return Array.from(entries.values()).filter(entry =>
+        (opt.recurse || !entry.Path.includes('/')) &&
+        !(opt.dirsOnly && !entry.IsDir) &&
+        !(opt.filesOnly && entry.IsDir)
+    );
+}
+
+const methods = {
+    'config/listremotes': () => ({ remotes: REMOTES }),
+    'operations/size': ({ fs }) => {
+        const files = listEntries(fs, { recurse: true, filesOnly: true });
+        return { count: files.length, bytes: files.reduce((total, file) => total + file.Size, 0), sizeless: 0 };
+    },
+    'operations/list': ({ fs, opt }) => ({ list: listEntries(fs, opt) }),
+    'core/stats': () => ({ bytes: 0, checks: 0, errors: 0, transfers: 0, speed: 0, elapsedTime: process.uptime() })
+};
+
+const server = http.createServer((req, res) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+        data += chunk;
+    });
+    req.on('end', () => {
+        const method = req.url.replace(/^\/+/, '').split('?')[0];
+        const reply = (status, body) => setTimeout(() => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body, null, 2));
+        }, stallMs);
+
+        if (user && req.headers.authorization !== `Basic ${Buffer.from(`${user}:${pass || ''}`).toString('base64')}`) {
+            return reply(401, { error: 'authentication required', path: method, status: 401 });
+        }
+        if (req.method !== 'POST' || !methods[method]) {
+            return reply(404, { error: `couldn't find method "${method}"`, path: method, status: 404 });
+        }
+
+        let input;
+        try {
+            input = data ? JSON.parse(data) : {};
+            reply(200, methods[method](input));
+        } catch (error) {
+            const status = error.status || 400;
+            reply(status, { error: error.message, input, path: method, status });
+        }
+    });
+});
+
+// PORT=0 picks a free port, the line below tells callers which one
+server.listen(port, () => {
+    console.log(`rcd stand-in listening on http://localhost:${server.address().port} with remotes ${REMOTES.join(', ')}${stallMs ? `, answering after ${stallMs}ms` : ''}`);
+});
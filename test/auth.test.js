@@ -0,0 +1,124 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const { loadApp } = require('./helpers');
+
+const { app, config, localCache, knownRemotes, authFailures, loadApiKeys } = loadApp();
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+});
+
+beforeEach(() => {
+    delete process.env.API_KEYS;
+    loadApiKeys([
+        { name: 'dashboard', key: 'read-key', scope: 'read' },
+        { name: 'ops', key: 'admin-key', scope: 'admin' }
+    ]);
+    authFailures.data.clear();
+});
+
+/**
+ * Call the API
+ * @param {string} method - HTTP method
+ * @param {string} url - Path and query
+ * @param {object} [headers] - Request headers
+ * @param {object} [body] - JSON body
+ * @returns {Promise<Response>} - The response
+ */
+function request(method, url, headers = {}, body = undefined) {
+    return fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { ...headers, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+        body: body ? JSON.stringify(body) : undefined
+    });
+}
+
+test('loads keys from the config file and API_KEYS, skipping keys without a valid scope', () => {
+    process.env.API_KEYS = 'read:env-read, admin:env-admin,owner:bad';
+    loadApiKeys([{ key: 'file-key', scope: 'read' }, { name: 'no-key', scope: 'admin' }]);
+
+    assert.deepStrictEqual(config.apiKeys.map(apiKey => [apiKey.name, apiKey.scope]), [
+        ['env-1', 'read'],
+        ['env-2', 'admin'],
+        ['key-1', 'read']
+    ]);
+    // Only hashes of the keys are kept
+    assert.ok(config.apiKeys.every(apiKey => Buffer.isBuffer(apiKey.hash) && !('key' in apiKey)));
+});
+
+test('leaves the API open while no keys are configured', async () => {
+    loadApiKeys([]);
+    assert.strictEqual((await request('GET', '/api/jobs')).status, 200);
+    assert.strictEqual((await request('DELETE', '/api/jobs/unknown')).status, 404);
+});
+
+test('requires a key, sent as a bearer token, X-API-Key or ?token', async () => {
+    const missing = await request('GET', '/api/jobs');
+    assert.strictEqual(missing.status, 401);
+    assert.strictEqual(missing.headers.get('www-authenticate'), 'Bearer');
+
+    assert.strictEqual((await request('GET', '/api/jobs', { Authorization: 'Bearer read-key' })).status, 200);
+    assert.strictEqual((await request('GET', '/api/jobs', { 'X-API-Key': 'read-key' })).status, 200);
+    assert.strictEqual((await request('GET', '/api/jobs?token=read-key')).status, 200);
+
+    const invalid = await request('GET', '/api/jobs', { Authorization: 'Bearer wrong' });
+    assert.strictEqual(invalid.status, 401);
+    assert.strictEqual(invalid.headers.get('www-authenticate'), 'Bearer error="invalid_token"');
+});
+
+test('keeps admin endpoints from read keys', async () => {
+    const readOnly = await request('DELETE', '/api/jobs/unknown', { Authorization: 'Bearer read-key' });
+    assert.strictEqual(readOnly.status, 403);
+    assert.match((await readOnly.json()).error, /requires an API key with the admin scope/);
+
+    assert.strictEqual((await request('DELETE', '/api/jobs/unknown', { Authorization: 'Bearer admin-key' })).status, 404);
+    // Admin keys can do everything read keys can
+    assert.strictEqual((await request('GET', '/api/jobs', { Authorization: 'Bearer admin-key' })).status, 200);
+    assert.strictEqual((await request('GET', '/health')).status, 200);
+});
+
+test('does not let read keys start expensive scans from read endpoints', async () => {
+    knownRemotes.data = new Set(['backup']);
+    knownRemotes.lastUpdated = new Date().toISOString();
+
+    const diff = await request('POST', '/api/diff', { Authorization: 'Bearer read-key' }, { remotePath: 'backup:', localPath: os.tmpdir() });
+    assert.strictEqual(diff.status, 403);
+    assert.match((await diff.json()).error, /An admin API key is required to build it/);
+
+    const compare = { remotePath: 'backup:uncached', localPath: os.tmpdir(), forceDirect: true };
+    const untracked = await request('POST', '/api/compare', { Authorization: 'Bearer read-key' }, compare);
+    assert.strictEqual(untracked.status, 403);
+    assert.match((await untracked.json()).error, /admin API key is required to start tracking it/);
+
+    localCache.data.set(os.tmpdir(), { bytes: 0, count: 0, timestamp: new Date().toISOString() });
+    const direct = await request('POST', '/api/compare', { Authorization: 'Bearer read-key' }, compare);
+    assert.strictEqual(direct.status, 403);
+    assert.match((await direct.json()).error, /admin API key is required to fetch it with forceDirect/);
+});
+
+test('locks out clients after repeated invalid keys, even with a valid key', async () => {
+    for (let attempt = 0; attempt < 10; attempt++) {
+        assert.strictEqual((await request('GET', '/api/jobs', { Authorization: 'Bearer guess' })).status, 401);
+    }
+
+    const locked = await request('GET', '/api/jobs', { Authorization: 'Bearer read-key' });
+    assert.strictEqual(locked.status, 429);
+    const retryAfter = Number(locked.headers.get('retry-after'));
+    assert.ok(retryAfter > 0 && retryAfter <= 15 * 60, `Retry-After ${retryAfter}`);
+
+    // The lockout ends with the failure window
+    for (const failure of authFailures.data.values()) {
+        failure.firstFailureAt -= 15 * 60 * 1000;
+    }
+    assert.strictEqual((await request('GET', '/api/jobs', { Authorization: 'Bearer read-key' })).status, 200);
+});
@@ -0,0 +1,175 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadApp } = require('./helpers');
+
+const { remoteCache, localCache, localSizeHistory, knownRemotes, compareDirectories, ENDPOINT_TERMS, compareEndpoints, getLocalEndpointSize } = loadApp();
+
+/**
+ * Create a local directory with files of the given sizes
+ * @param {object} files - {[relativePath]: bytes}
+ * @returns {string} - The directory
+ */
+function makeDirectory(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rclone-reporter-compare-'));
+    for (const [relativePath, bytes] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, relativePath)), { recursive: true });
+        fs.writeFileSync(path.join(dir, relativePath), 'x'.repeat(bytes));
+    }
+    return dir;
+}
+
+/**
+ * Index a directory comparison by name
+ * @param {Array<object>} directories - Result of compareDirectories
+ * @returns {object} - {[name]: comparison}
+ */
+function byName(directories) {
+    return Object.fromEntries(directories.map(dir => [dir.name, dir]));
+}
+
+test('compares remote root directories with the local subfolders of the same name', () => {
+    const remote = [
+        { name: 'Photos', bytes: 2048, count: 2 },
+        { name: 'Docs', bytes: 1000, count: 10 },
+        { name: 'Music', bytes: 500, count: 1 },
+        { name: 'Broken', error: 'directory not found' }
+    ];
+    const local = [
+        { name: 'Photos', bytes: 2048, count: 2 },
+        { name: 'Docs', bytes: 250, count: 3 },
+        { name: 'Scratch', bytes: 10 },
+        { name: 'Broken', bytes: 1 }
+    ];
+
+    const directories = compareDirectories(remote, local);
+    assert.deepStrictEqual(directories.map(dir => dir.name), ['Broken', 'Docs', 'Music', 'Photos', 'Scratch']);
+    const dirs = byName(directories);
+
+    assert.strictEqual(dirs.Photos.status, 'synced');
+    assert.strictEqual(dirs.Photos.percentageSynced, 100);
+    assert.deepStrictEqual(dirs.Photos.difference, { bytes: 0, formatted: '0 Bytes', direction: 'equal' });
+
+    assert.strictEqual(dirs.Docs.status, 'out-of-sync');
+    assert.strictEqual(dirs.Docs.percentageSynced, 25);
+    assert.deepStrictEqual(dirs.Docs.difference, { bytes: 750, formatted: '750 Bytes', direction: 'remote-larger' });
+    assert.deepStrictEqual(dirs.Docs.remote, { bytes: 1000, formatted: '1000 Bytes', count: 10, error: null });
+    assert.deepStrictEqual(dirs.Docs.local, { bytes: 250, formatted: '250 Bytes', count: 3, error: null });
+
+    assert.strictEqual(dirs.Music.status, 'missing-locally');
+    assert.strictEqual(dirs.Music.missingLocally, true);
+    assert.strictEqual(dirs.Music.local, null);
+    assert.strictEqual(dirs.Music.percentageSynced, 0);
+
+    assert.strictEqual(dirs.Scratch.status, 'missing-remotely');
+    assert.strictEqual(dirs.Scratch.missingRemotely, true);
+    assert.strictEqual(dirs.Scratch.difference.direction, 'local-larger');
+
+    assert.strictEqual(dirs.Broken.status, 'remote-error');
+    assert.deepStrictEqual(dirs.Broken.remote, { bytes: null, formatted: null, count: null, error: 'directory not found' });
+});
+
+test('reports local errors and treats two empty directories as synced', () => {
+    const dirs = byName(compareDirectories(
+        [{ name: 'Empty', bytes: 0 }, { name: 'Locked', bytes: 10 }],
+        [{ name: 'Empty', bytes: 0 }, { name: 'Locked', error: 'EACCES' }]
+    ));
+    assert.strictEqual(dirs.Empty.status, 'synced');
+    assert.strictEqual(dirs.Empty.percentageSynced, 100);
+    assert.strictEqual(dirs.Locked.status, 'local-error');
+    assert.strictEqual(dirs.Locked.local.error, 'EACCES');
+});
+
+test('limits the comparison to includeDirectories', () => {
+    const directories = compareDirectories(
+        [{ name: 'A', bytes: 1 }, { name: 'B', bytes: 2 }],
+        [{ name: 'C', bytes: 3 }],
+        ['B', 'C', 'D']
+    );
+    assert.deepStrictEqual(directories.map(dir => [dir.name, dir.status]), [['B', 'missing-locally'], ['C', 'missing-remotely']]);
+});
+
+test('answers with the error instead of rescanning when a local directory cannot be added', async () => {
+    const missing = path.join(os.tmpdir(), `rclone-reporter-missing-${process.pid}`);
+
+    const result = await getLocalEndpointSize(missing);
+    assert.deepStrictEqual(result, { error: { statusCode: 400, body: { error: `Directory does not exist: ${missing}` } } });
+    assert.strictEqual(localCache.data.has(missing), false);
+    assert.strictEqual(localSizeHistory.data.has(missing), false);
+});
+
+test('adds a local directory that is not tracked yet and records its size', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rclone-reporter-local-'));
+    fs.writeFileSync(path.join(dir, 'a.txt'), 'hello');
+
+    const result = await getLocalEndpointSize(dir);
+    assert.strictEqual(result.bytes, 5);
+    assert.strictEqual(localCache.data.get(dir).bytes, 5);
+    assert.strictEqual(localSizeHistory.data.get(dir).length, 1);
+});
+
+test('names sides and statuses after source and target when comparing any two endpoints', () => {
+    const dirs = byName(compareDirectories(
+        [{ name: 'A', bytes: 10 }, { name: 'B', bytes: 5 }],
+        [{ name: 'A', bytes: 4 }, { name: 'C', bytes: 1 }, { name: 'D', error: 'timeout' }],
+        null,
+        ENDPOINT_TERMS
+    ));
+
+    assert.strictEqual(dirs.A.status, 'out-of-sync');
+    assert.strictEqual(dirs.A.source.bytes, 10);
+    assert.strictEqual(dirs.A.target.bytes, 4);
+    assert.strictEqual(dirs.A.difference.direction, 'source-larger');
+    assert.strictEqual(dirs.B.status, 'missing-in-target');
+    assert.strictEqual(dirs.B.missingInTarget, true);
+    assert.strictEqual(dirs.C.status, 'missing-in-source');
+    assert.strictEqual(dirs.C.missingInSource, true);
+    assert.strictEqual(dirs.C.difference.direction, 'target-larger');
+    assert.strictEqual(dirs.D.status, 'target-error');
+});
+
+test('compares two local directories', async () => {
+    const source = makeDirectory({ 'A/one.txt': 5, 'B/two.txt': 3 });
+    const target = makeDirectory({ 'A/one.txt': 5 });
+
+    const { statusCode, body } = await compareEndpoints({ source: { localPath: source }, target: { localPath: target } });
+    assert.strictEqual(statusCode, 200);
+    assert.strictEqual(body.source.type, 'local');
+    assert.strictEqual(body.source.bytes, 8);
+    assert.strictEqual(body.target.bytes, 5);
+    assert.deepStrictEqual(body.difference, { bytes: 3, formatted: '3 Bytes', direction: 'source-larger' });
+    assert.deepStrictEqual(body.syncStatus, { percentageSynced: 62.5, isSynced: false });
+    assert.deepStrictEqual(body.directories.map(dir => [dir.name, dir.status]), [['A', 'synced'], ['B', 'missing-in-target']]);
+});
+
+test('compares a cached remote with a local directory as source and target', async () => {
+    knownRemotes.data = new Set(['backup']);
+    knownRemotes.lastUpdated = new Date().toISOString();
+    remoteCache.data.set('backup:', {
+        bytes: 5,
+        count: 1,
+        timestamp: '2024-03-10T00:00:00.000Z',
+        directories: [{ name: 'A', bytes: 5, count: 1 }]
+    });
+    const source = makeDirectory({ 'A/one.txt': 5, 'B/two.txt': 3 });
+
+    const { statusCode, body } = await compareEndpoints({ source: { localPath: source }, target: { remotePath: 'backup:' } });
+    assert.strictEqual(statusCode, 200);
+    assert.strictEqual(body.target.type, 'remote');
+    assert.strictEqual(body.target.cachedAt, '2024-03-10T00:00:00.000Z');
+    assert.deepStrictEqual(body.directories.map(dir => [dir.name, dir.status]), [['A', 'synced'], ['B', 'missing-in-target']]);
+
+    const miss = await compareEndpoints({ source: { localPath: source }, target: { remotePath: 'backup:other' } });
+    assert.strictEqual(miss.statusCode, 404);
+    assert.deepStrictEqual(miss.body.missing, [{ side: 'target', path: 'backup:other' }]);
+});
+
+test('rejects endpoints that are not exactly one remote or local path', async () => {
+    const { statusCode, body } = await compareEndpoints({ source: { remotePath: 'a:', localPath: '/tmp' }, target: { localPath: '/tmp' } });
+    assert.strictEqual(statusCode, 400);
+    assert.strictEqual(body.side, 'source');
+
+    assert.strictEqual((await compareEndpoints({ source: { localPath: '/tmp' } })).body.side, 'target');
+});
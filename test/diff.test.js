@@ -0,0 +1,93 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+process.env.DIFF_CACHE_MAX_ENTRIES = '3';
+const { diffCache, diffFileListings, pruneDiffCache, evictDiffReports } = loadApp();
+
+const MOD_TIME = '2024-03-10T12:00:00.000Z';
+
+/**
+ * Build an rclone lsjson entry
+ * @param {string} path - Path below the listed directory
+ * @param {number} size - Size in bytes
+ * @param {object} [extra] - Other fields, e.g. {ModTime, Hashes}
+ * @returns {object} - lsjson entry
+ */
+function file(path, size, extra = {}) {
+    return { Path: path, Size: size, ModTime: MOD_TIME, ...extra };
+}
+
+test('sorts files missing on either side and files of different sizes into categories', () => {
+    const items = diffFileListings(
+        [file('b/only-remote.txt', 10), file('same.txt', 5), file('grown.txt', 100)],
+        [file('a/only-local.txt', 7), file('same.txt', 5), file('grown.txt', 40)],
+        {}
+    );
+
+    assert.deepStrictEqual(items.map(item => [item.path, item.category, item.bytes]), [
+        ['a/only-local.txt', 'missing-remotely', 7],
+        ['b/only-remote.txt', 'missing-locally', 10],
+        ['grown.txt', 'size-differs', 60]
+    ]);
+    assert.deepStrictEqual(items[2].remote, { size: 100, modTime: MOD_TIME, hashes: null });
+    assert.strictEqual(items[0].remote, null);
+    assert.strictEqual(items[1].local, null);
+});
+
+test('compares modification times only when asked, with a one second tolerance', () => {
+    const remote = [file('moved.txt', 5, { ModTime: '2024-03-10T12:00:05.000Z' }), file('close.txt', 5, { ModTime: '2024-03-10T12:00:00.900Z' })];
+    const local = [file('moved.txt', 5), file('close.txt', 5)];
+
+    assert.deepStrictEqual(diffFileListings(remote, local, {}), []);
+    assert.deepStrictEqual(diffFileListings(remote, local, { checkModTime: true }).map(item => [item.path, item.category, item.bytes]), [
+        ['moved.txt', 'modtime-differs', 0]
+    ]);
+});
+
+test('compares hashes only when asked and both sides have the same hash type', () => {
+    const remote = [
+        file('changed.txt', 5, { Hashes: { md5: 'aaa', sha1: 'x' } }),
+        file('other-type.txt', 5, { Hashes: { md5: 'aaa' } }),
+        file('same.txt', 5, { Hashes: { md5: 'ccc' } })
+    ];
+    const local = [
+        file('changed.txt', 5, { Hashes: { md5: 'bbb' } }),
+        file('other-type.txt', 5, { Hashes: { sha1: 'bbb' } }),
+        file('same.txt', 5, { Hashes: { md5: 'ccc' } })
+    ];
+
+    assert.deepStrictEqual(diffFileListings(remote, local, {}), []);
+    const items = diffFileListings(remote, local, { checkHash: true });
+    assert.deepStrictEqual(items.map(item => [item.path, item.category]), [['changed.txt', 'hash-differs']]);
+    assert.deepStrictEqual(items[0].local.hashes, { md5: 'bbb' });
+
+    // A size difference is reported as such, even when the hashes differ too
+    const sized = diffFileListings([file('a.txt', 6, { Hashes: { md5: 'a' } })], [file('a.txt', 5, { Hashes: { md5: 'b' } })], { checkHash: true });
+    assert.strictEqual(sized[0].category, 'size-differs');
+});
+
+beforeEach(() => {
+    diffCache.data.clear();
+});
+
+test('drops expired reports, then the oldest beyond the entry limit', () => {
+    const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    for (const [key, age] of [['expired', 25], ['old', 4], ['older', 5], ['new', 1], ['newer', 0]]) {
+        diffCache.data.set(key, { localPath: '/data', timestamp: hoursAgo(age), items: [] });
+    }
+
+    assert.strictEqual(pruneDiffCache(), true);
+    assert.deepStrictEqual([...diffCache.data.keys()].sort(), ['new', 'newer', 'old']);
+    assert.strictEqual(pruneDiffCache(), false);
+});
+
+test('drops the reports of an untracked directory and the directories inside it', () => {
+    const timestamp = new Date().toISOString();
+    diffCache.data.set('photos', { localPath: '/data/photos', timestamp, items: [] });
+    diffCache.data.set('nested', { localPath: '/data/photos/2024', timestamp, items: [] });
+    diffCache.data.set('sibling', { localPath: '/data/photos-old', timestamp, items: [] });
+
+    evictDiffReports('/data/photos');
+    assert.deepStrictEqual([...diffCache.data.keys()], ['sibling']);
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadApp } = require('./helpers');
+
+const { config, filterGlobToRegExp, compileFilterRules, isFileIncluded, isDirectoryIncluded, scanLocalDirectory } = loadApp();
+
+/**
+ * Check which paths a filter glob matches
+ * @param {string} pattern - Glob
+ * @param {string[]} paths - Relative paths to test
+ * @returns {string[]} - The paths that match
+ */
+function matches(pattern, paths) {
+    const regExp = new RegExp(filterGlobToRegExp(pattern));
+    return paths.filter(relativePath => regExp.test(relativePath));
+}
+
+test('matches unanchored globs at any depth and anchored ones at the root', () => {
+    assert.deepStrictEqual(matches('*.tmp', ['a.tmp', 'dir/a.tmp', 'a.tmpx', 'tmp']), ['a.tmp', 'dir/a.tmp']);
+    assert.deepStrictEqual(matches('/top.txt', ['top.txt', 'dir/top.txt']), ['top.txt']);
+    assert.deepStrictEqual(matches('dir/*.txt', ['dir/a.txt', 'x/dir/a.txt', 'dir/sub/a.txt', 'xdir/a.txt']), ['dir/a.txt', 'x/dir/a.txt']);
+});
+
+test('lets "*" and "?" stay within a path segment and "**" cross them', () => {
+    assert.deepStrictEqual(matches('/cache/*', ['cache/a', 'cache/a/b']), ['cache/a']);
+    assert.deepStrictEqual(matches('/cache/**', ['cache/a', 'cache/a/b', 'other/cache/a']), ['cache/a', 'cache/a/b']);
+    assert.deepStrictEqual(matches('file?.log', ['file1.log', 'file12.log', 'file/.log']), ['file1.log']);
+});
+
+test('supports character classes, alternatives and escapes', () => {
+    assert.deepStrictEqual(matches('[ab].txt', ['a.txt', 'b.txt', 'c.txt']), ['a.txt', 'b.txt']);
+    assert.deepStrictEqual(matches('[!ab].txt', ['a.txt', 'c.txt']), ['c.txt']);
+    assert.deepStrictEqual(matches('*.{jpg,png}', ['a.jpg', 'b.png', 'c.gif']), ['a.jpg', 'b.png']);
+    assert.deepStrictEqual(matches('\\*.txt', ['*.txt', 'a.txt']), ['*.txt']);
+    assert.deepStrictEqual(matches('a.b', ['a.b', 'axb']), ['a.b']);
+});
+
+test('rejects unclosed patterns and rules without a sign', () => {
+    assert.throws(() => filterGlobToRegExp('[abc'), /Unclosed "\["/);
+    assert.throws(() => filterGlobToRegExp('*.{jpg,png'), /Unclosed "\{"/);
+    assert.throws(() => compileFilterRules(['*.tmp']), /Invalid filter rule "\*\.tmp"/);
+});
+
+test('uses the first matching rule and includes what no rule matches', () => {
+    const rules = compileFilterRules(['+ *.jpg', '- /Photos/**', '- node_modules/']);
+
+    assert.strictEqual(isFileIncluded(rules, 'Photos/a.jpg'), true);
+    assert.strictEqual(isFileIncluded(rules, 'Photos/a.txt'), false);
+    assert.strictEqual(isFileIncluded(rules, 'Docs/a.txt'), true);
+
+    // Only directory rules keep a scan out of a directory
+    assert.strictEqual(isDirectoryIncluded(rules, 'Photos'), false);
+    assert.strictEqual(isDirectoryIncluded(rules, 'app/node_modules'), false);
+    assert.strictEqual(isFileIncluded(rules, 'node_modules'), true);
+    assert.strictEqual(isDirectoryIncluded(rules, 'Docs'), true);
+});
+
+test('leaves filtered files and directories out of local scans', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rclone-reporter-filters-'));
+    fs.mkdirSync(path.join(dir, 'cache'));
+    fs.mkdirSync(path.join(dir, 'docs'));
+    fs.writeFileSync(path.join(dir, 'cache', 'big.bin'), 'x'.repeat(1000));
+    fs.writeFileSync(path.join(dir, 'docs', 'a.txt'), 'hello');
+    fs.writeFileSync(path.join(dir, 'docs', 'a.tmp'), 'scratch');
+
+    config.filters = ['- *.tmp', '- cache/'];
+    try {
+        const scan = await scanLocalDirectory(dir);
+        assert.strictEqual(scan.bytes, 5);
+        assert.strictEqual(scan.count, 1);
+        assert.strictEqual(scan.excludedFiles, 1);
+        assert.strictEqual(scan.excludedDirectories, 1);
+        assert.deepStrictEqual(scan.filters, ['- *.tmp', '- cache/']);
+    } finally {
+        config.filters = [];
+    }
+});
@@ -0,0 +1,18 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Load app.js with its state and log files in a fresh temporary directory, without starting the server
+ * @returns {object} - The module's exports
+ */
+function loadApp() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rclone-reporter-test-'));
+    process.env.CACHE_DIR = path.join(dir, 'cache');
+    process.env.LOG_DIR = path.join(dir, 'logs');
+    process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+    process.env.CONFIG_FILE = path.join(dir, 'config.json');
+    return require('../app');
+}
+
+module.exports = { loadApp };
@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const { config, parseDuration, getRetentionPolicy, rollUpHistory, applyRetention, calculateGrowth } = loadApp();
+const DAY = 24 * 60 * 60 * 1000;
+
+test('measures growth between the recorded sizes, whenever it is asked', () => {
+    const history = [
+        { timestamp: '2024-03-01T00:00:00.000Z', bytes: 1000 },
+        { timestamp: '2024-03-02T00:00:00.000Z', bytes: 2000 }
+    ];
+
+    for (const now of ['2024-03-02T00:00:00.000Z', '2024-03-02T12:00:00.000Z', '2024-03-02T23:59:00.000Z']) {
+        const growth = calculateGrowth(history, DAY, new Date(now));
+        assert.strictEqual(growth.bytesPerDay, 1000, `asked at ${now}`);
+        assert.strictEqual(growth.from, '2024-03-01T00:00:00.000Z');
+        assert.strictEqual(growth.to, '2024-03-02T00:00:00.000Z');
+        assert.strictEqual(growth.changeBytes, 1000);
+    }
+});
+
+test('uses the last size before the window as its start', () => {
+    const history = [
+        { timestamp: '2024-03-01T00:00:00.000Z', bytes: 1000 },
+        { timestamp: '2024-03-05T00:00:00.000Z', bytes: 5000 },
+        { timestamp: '2024-03-06T00:00:00.000Z', bytes: 5500 },
+        { timestamp: '2024-03-07T00:00:00.000Z', bytes: 6000 }
+    ];
+
+    const growth = calculateGrowth(history, 2 * DAY, new Date('2024-03-07T00:00:00.000Z'));
+    assert.strictEqual(growth.from, '2024-03-05T00:00:00.000Z');
+    assert.strictEqual(growth.bytesPerDay, 500);
+
+    // Days without measurements between the start and the end do not lower the rate
+    const sparse = calculateGrowth(history, 3 * DAY, new Date('2024-03-07T00:00:00.000Z'));
+    assert.strictEqual(sparse.from, '2024-03-01T00:00:00.000Z');
+    assert.strictEqual(sparse.bytesPerDay, Math.round(5000 / 6));
+});
+
+test('starts at the first size when the history is younger than the window', () => {
+    const history = [
+        { timestamp: '2024-03-01T00:00:00.000Z', bytes: 2000 },
+        { timestamp: '2024-03-03T00:00:00.000Z', bytes: 1000 }
+    ];
+
+    const growth = calculateGrowth(history, 30 * DAY, new Date('2024-03-03T06:00:00.000Z'));
+    assert.strictEqual(growth.from, '2024-03-01T00:00:00.000Z');
+    assert.strictEqual(growth.bytesPerDay, -500);
+    assert.strictEqual(growth.changeFormatted, '-1000 Bytes');
+});
+
+test('has no rate without two measurements, and no growth without history', () => {
+    const single = calculateGrowth([{ timestamp: '2024-03-01T00:00:00.000Z', bytes: 1000 }], DAY, new Date('2024-03-05T00:00:00.000Z'));
+    assert.strictEqual(single.changeBytes, 0);
+    assert.strictEqual(single.bytesPerDay, null);
+    assert.strictEqual(single.bytesPerDayFormatted, null);
+
+    assert.strictEqual(calculateGrowth([], DAY, new Date()), null);
+});
+
+test('parses durations in seconds, minutes, hours, days and weeks', () => {
+    assert.strictEqual(parseDuration('10s'), 10 * 1000);
+    assert.strictEqual(parseDuration('30m'), 30 * 60 * 1000);
+    assert.strictEqual(parseDuration('1.5h'), 90 * 60 * 1000);
+    assert.strictEqual(parseDuration('7d'), 7 * DAY);
+    assert.strictEqual(parseDuration(' 2w '), 14 * DAY);
+    assert.strictEqual(parseDuration('5y'), null);
+    assert.strictEqual(parseDuration('d'), null);
+});
+
+test('takes retention from the target, falling back to the defaults', () => {
+    config.history.targets['gdrive:'] = { raw: '2d', daily: null };
+    try {
+        assert.deepStrictEqual(getRetentionPolicy('gdrive:'), { rawMs: 2 * DAY, hourlyMs: 8 * 7 * DAY, dailyMs: null });
+        assert.deepStrictEqual(getRetentionPolicy('/data'), { rawMs: 7 * DAY, hourlyMs: 8 * 7 * DAY, dailyMs: 730 * DAY });
+    } finally {
+        delete config.history.targets['gdrive:'];
+    }
+});
+
+test('rolls points up into buckets with the last, smallest and largest size', () => {
+    const hourly = rollUpHistory([
+        { timestamp: '2024-03-28T10:05:00.000Z', bytes: 50, count: 5 },
+        { timestamp: '2024-03-28T10:40:00.000Z', bytes: 70, count: 7 },
+        { timestamp: '2024-03-28T10:50:00.000Z', bytes: 60, count: 6 },
+        { timestamp: '2024-03-28T11:00:00.000Z', bytes: 80 }
+    ], 'hour');
+    assert.deepStrictEqual(hourly, [
+        { timestamp: '2024-03-28T10:00:00.000Z', resolution: 'hour', bytes: 60, count: 6, minBytes: 50, maxBytes: 70, samples: 3 },
+        { timestamp: '2024-03-28T11:00:00.000Z', resolution: 'hour', bytes: 80, minBytes: 80, maxBytes: 80, samples: 1 }
+    ]);
+
+    // Rolling hourly points up again keeps their ranges and sample counts
+    assert.deepStrictEqual(rollUpHistory(hourly, 'day'), [
+        { timestamp: '2024-03-28T00:00:00.000Z', resolution: 'day', bytes: 80, count: 6, minBytes: 50, maxBytes: 80, samples: 4 }
+    ]);
+});
+
+test('keeps recent points raw, rolls older ones up per hour and day, and drops the oldest', () => {
+    const policy = { rawMs: DAY, hourlyMs: 7 * DAY, dailyMs: 30 * DAY };
+    const series = [
+        { timestamp: '2024-02-01T00:00:00.000Z', bytes: 1 },
+        { timestamp: '2024-03-10T05:00:00.000Z', bytes: 10 },
+        { timestamp: '2024-03-10T20:00:00.000Z', bytes: 20 },
+        { timestamp: '2024-03-28T10:05:00.000Z', bytes: 50 },
+        { timestamp: '2024-03-28T10:40:00.000Z', bytes: 70 },
+        { timestamp: '2024-03-30T12:10:00.000Z', bytes: 100 }
+    ];
+
+    const kept = applyRetention(series, policy, new Date('2024-03-31T00:00:00.000Z'));
+    assert.deepStrictEqual(kept.map(point => [point.timestamp, point.resolution, point.bytes, point.samples]), [
+        ['2024-03-10T00:00:00.000Z', 'day', 20, 2],
+        ['2024-03-28T10:00:00.000Z', 'hour', 70, 2],
+        ['2024-03-30T12:10:00.000Z', undefined, 100, undefined]
+    ]);
+
+    // Applying the same policy again changes nothing
+    assert.deepStrictEqual(applyRetention(kept, policy, new Date('2024-03-31T00:00:00.000Z')), kept);
+
+    const forever = applyRetention(series, { ...policy, dailyMs: null }, new Date('2024-03-31T00:00:00.000Z'));
+    assert.strictEqual(forever[0].timestamp, '2024-02-01T00:00:00.000Z');
+    assert.strictEqual(forever.length, 4);
+});
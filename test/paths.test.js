@@ -0,0 +1,65 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadApp } = require('./helpers');
+
+const { knownRemotes, validateRemotePath, loadAllowedLocalRoots, isLocalPathAllowed } = loadApp();
+
+const base = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'rclone-reporter-roots-')));
+const root = path.join(base, 'data');
+fs.mkdirSync(path.join(root, 'photos'), { recursive: true });
+fs.mkdirSync(path.join(base, 'data-private'));
+fs.symlinkSync(base, path.join(root, 'escape'));
+
+afterEach(() => {
+    loadAllowedLocalRoots(undefined);
+});
+
+test('allows any local directory without allowedLocalRoots', () => {
+    assert.strictEqual(isLocalPathAllowed(path.join(base, 'data-private')), true);
+    assert.strictEqual(isLocalPathAllowed('/'), true);
+});
+
+test('limits local directories to the allowed roots', () => {
+    loadAllowedLocalRoots([root]);
+
+    assert.strictEqual(isLocalPathAllowed(root), true);
+    assert.strictEqual(isLocalPathAllowed(path.join(root, 'photos')), true);
+    // Paths that do not exist yet are checked as written
+    assert.strictEqual(isLocalPathAllowed(path.join(root, 'not-yet')), true);
+
+    assert.strictEqual(isLocalPathAllowed(path.join(base, 'data-private')), false, 'a sibling sharing the prefix');
+    assert.strictEqual(isLocalPathAllowed(path.join(root, '..', 'data-private')), false, '".." out of the root');
+    assert.strictEqual(isLocalPathAllowed(path.join(root, 'escape', 'data-private')), false, 'a symlink out of the root');
+    assert.strictEqual(isLocalPathAllowed(''), false);
+    assert.strictEqual(isLocalPathAllowed(undefined), false);
+});
+
+test('allows no local directory when allowedLocalRoots is not a list of paths', () => {
+    loadAllowedLocalRoots(root);
+    assert.strictEqual(isLocalPathAllowed(root), false);
+
+    loadAllowedLocalRoots([root, 42]);
+    assert.strictEqual(isLocalPathAllowed(root), false);
+});
+
+test('accepts remote paths of known remotes only', async () => {
+    knownRemotes.data = new Set(['gdrive', 'my remote']);
+    knownRemotes.lastUpdated = new Date().toISOString();
+
+    assert.strictEqual(await validateRemotePath('gdrive:'), null);
+    assert.strictEqual(await validateRemotePath('gdrive:backup/photos 2024'), null);
+    assert.strictEqual(await validateRemotePath('my remote:docs'), null);
+    assert.strictEqual(await validateRemotePath('s3:bucket'), 'Unknown rclone remote: s3');
+});
+
+test('rejects remote paths that rclone could read as options or several arguments', async () => {
+    knownRemotes.data = new Set(['gdrive']);
+    knownRemotes.lastUpdated = new Date().toISOString();
+
+    for (const remotePath of ['gdrive', '--config=/etc/passwd:', '-vv:', 'gdrive:a\nb', ' gdrive:', ':local:/etc', 42]) {
+        assert.match(await validateRemotePath(remotePath), /^Invalid remote path/, JSON.stringify(remotePath));
+    }
+});
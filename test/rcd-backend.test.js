@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const path = require('path');
+const { loadApp } = require('./helpers');
+
+const { config, rcloneBackends } = loadApp();
+const rcd = rcloneBackends.rcd;
+const STANDIN = path.join(__dirname, '..', 'scripts', 'rcd-standin.js');
+
+/**
+ * Start the rcd stand-in on a free port
+ * @param {object} [env] - Extra environment, e.g. {STALL_MS}
+ * @returns {Promise<{url: string, child: object}>} - Its URL and process
+ */
+function startStandin(env = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [STANDIN], {
+            env: { ...process.env, PORT: '0', RC_USER: 'reporter', RC_PASS: 'secret', ...env },
+            stdio: ['ignore', 'pipe', 'inherit']
+        });
+        child.on('error', reject);
+        child.stdout.setEncoding('utf8');
+        child.stdout.once('data', line => {
+            const match = /listening on (http:\/\/\S+)/.exec(line);
+            return match ? resolve({ url: match[1], child }) : reject(new Error(`Unexpected stand-in output: ${line}`));
+        });
+    });
+}
+
+let standin;
+let stalled;
+
+before(async () => {
+    standin = await startStandin();
+    stalled = await startStandin({ STALL_MS: '2000' });
+});
+
+after(() => {
+    standin.child.kill();
+    stalled.child.kill();
+});
+
+/**
+ * Point the rcd backend at a stand-in
+ * @param {object} target - Stand-in from startStandin
+ * @param {object} [credentials] - {user, pass}, the stand-in's own by default
+ */
+function useStandin(target, credentials = { user: 'reporter', pass: 'secret' }) {
+    config.rclone = { backend: 'rcd', url: target.url, ...credentials };
+}
+
+test('lists the remotes from config/listremotes', async () => {
+    useStandin(standin);
+    assert.deepStrictEqual(await rcd.listRemotes(), ['fake', 'fake-backup']);
+});
+
+test('measures a remote and a sub-path with operations/size', async () => {
+    useStandin(standin);
+    assert.deepStrictEqual(await rcd.size('fake:'), { count: 5, bytes: 3155, sizeless: 0 });
+    assert.deepStrictEqual(await rcd.size('fake:Photos'), { count: 3, bytes: 1100, sizeless: 0 });
+});
+
+test('reports operations/size failures as an error instead of throwing', async () => {
+    useStandin(standin);
+    const result = await rcd.size('missing:');
+    assert.match(result.error, /HTTP 500: didn't find section in config file/);
+});
+
+test('lists root directories, files and every entry with operations/list', async () => {
+    useStandin(standin);
+    assert.deepStrictEqual((await rcd.listDirectories('fake:')).sort(), ['Docs', 'Photos']);
+
+    const files = await rcd.listFiles('fake:Photos', false);
+    assert.deepStrictEqual(files.map(file => [file.Path, file.Size]).sort(), [['2024/a.jpg', 700], ['2024/b.jpg', 300], ['c.jpg', 100]]);
+
+    const entries = [];
+    await rcd.walkEntries('fake:', entry => entries.push(entry));
+    assert.strictEqual(entries.filter(entry => entry.IsDir).length, 3);
+    assert.strictEqual(entries.filter(entry => !entry.IsDir).reduce((total, entry) => total + entry.Size, 0), 3155);
+});
+
+test('reads core/stats', async () => {
+    useStandin(standin);
+    const stats = await rcd.stats(null, { timeoutMs: 1000 });
+    assert.strictEqual(stats.errors, 0);
+    assert.strictEqual(typeof stats.elapsedTime, 'number');
+});
+
+test('fails with HTTP 401 when the credentials are wrong', async () => {
+    useStandin(standin, { user: 'reporter', pass: 'wrong' });
+    await assert.rejects(rcd.listRemotes(), /HTTP 401/);
+    useStandin(standin, { user: null, pass: null });
+    await assert.rejects(rcd.stats(), /HTTP 401/);
+});
+
+test('gives up on a stalled rcd after the timeout', async () => {
+    useStandin(stalled);
+    const started = Date.now();
+    await assert.rejects(rcd.stats(null, { timeoutMs: 200 }), /rclone core\/stats timed out after 0.2s/);
+    assert.ok(Date.now() - started < 1500, 'the request was not abandoned at the timeout');
+
+    const result = await rcd.size('fake:', null, { timeoutMs: 200 });
+    assert.match(result.error, /timed out after 0.2s/);
+});
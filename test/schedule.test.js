@@ -0,0 +1,140 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const { app, config, remoteCache, parseCron, getNextCronRun, isInQuietWindow, assertOutsideQuietWindow, startDirectSizeJob, getFileDiff } = loadApp();
+
+// Covers the whole day, so every check falls inside it
+const ALL_DAY = { start: '00:00', end: '24:00', startMinute: 0, endMinute: 24 * 60, days: null };
+
+/**
+ * Build a quiet window the way loadConfig does
+ * @param {string} start - Start time, HH:MM
+ * @param {string} end - End time, HH:MM
+ * @param {number[]} [days] - Weekdays it starts on, 0 for Sunday
+ * @returns {object} - Quiet window
+ */
+function quietWindow(start, end, days = null) {
+    const minute = time => time.split(':').reduce((hours, minutes) => Number(hours) * 60 + Number(minutes));
+    return { start, end, startMinute: minute(start), endMinute: minute(end), days };
+}
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+});
+
+afterEach(() => {
+    config.schedule.quietWindows = [];
+});
+
+test('parses cron fields with lists, ranges and steps', () => {
+    const cron = parseCron('*/15 9-17 1,15 * 1-5');
+    assert.deepStrictEqual([...cron.minutes], [0, 15, 30, 45]);
+    assert.deepStrictEqual([...cron.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    assert.deepStrictEqual([...cron.daysOfMonth], [1, 15]);
+    assert.strictEqual(cron.months.size, 12);
+    assert.deepStrictEqual([...cron.daysOfWeek], [1, 2, 3, 4, 5]);
+    assert.strictEqual(cron.dayOfMonthRestricted, true);
+    assert.strictEqual(cron.dayOfWeekRestricted, true);
+
+    // A step from a single value runs to the end of the range
+    assert.deepStrictEqual([...parseCron('5/20 * * * *').minutes], [5, 25, 45]);
+    // 7 is Sunday, like 0
+    assert.deepStrictEqual([...parseCron('0 0 * * 7').daysOfWeek], [0]);
+});
+
+test('rejects malformed cron expressions', () => {
+    assert.throws(() => parseCron('0 0 * *'), /expected 5 fields/);
+    assert.throws(() => parseCron('60 * * * *'), /allowed range 0-59/);
+    assert.throws(() => parseCron('0 0 0 * *'), /allowed range 1-31/);
+    assert.throws(() => parseCron('5-1 * * * *'), /Invalid cron field "5-1"/);
+    assert.throws(() => parseCron('*/0 * * * *'), /Invalid cron field/);
+    assert.throws(() => parseCron('mon * * * *'), /Invalid cron field "mon"/);
+});
+
+test('finds the next run strictly after a time', () => {
+    const daily = parseCron('0 3 * * *');
+    assert.strictEqual(getNextCronRun(daily, 'UTC', new Date('2024-03-10T02:59:30Z')).toISOString(), '2024-03-10T03:00:00.000Z');
+    assert.strictEqual(getNextCronRun(daily, 'UTC', new Date('2024-03-10T03:00:00Z')).toISOString(), '2024-03-11T03:00:00.000Z');
+
+    const quarterly = parseCron('30 12 1 */3 *');
+    assert.strictEqual(getNextCronRun(quarterly, 'UTC', new Date('2024-02-15T00:00:00Z')).toISOString(), '2024-04-01T12:30:00.000Z');
+});
+
+test('reads cron expressions in the schedule timezone', () => {
+    const daily = parseCron('0 3 * * *');
+    // London is on BST (UTC+1) in July and on GMT in January
+    assert.strictEqual(getNextCronRun(daily, 'Europe/London', new Date('2024-07-01T00:00:00Z')).toISOString(), '2024-07-01T02:00:00.000Z');
+    assert.strictEqual(getNextCronRun(daily, 'Europe/London', new Date('2024-01-01T00:00:00Z')).toISOString(), '2024-01-01T03:00:00.000Z');
+    assert.strictEqual(getNextCronRun(daily, 'America/New_York', new Date('2024-01-01T00:00:00Z')).toISOString(), '2024-01-01T08:00:00.000Z');
+});
+
+test('runs when either day field matches if both are restricted', () => {
+    // The 13th or any Friday, starting on Sunday 2024-03-10: Wednesday the 13th comes first
+    const cron = parseCron('0 0 13 * 5');
+    assert.strictEqual(getNextCronRun(cron, 'UTC', new Date('2024-03-10T00:00:00Z')).toISOString(), '2024-03-13T00:00:00.000Z');
+    assert.strictEqual(getNextCronRun(cron, 'UTC', new Date('2024-03-13T00:00:00Z')).toISOString(), '2024-03-15T00:00:00.000Z');
+
+    // With only the weekday restricted, the day of the month does not matter
+    assert.strictEqual(getNextCronRun(parseCron('0 0 * * 5'), 'UTC', new Date('2024-03-10T00:00:00Z')).toISOString(), '2024-03-15T00:00:00.000Z');
+});
+
+test('has no next run for dates that never come', () => {
+    assert.strictEqual(getNextCronRun(parseCron('0 0 31 2 *'), 'UTC', new Date('2024-01-01T00:00:00Z')), null);
+});
+
+test('places quiet windows that cross midnight on the day they start', () => {
+    config.schedule.timezone = 'UTC';
+    // Fridays from 22:00 to Saturday 06:00
+    config.schedule.quietWindows = [quietWindow('22:00', '06:00', [5])];
+
+    assert.strictEqual(isInQuietWindow(new Date('2024-03-15T23:00:00Z')), true);
+    assert.strictEqual(isInQuietWindow(new Date('2024-03-16T03:00:00Z')), true);
+    assert.strictEqual(isInQuietWindow(new Date('2024-03-16T06:00:00Z')), false);
+    assert.strictEqual(isInQuietWindow(new Date('2024-03-15T03:00:00Z')), false);
+    assert.strictEqual(isInQuietWindow(new Date('2024-03-16T23:00:00Z')), false);
+});
+
+test('skips quiet windows when computing the next remote run', () => {
+    config.schedule.timezone = 'UTC';
+    config.schedule.quietWindows = [quietWindow('18:00', '23:00')];
+
+    const hourly = parseCron('0 * * * *');
+    const after = new Date('2024-03-10T17:30:00Z');
+    assert.strictEqual(getNextCronRun(hourly, 'UTC', after).toISOString(), '2024-03-10T18:00:00.000Z');
+    assert.strictEqual(getNextCronRun(hourly, 'UTC', after, isInQuietWindow).toISOString(), '2024-03-10T23:00:00.000Z');
+});
+
+test('refuses manual remote refreshes inside a quiet window', async () => {
+    config.schedule.quietWindows = [ALL_DAY];
+    assert.strictEqual(isInQuietWindow(new Date()), true);
+
+    const response = await fetch(`${baseUrl}/api/cache/refresh`, { method: 'POST' });
+    assert.strictEqual(response.status, 423);
+    assert.match((await response.json()).error, /quiet window.*ignoreQuietWindow/);
+    assert.strictEqual(remoteCache.updateInProgress, false);
+});
+
+test('refuses forceDirect sizes and diffs inside a quiet window', async () => {
+    config.schedule.quietWindows = [ALL_DAY];
+
+    assert.throws(() => startDirectSizeJob('fake:Photos'), error => error.statusCode === 423 && /size calculation for fake:Photos/.test(error.message));
+    await assert.rejects(getFileDiff('fake:Photos', '/tmp', {}), error => error.statusCode === 423 && /diff of fake:Photos/.test(error.message));
+});
+
+test('lets admins override a quiet window, and allows everything outside one', () => {
+    config.schedule.quietWindows = [ALL_DAY];
+    assert.doesNotThrow(() => assertOutsideQuietWindow('a remote cache update', true));
+
+    config.schedule.quietWindows = [];
+    assert.doesNotThrow(() => assertOutsideQuietWindow('a remote cache update'));
+});
@@ -0,0 +1,140 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadApp } = require('./helpers');
+
+const {
+    remoteCache, localCache, loadRemoteCache, saveRemoteCache, loadLocalCache, saveLocalCache,
+    storage, migrateState, loadState, saveState, writeFileAtomic, saveAllState
+} = loadApp();
+const CACHE_DIR = process.env.CACHE_DIR;
+
+/**
+ * Write a JSON state file into the test's cache directory
+ * @param {string} name - File name
+ * @param {object} data - Contents
+ */
+function writeState(name, data) {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(path.join(CACHE_DIR, name), JSON.stringify(data));
+}
+
+test('does not resume an update that was running when the caches were saved', () => {
+    const interrupted = { data: { 'fake:': { size: 1 } }, lastUpdated: '2024-03-01T00:00:00.000Z', updateInProgress: true, updateStartTime: '2024-03-01T00:00:00.000Z' };
+    writeState('remote-cache.json', interrupted);
+    writeState('local-cache.json', { ...interrupted, data: { '/data': { size: 1 } } });
+
+    loadRemoteCache();
+    loadLocalCache();
+
+    for (const cache of [remoteCache, localCache]) {
+        assert.strictEqual(cache.data.size, 1);
+        assert.strictEqual(cache.lastUpdated, '2024-03-01T00:00:00.000Z');
+        assert.strictEqual(cache.updateInProgress, false);
+        assert.strictEqual(cache.updateStartTime, null);
+    }
+});
+
+test('does not save whether an update is running', () => {
+    remoteCache.updateInProgress = true;
+    remoteCache.updateStartTime = new Date().toISOString();
+    localCache.updateInProgress = true;
+    try {
+        saveRemoteCache();
+        saveLocalCache();
+    } finally {
+        remoteCache.updateInProgress = false;
+        remoteCache.updateStartTime = null;
+        localCache.updateInProgress = false;
+    }
+
+    for (const name of ['remote-cache.json', 'local-cache.json']) {
+        const saved = JSON.parse(fs.readFileSync(path.join(CACHE_DIR, name), 'utf8')).data;
+        assert.ok(saved.data, name);
+        assert.ok(!('updateInProgress' in saved), name);
+        assert.ok(!('updateStartTime' in saved), name);
+    }
+});
+
+test('keeps the live file in place and the previous version as a backup when replacing a file', () => {
+    const file = path.join(CACHE_DIR, 'atomic.json');
+    writeFileAtomic(file, 'first');
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), 'first');
+    assert.ok(!fs.existsSync(`${file}.bak`));
+
+    writeFileAtomic(file, 'second');
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), 'second');
+    assert.strictEqual(fs.readFileSync(`${file}.bak`, 'utf8'), 'first');
+});
+
+test('removes the temporary file and keeps the old one when writing fails', (t) => {
+    const file = path.join(CACHE_DIR, 'full-disk.json');
+    writeFileAtomic(file, 'before');
+    t.mock.method(fs, 'writeSync', () => {
+        throw Object.assign(new Error('ENOSPC: no space left on device, write'), { code: 'ENOSPC' });
+    });
+
+    assert.throws(() => writeFileAtomic(file, 'after'), /ENOSPC/);
+    t.mock.restoreAll();
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), 'before');
+    assert.deepStrictEqual(fs.readdirSync(CACHE_DIR).filter(name => name.startsWith('full-disk.json.tmp')), []);
+});
+
+test('saves every store at once, as the periodic save and shutdown do', () => {
+    const files = ['remote-cache.json', 'local-cache.json', 'size-history.json', 'remote-history.json',
+        'diff-cache.json', 'local-snapshots.json', 'untracked-local.json', 'alert-state.json'];
+    for (const name of files) {
+        fs.rmSync(path.join(CACHE_DIR, name), { force: true });
+    }
+
+    saveAllState();
+    assert.deepStrictEqual(files.filter(name => !fs.existsSync(path.join(CACHE_DIR, name))), []);
+});
+
+test('saves state with its schema version and loads it back', () => {
+    const file = path.join(CACHE_DIR, 'versioned.json');
+    saveState(file, { 'fake:': { bytes: 1 } });
+
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.strictEqual(saved.schemaVersion, 2);
+    assert.ok(!Number.isNaN(Date.parse(saved.savedAt)));
+    assert.deepStrictEqual(loadState(file), { 'fake:': { bytes: 1 } });
+    assert.strictEqual(loadState(path.join(CACHE_DIR, 'never-saved.json')), null);
+});
+
+test('migrates state files written before schema versions existed', () => {
+    writeState('unversioned.json', { data: { 'fake:': { bytes: 1 } }, lastUpdated: '2024-03-01T00:00:00.000Z' });
+    assert.deepStrictEqual(loadState(path.join(CACHE_DIR, 'unversioned.json')), { data: { 'fake:': { bytes: 1 } }, lastUpdated: '2024-03-01T00:00:00.000Z' });
+
+    assert.deepStrictEqual(migrateState(1, { a: 1 }), { a: 1 });
+    assert.deepStrictEqual(migrateState(2, { a: 1 }), { a: 1 });
+    assert.throws(() => migrateState(0, {}), /Invalid schema version 0/);
+    assert.throws(() => migrateState(3, {}), /Schema version 3 is newer than this version of the service supports \(2\)/);
+});
+
+test('quarantines a corrupt state file and falls back to its backup', () => {
+    const file = path.join(CACHE_DIR, 'corrupt.json');
+    saveState(file, { version: 'old' });
+    saveState(file, { version: 'new' });
+    fs.writeFileSync(file, '{"schemaVersion": 2, "data": {"ver');
+
+    assert.deepStrictEqual(loadState(file), { version: 'old' });
+    const record = storage.quarantined[storage.quarantined.length - 1];
+    assert.strictEqual(record.file, file);
+    assert.strictEqual(record.restoredFromBackup, true);
+    assert.ok(record.movedTo.startsWith(`${file}.corrupt-`));
+    assert.strictEqual(fs.readFileSync(record.movedTo, 'utf8'), '{"schemaVersion": 2, "data": {"ver');
+    assert.ok(!fs.existsSync(file), 'the corrupt file is moved away');
+});
+
+test('quarantines state from a newer version instead of overwriting it', () => {
+    writeState('future.json', { schemaVersion: 3, data: {} });
+    const file = path.join(CACHE_DIR, 'future.json');
+
+    assert.strictEqual(loadState(file), null);
+    const record = storage.quarantined[storage.quarantined.length - 1];
+    assert.match(record.reason, /Schema version 3 is newer/);
+    assert.strictEqual(record.restoredFromBackup, false);
+    assert.ok(fs.existsSync(record.movedTo));
+});